@@ -0,0 +1,240 @@
+/**
+ * Composition analysis
+ *
+ * Measures a resolved composition per track, per section and per bar, so the
+ * claims the docs make about its sections (note density rising through the
+ * Development, dynamics and register widest in the Culmination) can be
+ * checked against the notes the code actually produces:
+ *
+ * - notes per bar and onset density (distinct onsets per beat)
+ * - pitch range and center of gravity (mean pitch weighted by duration)
+ * - velocity: mean, lowest and highest, and its curve bar by bar
+ * - polyphony: mean and highest number of notes sounding together
+ *
+ * analyzeComposition() returns plain JSON; formatAnalysis() turns it into a
+ * readable report with per-bar curves and the narrative checks.
+ */
+
+const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+// Characters of the per-bar curves, lowest to highest
+const SPARK_LEVELS = "▁▂▃▄▅▆▇█";
+
+// Claims the docs make about the sections, checked against the measures
+// Each gets the all-track measures of the sections in form order and of the bars.
+const NARRATIVE_CLAIMS = [
+  {
+    claim: "Note density rises from the Exposition to the Development",
+    source: "README.md, Composition Structure; math-analysis.md §7.2",
+    check: sections => sections[1].notesPerBar > sections[0].notesPerBar
+  },
+  {
+    claim: "The Culmination reaches maximum density",
+    source: "README.md, Composition Structure; math-analysis.md §7.3",
+    check: sections => sections[2].notesPerBar >= Math.max(...sections.map(section => section.notesPerBar))
+  },
+  {
+    claim: "Dynamics peak in the Culmination",
+    source: "math-analysis.md §3.2",
+    check: sections => sections[2].velocity.mean >= Math.max(...sections.map(section => section.velocity.mean))
+  },
+  {
+    claim: "Pitch ranges expand to their widest in the Culmination",
+    source: "math-analysis.md §7.3",
+    check: sections => sections[2].pitch.range >= Math.max(...sections.map(section => section.pitch.range))
+  },
+  {
+    claim: "Velocity follows the note density from bar to bar",
+    source: "math-analysis.md §4.2; optimization-guide.md §7.4",
+    check: (sections, bars) => correlation(bars.map(bar => bar.notes), bars.map(bar => bar.velocity)) > 0
+  }
+];
+
+// Function to name a MIDI pitch (60 is C4)
+function pitchName(pitch) {
+  const rounded = Math.round(pitch);
+  return `${NOTE_NAMES[((rounded % 12) + 12) % 12]}${Math.floor(rounded / 12) - 1}`;
+}
+
+// Function to compute the Pearson correlation of two series (0 when either is flat)
+function correlation(xs, ys) {
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const mx = mean(xs);
+  const my = mean(ys);
+  const covariance = xs.reduce((sum, x, index) => sum + (x - mx) * (ys[index] - my), 0);
+  const spread = Math.sqrt(xs.reduce((sum, x) => sum + (x - mx) ** 2, 0) * ys.reduce((sum, y) => sum + (y - my) ** 2, 0));
+  return spread > 0 ? covariance / spread : 0;
+}
+
+// Function to round a measure to two decimals
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Function to measure the notes sounding within a span of beats
+// Notes count for the span their onset falls in; polyphony counts every note
+// sounding during the span, including notes held over from before it.
+function measureSpan(notes, start, end, beatsPerBar) {
+  const length = end - start;
+  const sounding = notes.filter(note => !note.mute);
+  const starting = sounding.filter(note => note.start_time >= start && note.start_time < end);
+
+  const pitches = starting.map(note => note.pitch);
+  const weight = starting.reduce((sum, note) => sum + note.duration, 0);
+  const velocities = starting.map(note => note.velocity);
+
+  // Polyphony from the overlap of every note with the span, and the highest
+  // count from a sweep over the note boundaries inside it
+  const overlapping = sounding
+    .map(note => ({ from: Math.max(start, note.start_time), to: Math.min(end, note.start_time + note.duration) }))
+    .filter(span => span.to > span.from);
+  const events = overlapping
+    .flatMap(span => [{ time: span.from, change: 1 }, { time: span.to, change: -1 }])
+    .sort((x, y) => x.time - y.time || x.change - y.change);
+  let current = 0;
+  let highest = 0;
+  events.forEach(event => {
+    current += event.change;
+    highest = Math.max(highest, current);
+  });
+
+  return {
+    notes: starting.length,
+    notesPerBar: round((starting.length * beatsPerBar) / length),
+    onsetsPerBeat: round(new Set(starting.map(note => note.start_time.toFixed(6))).size / length),
+    pitch: starting.length > 0
+      ? {
+        low: Math.min(...pitches),
+        high: Math.max(...pitches),
+        range: Math.max(...pitches) - Math.min(...pitches),
+        center: round(weight > 0
+          ? starting.reduce((sum, note) => sum + note.pitch * note.duration, 0) / weight
+          : pitches.reduce((sum, pitch) => sum + pitch, 0) / pitches.length)
+      }
+      : { low: null, high: null, range: 0, center: null },
+    velocity: starting.length > 0
+      ? {
+        mean: round(velocities.reduce((sum, velocity) => sum + velocity, 0) / velocities.length),
+        low: Math.min(...velocities),
+        high: Math.max(...velocities)
+      }
+      : { mean: 0, low: null, high: null },
+    polyphony: {
+      mean: round(overlapping.reduce((sum, span) => sum + span.to - span.from, 0) / length),
+      high: highest
+    }
+  };
+}
+
+// Function to measure a set of notes per section and per bar
+function measureNotes(notes, composition, beatsPerBar) {
+  const { totalLength } = composition.form;
+  const sections = {};
+  composition.sections.forEach(section => {
+    sections[section.name] = measureSpan(notes, section.start, section.start + section.length, beatsPerBar);
+  });
+  const bars = Array.from({ length: Math.ceil(totalLength / beatsPerBar) }, (_, bar) => {
+    const start = bar * beatsPerBar;
+    const { notes: count, pitch, velocity, polyphony, onsetsPerBeat } =
+      measureSpan(notes, start, Math.min(totalLength, start + beatsPerBar), beatsPerBar);
+    return { bar: bar + 1, notes: count, center: pitch.center, velocity: velocity.mean, polyphony: polyphony.mean, onsetsPerBeat };
+  });
+  return {
+    whole: measureSpan(notes, 0, totalLength, beatsPerBar),
+    sections,
+    bars
+  };
+}
+
+// Function to analyze a resolved composition
+//
+// Returns {title, tempo, totalLength, beatsPerBar, sections, all, tracks, narrative}:
+// all and every track hold {whole, sections: {name: measures}, bars: [...]},
+// with all measuring every track together; narrative lists the claims of
+// NARRATIVE_CLAIMS with whether the notes bear them out.
+function analyzeComposition(composition, { beatsPerBar = 4 } = {}) {
+  const all = measureNotes(composition.tracks.flatMap(track => track.notes), composition, beatsPerBar);
+  const ordered = composition.sections.map(section => all.sections[section.name]);
+  return {
+    title: composition.title,
+    tempo: composition.tempo,
+    totalLength: composition.form.totalLength,
+    beatsPerBar,
+    sections: composition.sections.map(({ name, start, length }) => ({ name, start, length })),
+    all,
+    tracks: composition.tracks.map(track => ({
+      name: track.name,
+      ...measureNotes(track.notes, composition, beatsPerBar)
+    })),
+    narrative: ordered.length === 3
+      ? NARRATIVE_CLAIMS.map(({ claim, source, check }) => ({ claim, source, holds: check(ordered, all.bars) }))
+      : []
+  };
+}
+
+// Function to draw values as a one-line curve, scaled between their extremes
+function sparkline(values) {
+  const present = values.filter(value => value !== null);
+  if (present.length === 0) return "";
+  const low = Math.min(...present);
+  const high = Math.max(...present);
+  return values.map(value => {
+    if (value === null) return " ";
+    const level = high > low ? Math.round(((value - low) / (high - low)) * (SPARK_LEVELS.length - 1)) : 0;
+    return SPARK_LEVELS[level];
+  }).join("");
+}
+
+// Function to describe one set of measures as a table row
+function formatMeasures(label, measures) {
+  const { pitch, velocity, polyphony } = measures;
+  const register = pitch.low === null
+    ? "-"
+    : `${pitchName(pitch.low)}-${pitchName(pitch.high)} (${pitch.range}), center ${pitchName(pitch.center)}`;
+  const dynamics = velocity.low === null ? "-" : `${velocity.mean} (${velocity.low}-${velocity.high})`;
+  return `  ${label.padEnd(14)} ${String(measures.notesPerBar).padStart(6)} ${String(measures.onsetsPerBeat).padStart(8)}  ` +
+    `${register.padEnd(28)} ${dynamics.padEnd(14)} ${polyphony.mean} (max ${polyphony.high})`;
+}
+
+// Function to describe the measures of one track, or of all tracks together
+function formatTrackAnalysis(name, analysis, measured) {
+  const header = `  ${"".padEnd(14)} ${"n/bar".padStart(6)} ${"onsets/b".padStart(8)}  ` +
+    `${"register".padEnd(28)} ${"velocity".padEnd(14)} polyphony`;
+  return [
+    name,
+    header,
+    ...analysis.sections.map(section => formatMeasures(section.name, measured.sections[section.name])),
+    formatMeasures("Whole piece", measured.whole),
+    `  Notes per bar  ${sparkline(measured.bars.map(bar => bar.notes))}`,
+    `  Velocity       ${sparkline(measured.bars.map(bar => (bar.notes > 0 ? bar.velocity : null)))}`,
+    `  Center         ${sparkline(measured.bars.map(bar => bar.center))}`,
+    `  Polyphony      ${sparkline(measured.bars.map(bar => bar.polyphony))}`
+  ].join("\n");
+}
+
+// Function to describe an analysis as a readable report
+function formatAnalysis(analysis) {
+  const sections = analysis.sections
+    .map(section => `${section.name} ${section.start}-${section.start + section.length}`)
+    .join(", ");
+  const lines = [
+    `${analysis.title} - ${analysis.totalLength} beats at ${analysis.tempo} BPM (${sections})`,
+    `Curves run bar by bar, ${Math.ceil(analysis.totalLength / analysis.beatsPerBar)} bars of ${analysis.beatsPerBar} beats`,
+    "",
+    formatTrackAnalysis("All tracks", analysis, analysis.all),
+    ...analysis.tracks.map(track => `\n${formatTrackAnalysis(track.name, analysis, track)}`)
+  ];
+  if (analysis.narrative.length > 0) {
+    lines.push("", "Narrative checks:");
+    analysis.narrative.forEach(({ claim, source, holds }) => {
+      lines.push(`  [${holds ? "holds" : "fails"}] ${claim} (${source})`);
+    });
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  NARRATIVE_CLAIMS,
+  analyzeComposition,
+  formatAnalysis
+};
@@ -0,0 +1,100 @@
+/**
+ * Spiral-arm voices
+ *
+ * Builds a spec with any number of spiral-arm voices instead of the canon's
+ * fixed six tracks. Real spiral galaxies have two, three, four or more arms:
+ * here every arm is a track of its own, playing one arm of the same
+ * logarithmic spiral (spiral.js). Arm k is the curve rotated by 2πk/N, so it
+ * enters k/N of a turn after the first and the arms sound as an N-voice canon.
+ *
+ * The galactic core, the star clusters and the cosmic background are optional
+ * layers, taken as they are from the base spec. Arm tracks borrow their
+ * instruments from the base spec's disk voices in turn (strings, brass,
+ * winds), each an octave or a fifth apart, and keep their instrument's range
+ * for the counterpoint check and range clamping.
+ */
+
+const { getTrackRange } = require("./counterpoint");
+
+// Optional layers and the role of the base spec track each is taken from
+const ARM_LAYERS = {
+  core: "core",
+  clusters: "mallets",
+  background: "pad"
+};
+
+// Roles whose instruments the arm tracks take in turn, and the pitch of the
+// innermost point of each arm's spiral; arms can climb three octaves above it
+const ARM_ROLES = ["strings", "brass", "winds"];
+const ARM_BASES = { strings: 48, brass: 55, winds: 67 };
+
+// Spiral of each section, in form order: the main theme, the tighter
+// development spiral and a denser spiral between the two for the culmination
+const ARM_SECTION_SPIRALS = [
+  { preset: "exposition" },
+  { preset: "development" },
+  { preset: "development", b: 0.25, notesPerArm: 32 }
+];
+
+const MAX_ARMS = 12;
+
+// Function to build a spec with one track per spiral arm
+//
+// options:
+// - arms: number of arm voices, 1 to MAX_ARMS
+// - layers: which of "core", "clusters" and "background" to keep (default all)
+function createArmSpec(baseSpec, { arms, layers = Object.keys(ARM_LAYERS) } = {}) {
+  if (!Number.isInteger(arms) || arms < 1 || arms > MAX_ARMS) {
+    throw new Error(`Arm count must be a whole number from 1 to ${MAX_ARMS}, got ${arms}`);
+  }
+  const unknown = layers.filter(layer => !ARM_LAYERS[layer]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown layer "${unknown[0]}" (expected ${Object.keys(ARM_LAYERS).join(", ")})`);
+  }
+
+  const byRole = role => baseSpec.tracks.find(track => track.role === role);
+  const missing = [...ARM_ROLES, ...layers.map(layer => ARM_LAYERS[layer])].filter(role => !byRole(role));
+  if (missing.length > 0) {
+    throw new Error(`The base spec has no track to take these voices from (missing: ${missing.join(", ")})`);
+  }
+  const layer = name => (layers.includes(name) ? [byRole(ARM_LAYERS[name])] : []);
+
+  const armTracks = Array.from({ length: arms }, (_, arm) => {
+    const role = ARM_ROLES[arm % ARM_ROLES.length];
+    const instrumentTrack = byRole(role);
+    const base = ARM_BASES[role];
+    const range = getTrackRange(instrumentTrack);
+    const sections = {};
+    baseSpec.form.sections.forEach((sectionName, sectionIndex) => {
+      const spiral = ARM_SECTION_SPIRALS[Math.min(sectionIndex, ARM_SECTION_SPIRALS.length - 1)];
+      sections[sectionName] = {
+        spiral: { ...spiral, arms, arm, pitch: { base, min: base - 12, max: base + 36 } }
+      };
+    });
+    return {
+      name: `Spiral Arm ${arm + 1}`,
+      instrument: instrumentTrack.instrument,
+      instrumentName: instrumentTrack.instrumentName,
+      role,
+      timbre: instrumentTrack.timbre,
+      gmProgram: instrumentTrack.gmProgram,
+      ...(range ? { range: { low: range.low, high: range.high } } : {}),
+      sections
+    };
+  });
+
+  return {
+    ...baseSpec,
+    // The arms enter where their rotation puts them
+    form: { ...baseSpec.form, entries: "written" },
+    ...(baseSpec.densityWave ? { densityWave: { ...baseSpec.densityWave, arms } } : {}),
+    tracks: [...layer("core"), ...armTracks, ...layer("clusters"), ...layer("background")]
+  };
+}
+
+module.exports = {
+  ARM_LAYERS,
+  ARM_ROLES,
+  MAX_ARMS,
+  createArmSpec
+};
@@ -0,0 +1,225 @@
+/**
+ * Offline audio preview
+ *
+ * A lightweight additive synthesizer that renders every track of a resolved
+ * composition to a stereo 16-bit WAV file, so edits can be judged on machines
+ * without Ableton Live or the orchestral packs. Each track plays with a simple
+ * timbre roughly matching the instrument loaded in Live (its "timbre" in the
+ * spec), honouring pitch, velocity, duration and the composition's tempo.
+ */
+
+const fs = require("fs");
+
+// Gain applied to every mix: the canon peaks around 0.6 of full scale, which
+// leaves room for louder versions before they clip
+const MASTER_GAIN = 0.18;
+
+// Peak of a normalized mix, leaving some headroom
+const NORMALIZED_PEAK = 0.89;
+
+// Simple timbres: harmonic amplitudes plus an envelope (seconds)
+// sustain 0 makes the sound percussive, decaying with the "decay" time constant
+const TIMBRES = {
+  piano: {
+    harmonics: [1, 0.5, 0.3, 0.15, 0.08, 0.04],
+    attack: 0.004, decay: 0.9, sustain: 0, release: 0.12, gain: 0.6
+  },
+  strings: {
+    harmonics: [1, 0.5, 0.33, 0.25, 0.2, 0.16, 0.14, 0.12],
+    attack: 0.25, decay: 0.4, sustain: 0.85, release: 0.35, gain: 0.35,
+    vibrato: { rate: 5.5, depth: 0.004 }, detune: 0.003
+  },
+  brass: {
+    harmonics: [1, 0.85, 0.65, 0.5, 0.35, 0.25, 0.15],
+    attack: 0.05, decay: 0.25, sustain: 0.75, release: 0.1, gain: 0.4,
+    vibrato: { rate: 5, depth: 0.002 }
+  },
+  woodwind: {
+    harmonics: [1, 0.1, 0.33, 0.05, 0.2, 0.03, 0.14],
+    attack: 0.04, decay: 0.2, sustain: 0.8, release: 0.08, gain: 0.45,
+    vibrato: { rate: 5, depth: 0.003 }
+  },
+  mallet: {
+    harmonics: [1, 0, 0, 0.3, 0, 0, 0, 0, 0.1],
+    attack: 0.002, decay: 1.1, sustain: 0, release: 0.2, gain: 0.55,
+    tremolo: { rate: 6, depth: 0.35 }
+  },
+  pad: {
+    harmonics: [1, 0.35, 0.12, 0.05],
+    attack: 0.9, decay: 1, sustain: 1, release: 1.2, gain: 0.3,
+    detune: 0.006
+  }
+};
+
+// Function to convert a MIDI pitch to a frequency in Hz
+function pitchToFrequency(pitch) {
+  return 440 * Math.pow(2, (pitch - 69) / 12);
+}
+
+// Function to compute the envelope level at a time, for a note held for `held` seconds
+function envelopeAt(time, held, timbre) {
+  let level;
+  const attacked = Math.min(time, held);
+  if (attacked < timbre.attack) {
+    level = attacked / timbre.attack;
+  } else {
+    const sinceAttack = attacked - timbre.attack;
+    level = timbre.sustain + (1 - timbre.sustain) * Math.exp(-sinceAttack / timbre.decay);
+  }
+  if (time > held) {
+    level *= Math.max(0, 1 - (time - held) / timbre.release);
+  }
+  return level;
+}
+
+const WAVETABLE_SIZE = 4096;
+const wavetables = new Map();
+
+// Function to get one cycle of a timbre's waveform, limited to its first
+// `harmonicCount` harmonics so high notes stay below the Nyquist frequency
+function getWavetable(timbre, harmonicCount) {
+  const key = `${timbre.harmonics.join(",")}/${harmonicCount}`;
+  if (!wavetables.has(key)) {
+    const table = new Float32Array(WAVETABLE_SIZE + 1);
+    for (let i = 0; i <= WAVETABLE_SIZE; i++) {
+      const phase = (2 * Math.PI * i) / WAVETABLE_SIZE;
+      for (let h = 0; h < harmonicCount; h++) {
+        table[i] += timbre.harmonics[h] * Math.sin(phase * (h + 1));
+      }
+    }
+    wavetables.set(key, table);
+  }
+  return wavetables.get(key);
+}
+
+// Function to read a wavetable at a phase in cycles, interpolating linearly
+function readWavetable(table, cycles) {
+  const position = (cycles - Math.floor(cycles)) * WAVETABLE_SIZE;
+  const index = Math.floor(position);
+  const fraction = position - index;
+  return table[index] + (table[index + 1] - table[index]) * fraction;
+}
+
+// Function to add one note into the stereo buffers
+function renderNote(note, timbre, pan, buffers, secondsPerBeat, sampleRate) {
+  const start = Math.round(note.start_time * secondsPerBeat * sampleRate);
+  const held = note.duration * secondsPerBeat;
+  const length = Math.min(
+    Math.ceil((held + timbre.release) * sampleRate),
+    buffers.left.length - start
+  );
+  const frequency = pitchToFrequency(note.pitch);
+  const amplitude = timbre.gain * Math.pow(note.velocity / 127, 1.5);
+  const leftGain = amplitude * Math.cos(((pan + 1) * Math.PI) / 4);
+  const rightGain = amplitude * Math.sin(((pan + 1) * Math.PI) / 4);
+  const detunes = timbre.detune ? [1 - timbre.detune, 1 + timbre.detune] : [1];
+  const harmonicCount = Math.max(1, Math.min(
+    timbre.harmonics.length,
+    Math.floor(sampleRate / 2 / (frequency * (1 + (timbre.detune || 0))))
+  ));
+  const table = getWavetable(timbre, harmonicCount);
+  const phases = detunes.map(() => 0);
+
+  for (let i = 0; i < length; i++) {
+    const time = i / sampleRate;
+    const vibrato = timbre.vibrato
+      ? 1 + timbre.vibrato.depth * Math.sin(2 * Math.PI * timbre.vibrato.rate * time)
+      : 1;
+    let sample = 0;
+    for (let d = 0; d < detunes.length; d++) {
+      sample += readWavetable(table, phases[d]);
+      phases[d] += (frequency * detunes[d] * vibrato) / sampleRate;
+    }
+    sample *= envelopeAt(time, held, timbre) / detunes.length;
+    if (timbre.tremolo) {
+      sample *= 1 - timbre.tremolo.depth * (0.5 + 0.5 * Math.sin(2 * Math.PI * timbre.tremolo.rate * time));
+    }
+    buffers.left[start + i] += sample * leftGain;
+    buffers.right[start + i] += sample * rightGain;
+  }
+}
+
+// Function to encode stereo float samples as a 16-bit PCM WAV file buffer
+function encodeWav(left, right, sampleRate) {
+  const dataLength = left.length * 4;
+  const buffer = Buffer.alloc(44 + dataLength);
+  buffer.write("RIFF", 0, "ascii");
+  buffer.writeUInt32LE(36 + dataLength, 4);
+  buffer.write("WAVE", 8, "ascii");
+  buffer.write("fmt ", 12, "ascii");
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);              // PCM
+  buffer.writeUInt16LE(2, 22);              // Stereo
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 4, 28); // Byte rate
+  buffer.writeUInt16LE(4, 32);              // Block align
+  buffer.writeUInt16LE(16, 34);             // Bits per sample
+  buffer.write("data", 36, "ascii");
+  buffer.writeUInt32LE(dataLength, 40);
+
+  const clamp = value => Math.max(-1, Math.min(1, value));
+  for (let i = 0; i < left.length; i++) {
+    buffer.writeInt16LE(Math.round(clamp(left[i]) * 32767), 44 + i * 4);
+    buffer.writeInt16LE(Math.round(clamp(right[i]) * 32767), 46 + i * 4);
+  }
+  return buffer;
+}
+
+// Function to render a resolved composition to stereo sample buffers
+// Tracks are spread across the stereo field in track order. The mix is scaled
+// by a fixed gain, so renders of two versions can be compared for loudness;
+// normalize scales it to a peak just below full scale instead.
+function renderComposition(composition, { sampleRate = 44100, tracks, gain = MASTER_GAIN, normalize = false } = {}) {
+  const secondsPerBeat = 60 / composition.tempo;
+  const selected = composition.tracks.filter(track => !tracks || tracks.includes(track.name));
+  const lastRelease = Math.max(...Object.values(TIMBRES).map(timbre => timbre.release));
+  const endBeat = Math.max(
+    composition.form.totalLength,
+    ...selected.flatMap(track => track.notes.map(note => note.start_time + note.duration))
+  );
+  const length = Math.ceil((endBeat * secondsPerBeat + lastRelease) * sampleRate);
+  const buffers = { left: new Float32Array(length), right: new Float32Array(length) };
+
+  selected.forEach((track, index) => {
+    const timbre = TIMBRES[track.timbre] || TIMBRES.piano;
+    const pan = selected.length > 1 ? -0.6 + (1.2 * index) / (selected.length - 1) : 0;
+    track.notes
+      .filter(note => !note.mute)
+      .forEach(note => renderNote(note, timbre, pan, buffers, secondsPerBeat, sampleRate));
+  });
+
+  let scale = gain;
+  if (normalize) {
+    let peak = 0;
+    for (let i = 0; i < length; i++) {
+      peak = Math.max(peak, Math.abs(buffers.left[i]), Math.abs(buffers.right[i]));
+    }
+    scale = peak > 0 ? NORMALIZED_PEAK / peak : 1;
+  }
+  for (let i = 0; i < length; i++) {
+    buffers.left[i] *= scale;
+    buffers.right[i] *= scale;
+  }
+  return { ...buffers, sampleRate };
+}
+
+// Function to render a resolved composition and write it as a WAV file
+//
+// options:
+// - sampleRate: samples per second (default 44100)
+// - tracks: names of the tracks to render (default all), e.g. to solo a voice
+// - gain: master gain (default MASTER_GAIN), the same for every render
+// - normalize: scale the mix to a fixed peak instead, which makes it as loud
+//   as any other render
+function writeCompositionWav(composition, filePath, options = {}) {
+  const { left, right, sampleRate } = renderComposition(composition, options);
+  fs.writeFileSync(filePath, encodeWav(left, right, sampleRate));
+}
+
+module.exports = {
+  MASTER_GAIN,
+  TIMBRES,
+  renderComposition,
+  encodeWav,
+  writeCompositionWav
+};
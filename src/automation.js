@@ -0,0 +1,231 @@
+/**
+ * Rotation-driven automation
+ *
+ * Implements the "rotational velocity → tempo" row of docs/math-analysis.md
+ * §5.1. The piece travels outward through the galaxy, from the core at its
+ * first beat to the rim at its last, along a logarithmic radius sweep. The
+ * galaxy's rotation curve v(r) = vMax·(1 − e^(−r/turnover)) rises steeply in
+ * the core and flattens in the disc, so the tempo drifts up with it and then
+ * settles.
+ *
+ * Mix envelopes follow the density each track feels (density-wave.js): its
+ * volume swells on the arm crests, and an Auto Filter opens with the density
+ * and with the build of every section towards its climax, wider in each
+ * section than the one before (brighter timbres where matter is compressed,
+ * §4.2).
+ *
+ * Envelopes are lists of {time, value} points in beats. Tempo values are BPM;
+ * mixer and device values are normalized to the parameter's range (0-1), where
+ * a volume of 0.85 is 0 dB.
+ */
+
+const { createDensityWave, densityAt, voiceRadius } = require("./density-wave");
+
+// Rotation curve: rises over the turnover radius, flat beyond it
+const DEFAULT_ROTATION_CURVE = {
+  vMax: 1,
+  turnover: 2
+};
+
+const DEFAULT_AUTOMATION = {
+  innerRadius: 0.5,   // Radius of the first beat
+  outerRadius: 12,    // Radius of the last beat
+  rotationCurve: DEFAULT_ROTATION_CURVE,
+  tempoDrift: 0.05,   // Largest tempo change either side of the spec tempo (fraction)
+  tempoStep: 4,       // Beats between tempo points
+  step: 1,            // Beats between volume and filter points
+  volume: { floor: 0.62, ceiling: 0.85 },
+  filter: { closed: 0.35, open: 0.95 },
+  densityWave: {}     // Density-wave options (see density-wave.js)
+};
+
+// Browser URI of Live's Auto Filter, loaded after each instrument for the
+// filter envelopes
+const AUTO_FILTER_URI = "query:AudioFx#Auto%20Filter";
+
+// Parameters the envelopes are written to
+const VOLUME_PARAMETER = { target: "mixer", name: "Volume" };
+const FILTER_PARAMETER = { target: "device", device: "Auto Filter", name: "Frequency" };
+
+// Function to merge automation options over the defaults
+function resolveOptions(options) {
+  return {
+    ...DEFAULT_AUTOMATION,
+    ...options,
+    rotationCurve: { ...DEFAULT_ROTATION_CURVE, ...(options.rotationCurve || {}) },
+    volume: { ...DEFAULT_AUTOMATION.volume, ...(options.volume || {}) },
+    filter: { ...DEFAULT_AUTOMATION.filter, ...(options.filter || {}) }
+  };
+}
+
+// Function to get the radius the piece has reached at a beat
+function radiusAtBeat(beat, totalLength, { innerRadius, outerRadius }) {
+  const progress = Math.max(0, Math.min(1, beat / totalLength));
+  return innerRadius * Math.pow(outerRadius / innerRadius, progress);
+}
+
+// Function to get the orbital velocity at a radius from the rotation curve
+function rotationVelocity(radius, { vMax, turnover }) {
+  return vMax * (1 - Math.exp(-radius / turnover));
+}
+
+// Function to sample times from 0 to the end of the piece, end included
+function sampleTimes(totalLength, step) {
+  const times = [];
+  for (let time = 0; time < totalLength; time += step) times.push(time);
+  times.push(totalLength);
+  return times;
+}
+
+// Function to compute the tempo envelope from the rotation curve
+// The slowest orbit of the sweep maps to tempo·(1 − drift), the fastest to
+// tempo·(1 + drift)
+function computeTempoEnvelope(composition, options = {}) {
+  const settings = resolveOptions(options);
+  const { totalLength } = composition.form;
+  const velocityAt = time => rotationVelocity(radiusAtBeat(time, totalLength, settings), settings.rotationCurve);
+  const slowest = velocityAt(0);
+  const fastest = velocityAt(totalLength);
+  return sampleTimes(totalLength, settings.tempoStep).map(time => {
+    const position = fastest > slowest ? (velocityAt(time) - slowest) / (fastest - slowest) : 0.5;
+    const tempo = composition.tempo * (1 + settings.tempoDrift * (2 * position - 1));
+    return { time, value: Math.round(tempo * 100) / 100 };
+  });
+}
+
+// Function to get the time in seconds at which a beat is reached under a
+// tempo envelope, with the tempo changing linearly between points
+function beatToSeconds(beat, tempoEnvelope) {
+  let seconds = 0;
+  for (let i = 0; i < tempoEnvelope.length - 1 && tempoEnvelope[i].time < beat; i++) {
+    const from = tempoEnvelope[i];
+    const to = tempoEnvelope[i + 1];
+    const end = Math.min(beat, to.time);
+    const tempoAtEnd = from.value + ((to.value - from.value) * (end - from.time)) / (to.time - from.time);
+    // Average of the (linear) tempo over the span; close enough for small drifts
+    seconds += ((end - from.time) * 60) / ((from.value + tempoAtEnd) / 2);
+  }
+  const last = tempoEnvelope[tempoEnvelope.length - 1];
+  if (beat > last.time) seconds += ((beat - last.time) * 60) / last.value;
+  return seconds;
+}
+
+// Function to get how far a section has built towards its climax, 0 to 1
+// Rises to the climax and relaxes to half by the end of the section
+function sectionArc(time, section) {
+  const position = time - section.start;
+  if (position <= section.climax - section.start) {
+    const rise = position / Math.max(section.climax - section.start, 1e-9);
+    return rise * rise * (3 - 2 * rise);
+  }
+  const fall = (position - (section.climax - section.start)) / Math.max(section.start + section.length - section.climax, 1e-9);
+  return 1 - 0.5 * Math.min(1, fall);
+}
+
+// Function to compute a track's volume and filter envelopes from the density it feels
+function computeTrackEnvelopes(track, composition, options = {}) {
+  const settings = resolveOptions(options);
+  const wave = createDensityWave(settings.densityWave);
+  const radius = voiceRadius(track.notes);
+  const { sections } = composition;
+  const round = value => Math.round(value * 1000) / 1000;
+
+  const volume = [];
+  const filter = [];
+  sampleTimes(composition.form.totalLength, settings.step).forEach(time => {
+    const density = densityAt(wave, radius, time);
+    const found = sections.findIndex(section => time < section.start + section.length);
+    const sectionIndex = found === -1 ? sections.length - 1 : found;
+    const section = sections[sectionIndex];
+    const height = (sectionIndex + 1) / sections.length;
+    const opening = 0.6 * height * sectionArc(time, section) + 0.4 * density;
+
+    volume.push({ time, value: round(settings.volume.floor + (settings.volume.ceiling - settings.volume.floor) * density) });
+    filter.push({ time, value: round(settings.filter.closed + (settings.filter.open - settings.filter.closed) * opening) });
+  });
+  return { volume, filter };
+}
+
+// Function to compute every envelope of a composition
+// Returns {tempo, tracks: [{track, volume, filter}]}
+function computeAutomation(composition, options = {}) {
+  return {
+    tempo: computeTempoEnvelope(composition, options),
+    tracks: composition.tracks.map(track => ({
+      track: track.name,
+      ...computeTrackEnvelopes(track, composition, options)
+    }))
+  };
+}
+
+// Function to check that a backend can write automation
+function assertAutomationAvailable(backend) {
+  const missing = ["setTempoAutomation", "setClipEnvelope"].filter(method => typeof backend[method] !== "function");
+  if (missing.length > 0) {
+    throw new Error(`The ${backend.name || "given"} backend cannot write automation (missing: ${missing.join(", ")})`);
+  }
+}
+
+// Function to cut an envelope to a clip's span and move it to the clip start
+// The values at both edges are kept, so every clip starts and ends where the
+// whole-piece envelope is
+function sliceEnvelope(points, start, end) {
+  const valueAt = time => {
+    const after = points.findIndex(point => point.time >= time);
+    if (after <= 0) return points[Math.max(after, 0)].value;
+    const before = points[after - 1];
+    const next = points[after];
+    return before.value + ((next.value - before.value) * (time - before.time)) / (next.time - before.time);
+  };
+  const inside = points.filter(point => point.time > start && point.time < end);
+  return [
+    { time: 0, value: valueAt(start) },
+    ...inside.map(point => ({ time: point.time - start, value: point.value })),
+    { time: end - start, value: valueAt(end) }
+  ];
+}
+
+// Function to load an Auto Filter on every track for the filter envelopes
+// reused is the result of setupSession(): a track an earlier run set up with
+// its instrument and Auto Filter keeps them
+function loadAutomationDevices(backend, composition, reused = []) {
+  composition.tracks.forEach((track, trackIndex) => {
+    if (reused[trackIndex] && reused[trackIndex].devices > 1) return;
+    backend.loadInstrument(trackIndex, AUTO_FILTER_URI);
+  });
+}
+
+// Function to write computed automation through a backend
+// Tempo goes to the arrangement; volume and filter become clip envelopes, one
+// per clip of the layout ("unified" or "sections", see composition.js)
+function writeAutomation(backend, composition, automation, { layout = "unified" } = {}) {
+  assertAutomationAvailable(backend);
+  backend.setTempoAutomation(automation.tempo);
+
+  automation.tracks.forEach((envelopes, trackIndex) => {
+    const clips = layout === "sections"
+      ? composition.sections.map((section, clipIndex) => ({ clipIndex, start: section.start, end: section.start + section.length }))
+      : [{ clipIndex: 0, start: 0, end: composition.form.totalLength }];
+    clips.forEach(({ clipIndex, start, end }) => {
+      backend.setClipEnvelope(trackIndex, clipIndex, VOLUME_PARAMETER, sliceEnvelope(envelopes.volume, start, end));
+      backend.setClipEnvelope(trackIndex, clipIndex, FILTER_PARAMETER, sliceEnvelope(envelopes.filter, start, end));
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_ROTATION_CURVE,
+  DEFAULT_AUTOMATION,
+  AUTO_FILTER_URI,
+  VOLUME_PARAMETER,
+  FILTER_PARAMETER,
+  radiusAtBeat,
+  rotationVelocity,
+  computeTempoEnvelope,
+  beatToSeconds,
+  computeTrackEnvelopes,
+  computeAutomation,
+  assertAutomationAvailable,
+  loadAutomationDevices,
+  writeAutomation
+};
@@ -0,0 +1,175 @@
+/**
+ * Ableton MCP backend
+ *
+ * Forwards every composition call to the Ableton MCP tool functions
+ * (set_tempo, create_midi_track, add_notes_to_clip, ...), which are provided as
+ * globals when the composition runs inside an MCP session.
+ * See: https://github.com/ahujasid/ableton-mcp
+ *
+ * Browser listings (get_browser_items_at_path), session read-back
+ * (get_session_info, get_track_info), clip read-back
+ * (get_clip_notes), scenes (create_scene, set_scene_name,
+ * fire_scene), automation (set_tempo_automation, set_clip_envelope) and clip
+ * removal (delete_clip, stop_clip) are not offered by every bridge; the backend
+ * only provides the matching methods when the tools are there.
+ */
+
+const MCP_TOOLS = [
+  "set_tempo",
+  "create_midi_track",
+  "set_track_name",
+  "load_instrument_or_effect",
+  "create_clip",
+  "set_clip_name",
+  "add_notes_to_clip",
+  "fire_clip"
+];
+
+// Tools used when the bridge provides them
+const OPTIONAL_MCP_TOOLS = [
+  "get_browser_items_at_path",
+  "get_session_info",
+  "get_track_info",
+  "get_clip_notes",
+  "create_scene",
+  "set_scene_name",
+  "fire_scene",
+  "set_tempo_automation",
+  "set_clip_envelope",
+  "delete_clip",
+  "stop_clip"
+];
+
+// Function to check that the MCP tool functions are reachable before any call is made
+function assertMcpToolsAvailable() {
+  const missing = MCP_TOOLS.filter(tool => typeof globalThis[tool] !== "function");
+  if (missing.length > 0) {
+    throw new Error(
+      `Ableton MCP tools are not available (missing: ${missing.join(", ")}). ` +
+      "Run the composition inside an MCP session or use the recording backend."
+    );
+  }
+}
+
+// Function to read a tool's result, which the bridge returns as JSON text
+function parseToolResult(result) {
+  return typeof result === "string" ? JSON.parse(result) : result;
+}
+
+// Function to create a backend that drives Ableton Live through MCP
+function createAbletonMcpBackend() {
+  assertMcpToolsAvailable();
+  
+  const backend = {
+    name: "ableton-mcp",
+    
+    setTempo(tempo) {
+      set_tempo(tempo=tempo);
+    },
+    
+    createMidiTrack(index) {
+      create_midi_track(index);
+    },
+    
+    setTrackName(trackIndex, name) {
+      set_track_name(track_index=trackIndex, name=name);
+    },
+    
+    loadInstrument(trackIndex, uri) {
+      load_instrument_or_effect(track_index=trackIndex, uri=uri);
+    },
+    
+    createClip(trackIndex, clipIndex, length) {
+      create_clip(track_index=trackIndex, clip_index=clipIndex, length=length);
+    },
+    
+    setClipName(trackIndex, clipIndex, name) {
+      set_clip_name(track_index=trackIndex, clip_index=clipIndex, name=name);
+    },
+    
+    addNotesToClip(trackIndex, clipIndex, notes) {
+      add_notes_to_clip(track_index=trackIndex, clip_index=clipIndex, notes=notes);
+    },
+    
+    fireClip(trackIndex, clipIndex) {
+      fire_clip(track_index=trackIndex, clip_index=clipIndex);
+    }
+  };
+
+  // Without browser listings, instruments are loaded from the spec URIs unresolved
+  if (typeof globalThis.get_browser_items_at_path === "function") {
+    backend.getBrowserItems = path => {
+      const result = get_browser_items_at_path(path=path);
+      const listing = parseToolResult(result);
+      return ((listing && listing.items) || []).map(item => ({
+        name: item.name,
+        uri: item.uri,
+        isFolder: Boolean(item.is_folder),
+        isLoadable: Boolean(item.is_loadable)
+      }));
+    };
+  }
+
+  if (["get_session_info", "get_track_info"].every(tool => typeof globalThis[tool] === "function")) {
+    backend.getSession = () => {
+      const session = parseToolResult(get_session_info());
+      const tracks = Array.from({ length: session.track_count || 0 }, (_, trackIndex) =>
+        parseToolResult(get_track_info(track_index=trackIndex)));
+      // Every track has one clip slot per scene
+      const sceneCount = session.scene_count !== undefined
+        ? session.scene_count
+        : tracks.length > 0 ? (tracks[0].clip_slots || []).length : 0;
+      return {
+        tracks: tracks.map(track => ({
+          name: track.name,
+          devices: (track.devices || []).length,
+          clips: (track.clip_slots || [])
+            .filter(slot => slot.has_clip && slot.clip)
+            .map(slot => ({ index: slot.index, name: slot.clip.name, length: slot.clip.length }))
+        })),
+        sceneCount
+      };
+    };
+  }
+  if (typeof globalThis.get_clip_notes === "function") {
+    backend.getClipNotes = (trackIndex, clipIndex) => {
+      const result = get_clip_notes(track_index=trackIndex, clip_index=clipIndex);
+      const clip = parseToolResult(result);
+      return Array.isArray(clip) ? clip : (clip && clip.notes) || [];
+    };
+  }
+  if (["create_scene", "set_scene_name", "fire_scene"].every(tool => typeof globalThis[tool] === "function")) {
+    backend.createScene = index => {
+      create_scene(index=index);
+    };
+    backend.setSceneName = (sceneIndex, name) => {
+      set_scene_name(scene_index=sceneIndex, name=name);
+    };
+    backend.fireScene = sceneIndex => {
+      fire_scene(scene_index=sceneIndex);
+    };
+  }
+  if (["set_tempo_automation", "set_clip_envelope"].every(tool => typeof globalThis[tool] === "function")) {
+    backend.setTempoAutomation = points => {
+      set_tempo_automation(points=points);
+    };
+    backend.setClipEnvelope = (trackIndex, clipIndex, parameter, points) => {
+      set_clip_envelope(track_index=trackIndex, clip_index=clipIndex, parameter=parameter, points=points);
+    };
+  }
+  if (["delete_clip", "stop_clip"].every(tool => typeof globalThis[tool] === "function")) {
+    backend.deleteClip = (trackIndex, clipIndex) => {
+      delete_clip(track_index=trackIndex, clip_index=clipIndex);
+    };
+    backend.stopClip = (trackIndex, clipIndex) => {
+      stop_clip(track_index=trackIndex, clip_index=clipIndex);
+    };
+  }
+  return backend;
+}
+
+module.exports = {
+  MCP_TOOLS,
+  OPTIONAL_MCP_TOOLS,
+  createAbletonMcpBackend
+};
@@ -0,0 +1,42 @@
+/**
+ * Composition backends
+ *
+ * A backend is the object the composition talks to instead of calling Ableton
+ * MCP globals directly. Every backend implements the same methods:
+ *
+ * - setTempo(tempo)
+ * - createMidiTrack(index)
+ * - setTrackName(trackIndex, name)
+ * - loadInstrument(trackIndex, uri)
+ * - createClip(trackIndex, clipIndex, length)
+ * - setClipName(trackIndex, clipIndex, name)
+ * - addNotesToClip(trackIndex, clipIndex, notes)
+ * - fireClip(trackIndex, clipIndex)
+ *
+ * and may implement:
+ *
+ * - getBrowserItems(path), listing the browser items at a path as
+ *   {name, uri, isFolder, isLoadable}, to let instruments.js resolve
+ *   instruments that are missing on the machine
+ * - getSession(), reading the tracks ({name, devices, clips: [{index, name,
+ *   length}]}) and the scene count back, so a rerun reuses what an earlier
+ *   run created
+ * - getClipNotes(trackIndex, clipIndex), reading a clip's notes back so note
+ *   uploads can be verified and resumed
+ * - createScene(index), setSceneName(sceneIndex, name) and fireScene(sceneIndex),
+ *   needed to perform in the "sections" layout
+ * - setTempoAutomation(points) and setClipEnvelope(trackIndex, clipIndex,
+ *   parameter, points), needed to write automation (see automation.js)
+ * - deleteClip(trackIndex, clipIndex) and stopClip(trackIndex, clipIndex),
+ *   needed by live mode (see live-mode.js)
+ */
+
+const { createAbletonMcpBackend } = require("./ableton-mcp");
+const { createRecordingBackend } = require("./recording");
+const { createOscBackend } = require("./osc");
+
+module.exports = {
+  createAbletonMcpBackend,
+  createRecordingBackend,
+  createOscBackend
+};
@@ -0,0 +1,274 @@
+/**
+ * OSC backend
+ *
+ * Performs the composition as timed Open Sound Control messages over UDP, for
+ * synths and visualizers outside Ableton Live (SuperCollider, a projection
+ * visualizer). Clips are kept in memory like a Session View: firing a clip
+ * schedules its notes against the clock and streams them as they fall due:
+ *
+ *   /galaxy/tempo      f bpm
+ *   /galaxy/track      i track, s name
+ *   /galaxy/note/on    i track, i pitch, i velocity, f seconds, s section, f angle, f radius
+ *   /galaxy/note/off   i track, i pitch, s section, f angle
+ *
+ * The section is the scene the clip was fired from, or the section of the
+ * form the note falls in. Angle and radius place the note on the galaxy: the
+ * angle is the rotation of the spiral at the note's onset, the time mapping of
+ * spiral.js inverted (one turn per beatsPerTurn beats, in radians 0-2π), and
+ * the radius is the orbit of its pitch (pitchToRadius in density-wave.js).
+ *
+ * Like Live, a track plays one clip at a time: firing another stops the first
+ * where the new one starts, and launches wait for the next bar of the
+ * transport, so live mode's early launches land on their boundary. Clips play
+ * once; they do not loop. Scenes are supported, automation is not.
+ */
+
+const dgram = require("dgram");
+const { encodeOscMessage } = require("../osc");
+const { pitchToRadius } = require("../density-wave");
+const { createSystemClock } = require("../live-mode");
+
+const TWO_PI = 2 * Math.PI;
+
+const DEFAULT_OSC = {
+  host: "127.0.0.1",
+  port: 57120,        // sclang's default port
+  prefix: "/galaxy",
+  launchQuantization: 4, // Beats: clips start on the next bar of the transport
+  beatsPerTurn: 16       // Same time scale as the spiral generator
+};
+
+// Beats after a launch boundary that still count as on it, so clips fired
+// together in one call sequence start together
+const LAUNCH_TOLERANCE = 0.05;
+
+// Function to create a backend that streams notes as OSC messages over UDP
+//
+// options (see DEFAULT_OSC): host, port, prefix, launchQuantization, beatsPerTurn;
+// - sections: the composition's sections ({name, start, length}), to name the
+//   section of notes played from clips rather than scenes
+// - clock: system clock by default, or createSimulatedClock() from live-mode.js
+// - socket: UDP socket to send from (default: a new udp4 socket)
+// - onError(error, address): required; called for every message that could not
+//   be sent, e.g. to a host that does not resolve, with its OSC address, and
+//   for socket errors without an address
+function createOscBackend(options = {}) {
+  if (typeof options.onError !== "function") {
+    throw new Error("An OSC backend needs onError to report messages that cannot be sent");
+  }
+  const settings = { ...DEFAULT_OSC, ...options };
+  const clock = options.clock || createSystemClock();
+  const socket = options.socket || dgram.createSocket("udp4");
+  const sections = options.sections || [];
+  const onError = options.onError;
+  socket.on("error", error => onError(error, null));
+
+  let tempo = 120;
+  let transportStart = null;
+  let timer = null;
+  const clips = new Map();   // "track/clip" -> {length, name, notes}
+  const scenes = [];
+  const playing = new Map(); // track -> clip index playing or queued
+  let scheduled = [];        // notes waiting for their note-on or note-off
+  let unsent = 0;            // messages handed to the socket and not yet sent
+  let closing = false;
+
+  const msPerBeat = () => 60000 / tempo;
+  const beatNow = () => (transportStart === null ? 0 : (clock.now() - transportStart) / msPerBeat());
+
+  // Function to send one OSC message to the target
+  // The socket closes once the messages sent before close() have gone out
+  function send(path, args) {
+    const address = `${settings.prefix}${path}`;
+    unsent += 1;
+    socket.send(encodeOscMessage(address, args), settings.port, settings.host, error => {
+      unsent -= 1;
+      if (error) onError(error, address);
+      if (closing && unsent === 0) socket.close();
+    });
+  }
+
+  // Function to name the section of the form a clip-relative beat falls in
+  function sectionAt(beat) {
+    const section = sections.find(candidate => beat >= candidate.start && beat < candidate.start + candidate.length);
+    return section ? section.name : "";
+  }
+
+  // Function to find the beat the next launch starts at, starting the transport
+  function nextLaunchBeat() {
+    if (transportStart === null) {
+      transportStart = clock.now();
+      return 0;
+    }
+    const quantum = settings.launchQuantization;
+    const beat = beatNow();
+    return quantum > 0 ? Math.max(0, Math.ceil((beat - LAUNCH_TOLERANCE) / quantum) * quantum) : beat;
+  }
+
+  // Function to end a track's notes at a beat: notes not yet started are
+  // dropped, sounding ones end there
+  function cutTrack(trackIndex, beat) {
+    scheduled = scheduled.filter(item => item.track !== trackIndex || item.started || item.on < beat);
+    scheduled.forEach(item => {
+      if (item.track === trackIndex && item.off > beat) item.off = beat;
+    });
+  }
+
+  // Function to send every message that has fallen due and wait for the next one
+  function tick() {
+    timer = null;
+    const now = beatNow() + 1e-9;
+    const due = [];
+    scheduled.forEach(item => {
+      if (!item.started && item.on <= now) due.push({ beat: item.on, kind: "on", item });
+      if (item.off <= now) due.push({ beat: item.off, kind: "off", item });
+    });
+    due
+      .sort((x, y) => x.beat - y.beat || (x.kind === "off" ? -1 : 1))
+      .forEach(({ kind, item }) => {
+        if (kind === "on") {
+          item.started = true;
+          send("/note/on", [item.track, item.pitch, item.velocity, { type: "f", value: item.seconds },
+            item.section, { type: "f", value: item.angle }, { type: "f", value: item.radius }]);
+        } else {
+          send("/note/off", [item.track, item.pitch, item.section, { type: "f", value: item.angle }]);
+        }
+      });
+    scheduled = scheduled.filter(item => item.off > now);
+    schedule();
+  }
+
+  // Function to set the timer for the next message due
+  function schedule() {
+    if (timer !== null) clock.clearTimeout(timer);
+    timer = null;
+    if (scheduled.length === 0) return;
+    const next = Math.min(...scheduled.map(item => (item.started ? item.off : item.on)));
+    timer = clock.setTimeout(tick, Math.max(0, (next - beatNow()) * msPerBeat()));
+  }
+
+  // Function to launch a clip on its track, from a scene when its name is given
+  function launch(trackIndex, clipIndex, sceneName) {
+    const clip = clips.get(`${trackIndex}/${clipIndex}`);
+    if (!clip) {
+      throw new Error(`Track ${trackIndex} has no clip in slot ${clipIndex}`);
+    }
+    const start = nextLaunchBeat();
+    cutTrack(trackIndex, start);
+    playing.set(trackIndex, clipIndex);
+    clip.notes
+      .filter(note => !note.mute && note.start_time < clip.length)
+      .forEach(note => {
+        const on = start + note.start_time;
+        scheduled.push({
+          track: trackIndex,
+          clip: clipIndex,
+          pitch: note.pitch,
+          velocity: note.velocity,
+          seconds: (note.duration * msPerBeat()) / 1000,
+          section: sceneName !== undefined ? sceneName : sectionAt(note.start_time),
+          angle: (((TWO_PI * on) / settings.beatsPerTurn) % TWO_PI),
+          radius: pitchToRadius(note.pitch),
+          on,
+          // Like a clip in Live, the clip's end cuts notes that run past it
+          off: Math.min(on + note.duration, start + clip.length),
+          started: false
+        });
+      });
+  }
+
+  // Function to stop a track's clip when it is the one playing or queued
+  function stopClip(trackIndex, clipIndex) {
+    if (playing.get(trackIndex) !== clipIndex) return;
+    playing.delete(trackIndex);
+    cutTrack(trackIndex, beatNow());
+    tick();
+  }
+
+  return {
+    name: "osc",
+
+    setTempo(bpm) {
+      tempo = bpm;
+      send("/tempo", [{ type: "f", value: bpm }]);
+    },
+
+    createMidiTrack() {},
+
+    setTrackName(trackIndex, name) {
+      send("/track", [trackIndex, name]);
+    },
+
+    // Instruments are chosen by the receiving synth
+    loadInstrument() {},
+
+    createClip(trackIndex, clipIndex, length) {
+      clips.set(`${trackIndex}/${clipIndex}`, { length, name: "", notes: [] });
+    },
+
+    setClipName(trackIndex, clipIndex, name) {
+      const clip = clips.get(`${trackIndex}/${clipIndex}`);
+      if (clip) clip.name = name;
+    },
+
+    addNotesToClip(trackIndex, clipIndex, notes) {
+      const clip = clips.get(`${trackIndex}/${clipIndex}`);
+      if (!clip) {
+        throw new Error(`Track ${trackIndex} has no clip in slot ${clipIndex}`);
+      }
+      clip.notes.push(...notes.map(note => ({ ...note })));
+    },
+
+    getClipNotes(trackIndex, clipIndex) {
+      const clip = clips.get(`${trackIndex}/${clipIndex}`);
+      return clip ? clip.notes.map(note => ({ ...note })) : [];
+    },
+
+    fireClip(trackIndex, clipIndex) {
+      launch(trackIndex, clipIndex);
+      schedule();
+    },
+
+    stopClip,
+
+    deleteClip(trackIndex, clipIndex) {
+      stopClip(trackIndex, clipIndex);
+      clips.delete(`${trackIndex}/${clipIndex}`);
+    },
+
+    createScene(index) {
+      scenes[index] = "";
+    },
+
+    setSceneName(sceneIndex, name) {
+      scenes[sceneIndex] = name;
+    },
+
+    fireScene(sceneIndex) {
+      [...new Set([...clips.keys()].map(key => Number(key.split("/")[0])))]
+        .filter(trackIndex => clips.has(`${trackIndex}/${sceneIndex}`))
+        .forEach(trackIndex => launch(trackIndex, sceneIndex, scenes[sceneIndex] || ""));
+      schedule();
+    },
+
+    // Function to tell how many notes are still to start or end
+    pending() {
+      return scheduled.length;
+    },
+
+    // Function to stop everything, ending sounding notes, and close the socket
+    close() {
+      [...playing.keys()].forEach(trackIndex => cutTrack(trackIndex, beatNow()));
+      tick();
+      if (timer !== null) clock.clearTimeout(timer);
+      timer = null;
+      closing = true;
+      if (unsent === 0) socket.close();
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_OSC,
+  createOscBackend
+};
@@ -0,0 +1,184 @@
+/**
+ * Recording backend
+ *
+ * An in-memory backend that performs nothing and captures every call the
+ * composition makes, named after the Ableton MCP tool it stands for. Used to
+ * run and inspect the piece offline.
+ *
+ * Given a stub browser tree it also answers browser listings, so instrument
+ * resolution can be tried without Live. The tree nests folders as objects and
+ * gives loadable items as URI strings:
+ *
+ *   { instruments: { Operator: "query:Synths#Operator", "Instrument Rack": { ... } } }
+ *
+ * It keeps the tracks, scenes and clips it is asked to create, can read them
+ * back like a bridge with get_session_info, get_track_info and get_clip_notes,
+ * and can be told to fail calls to rehearse upload errors and reruns.
+ */
+
+// Function to list the items of a stub browser tree at a path like "instruments/Instrument Rack"
+function listBrowserTree(tree, path) {
+  const folder = path.split("/").reduce(
+    (node, name) => (node && typeof node === "object" ? node[name] : undefined),
+    tree
+  );
+  if (!folder || typeof folder !== "object") {
+    throw new Error(`Browser path not found: ${path}`);
+  }
+  return Object.entries(folder).map(([name, value]) => (typeof value === "string"
+    ? { name, uri: value, isFolder: false, isLoadable: true }
+    : { name, uri: null, isFolder: true, isLoadable: false }));
+}
+
+// Function to create a backend that records calls instead of sending them
+//
+// options:
+// - browserTree: stub browser tree answering getBrowserItems (default: none,
+//   and the backend does not offer getBrowserItems)
+// - readBack: offer getSession and getClipNotes (default false, like a bridge
+//   without get_session_info, get_track_info and get_clip_notes)
+// - fail: function (tool, params) returning an Error to throw instead of
+//   applying the call, or nothing; failed calls are recorded with the error
+function createRecordingBackend({ browserTree, readBack = false, fail } = {}) {
+  const calls = [];
+  const tracks = [];   // {name, devices, clips: Map clipIndex -> {name, length, notes}}
+  let sceneCount = 0;
+  
+  // Function to store one call with its MCP-style parameters, failing it when asked
+  function record(tool, params) {
+    const error = fail && fail(tool, params);
+    if (error) {
+      calls.push({ tool, params, error: error.message });
+      throw error;
+    }
+    calls.push({ tool, params });
+  }
+
+  // Function to get a track by index, adding empty tracks up to it for calls
+  // made without create_midi_track
+  function trackAt(index) {
+    while (tracks.length <= index) tracks.push({ name: "", devices: 0, clips: new Map() });
+    return tracks[index];
+  }
+  
+  const backend = {
+    name: "recording",
+    calls,
+    
+    setTempo(tempo) {
+      record("set_tempo", { tempo });
+    },
+    
+    createMidiTrack(index) {
+      record("create_midi_track", { index });
+      // Like Live, a track created at an index moves the tracks from there on
+      tracks.splice(index < 0 || index > tracks.length ? tracks.length : index, 0, { name: "", devices: 0, clips: new Map() });
+    },
+    
+    setTrackName(trackIndex, name) {
+      record("set_track_name", { track_index: trackIndex, name });
+      trackAt(trackIndex).name = name;
+    },
+    
+    loadInstrument(trackIndex, uri) {
+      record("load_instrument_or_effect", { track_index: trackIndex, uri });
+      trackAt(trackIndex).devices += 1;
+    },
+    
+    createClip(trackIndex, clipIndex, length) {
+      record("create_clip", { track_index: trackIndex, clip_index: clipIndex, length });
+      trackAt(trackIndex).clips.set(clipIndex, { name: "", length, notes: [] });
+    },
+    
+    setClipName(trackIndex, clipIndex, name) {
+      record("set_clip_name", { track_index: trackIndex, clip_index: clipIndex, name });
+      const clip = trackAt(trackIndex).clips.get(clipIndex);
+      if (clip) clip.name = name;
+    },
+    
+    addNotesToClip(trackIndex, clipIndex, notes) {
+      record("add_notes_to_clip", {
+        track_index: trackIndex,
+        clip_index: clipIndex,
+        notes: notes.map(note => ({ ...note }))
+      });
+      const track = trackAt(trackIndex);
+      if (!track.clips.has(clipIndex)) track.clips.set(clipIndex, { name: "", length: 0, notes: [] });
+      track.clips.get(clipIndex).notes.push(...notes.map(note => ({ ...note })));
+    },
+    
+    fireClip(trackIndex, clipIndex) {
+      record("fire_clip", { track_index: trackIndex, clip_index: clipIndex });
+    },
+    
+    deleteClip(trackIndex, clipIndex) {
+      record("delete_clip", { track_index: trackIndex, clip_index: clipIndex });
+      trackAt(trackIndex).clips.delete(clipIndex);
+    },
+    
+    stopClip(trackIndex, clipIndex) {
+      record("stop_clip", { track_index: trackIndex, clip_index: clipIndex });
+    },
+    
+    createScene(index) {
+      record("create_scene", { index });
+      sceneCount += 1;
+    },
+    
+    setSceneName(sceneIndex, name) {
+      record("set_scene_name", { scene_index: sceneIndex, name });
+    },
+    
+    fireScene(sceneIndex) {
+      record("fire_scene", { scene_index: sceneIndex });
+    },
+    
+    setTempoAutomation(points) {
+      record("set_tempo_automation", { points: points.map(point => ({ ...point })) });
+    },
+    
+    setClipEnvelope(trackIndex, clipIndex, parameter, points) {
+      record("set_clip_envelope", {
+        track_index: trackIndex,
+        clip_index: clipIndex,
+        parameter: { ...parameter },
+        points: points.map(point => ({ ...point }))
+      });
+    },
+    
+    // Function to list recorded calls for one MCP tool
+    callsTo(tool) {
+      return calls.filter(call => call.tool === tool);
+    }
+  };
+
+  if (readBack) {
+    backend.getSession = () => {
+      record("get_session_info", {});
+      return {
+        tracks: tracks.map(track => ({
+          name: track.name,
+          devices: track.devices,
+          clips: [...track.clips].map(([index, clip]) => ({ index, name: clip.name, length: clip.length }))
+        })),
+        sceneCount
+      };
+    };
+    backend.getClipNotes = (trackIndex, clipIndex) => {
+      record("get_clip_notes", { track_index: trackIndex, clip_index: clipIndex });
+      const clip = tracks[trackIndex] && tracks[trackIndex].clips.get(clipIndex);
+      return clip ? clip.notes.map(note => ({ ...note })) : [];
+    };
+  }
+  if (browserTree) {
+    backend.getBrowserItems = path => {
+      record("get_browser_items_at_path", { path });
+      return listBrowserTree(browserTree, path);
+    };
+  }
+  return backend;
+}
+
+module.exports = {
+  createRecordingBackend
+};
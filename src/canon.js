@@ -0,0 +1,147 @@
+/**
+ * Canon transformations
+ *
+ * Composable operators over note arrays implementing Bach's canonic techniques
+ * from docs/math-analysis.md §6.1: transposition (chromatic and diatonic),
+ * inversion, retrograde, augmentation/diminution and delayed imitation.
+ *
+ * Every operator takes a note array and returns a new one; the input is never
+ * modified. applyTransforms() chains operators from plain objects, so a voice
+ * can be declared as data:
+ *
+ *   applyTransforms(getGalacticCoreExpositionNotes(), [
+ *     { type: "invert", axis: 67 },
+ *     { type: "delay", beats: 4 }
+ *   ]);
+ */
+
+const { SCALES, pitchToDegree, degreeToPitch } = require("./scales");
+const { quantize, sortNotes } = require("./note-utils");
+
+// Golden ratio, for augmentation and diminution by φ
+const PHI = (1 + Math.sqrt(5)) / 2;
+
+// Function to get the earliest onset and latest release of a note array
+function getTimeSpan(notes) {
+  if (notes.length === 0) return { start: 0, end: 0 };
+  return {
+    start: Math.min(...notes.map(note => note.start_time)),
+    end: Math.max(...notes.map(note => note.start_time + note.duration))
+  };
+}
+
+// Function to shift every pitch by a number of semitones
+function transpose(notes, semitones) {
+  return notes.map(note => ({ ...note, pitch: note.pitch + semitones }));
+}
+
+// Function to shift every pitch by a number of scale steps, keeping it in the key
+function transposeDiatonic(notes, steps, { root = 60, scale = SCALES.major } = {}) {
+  return notes.map(note => {
+    const { degree, alteration } = pitchToDegree(note.pitch, root, scale);
+    return { ...note, pitch: degreeToPitch(degree + steps, root, scale, alteration) };
+  });
+}
+
+// Function to mirror every pitch around an axis pitch
+// With a scale the mirror is taken in scale steps (tonal inversion)
+function invert(notes, axis, { root = 60, scale } = {}) {
+  if (!scale) {
+    return notes.map(note => ({ ...note, pitch: 2 * axis - note.pitch }));
+  }
+  const axisDegree = pitchToDegree(axis, root, scale).degree;
+  return notes.map(note => {
+    const { degree, alteration } = pitchToDegree(note.pitch, root, scale);
+    return { ...note, pitch: degreeToPitch(2 * axisDegree - degree, root, scale, -alteration) };
+  });
+}
+
+// Function to play the notes backwards within their original time span
+function retrograde(notes) {
+  const { start, end } = getTimeSpan(notes);
+  return sortNotes(notes.map(note => ({
+    ...note,
+    start_time: start + end - (note.start_time + note.duration)
+  })));
+}
+
+// Function to stretch onsets and durations by a ratio (ratio > 1 augments)
+// Times are scaled from the first onset unless an origin is given, and can be
+// snapped to a grid since ratios like φ give irrational positions
+function augment(notes, ratio, { origin, grid = 0 } = {}) {
+  if (!(ratio > 0)) throw new Error(`Augmentation ratio must be positive, got ${ratio}`);
+  const anchor = origin === undefined ? getTimeSpan(notes).start : origin;
+  return notes.map(note => {
+    const start = quantize(anchor + (note.start_time - anchor) * ratio, grid);
+    const end = quantize(anchor + (note.start_time + note.duration - anchor) * ratio, grid);
+    return {
+      ...note,
+      start_time: start,
+      duration: end > start ? end - start : Math.max(grid, note.duration * ratio)
+    };
+  });
+}
+
+// Function to compress onsets and durations by a ratio (ratio > 1 diminishes)
+function diminish(notes, ratio, options = {}) {
+  if (!(ratio > 0)) throw new Error(`Diminution ratio must be positive, got ${ratio}`);
+  return augment(notes, 1 / ratio, options);
+}
+
+// Function to move every note later by a number of beats
+function delay(notes, beats) {
+  return notes.map(note => ({ ...note, start_time: note.start_time + beats }));
+}
+
+// Function to build an imitating voice: the subject at an interval, entering later
+// The interval is in semitones, or in scale steps when a scale is given
+function imitate(notes, { delay: beats = 0, interval = 0, root = 60, scale } = {}) {
+  const transposed = scale
+    ? transposeDiatonic(notes, interval, { root, scale })
+    : transpose(notes, interval);
+  return delay(transposed, beats);
+}
+
+// Operators available to applyTransforms, keyed by their "type"
+const TRANSFORMS = {
+  transpose: (notes, step) => transpose(notes, step.semitones),
+  transposeDiatonic: (notes, step) => transposeDiatonic(notes, step.steps, step),
+  invert: (notes, step) => invert(notes, step.axis, step),
+  retrograde: notes => retrograde(notes),
+  augment: (notes, step) => augment(notes, resolveRatio(step.ratio), step),
+  diminish: (notes, step) => diminish(notes, resolveRatio(step.ratio), step),
+  delay: (notes, step) => delay(notes, step.beats),
+  imitate: (notes, step) => imitate(notes, step)
+};
+
+// Function to accept "phi" as a ratio so declarative transforms can use φ
+function resolveRatio(ratio) {
+  return ratio === "phi" ? PHI : ratio;
+}
+
+// Function to apply a chain of transforms, given as functions or {type, ...} objects
+function applyTransforms(notes, steps) {
+  return steps.reduce((current, step) => {
+    if (typeof step === "function") return step(current);
+    const transform = TRANSFORMS[step.type];
+    if (!transform) {
+      throw new Error(`Unknown canon transform "${step.type}"`);
+    }
+    return transform(current, step);
+  }, notes);
+}
+
+module.exports = {
+  PHI,
+  TRANSFORMS,
+  getTimeSpan,
+  transpose,
+  transposeDiatonic,
+  invert,
+  retrograde,
+  augment,
+  diminish,
+  delay,
+  imitate,
+  applyTransforms
+};
@@ -0,0 +1,742 @@
+#!/usr/bin/env node
+/**
+ * Spiral Galaxy command-line tool
+ *
+ * Renders, exports, validates and dry-runs a composition spec without a chat
+ * session, so it can be scripted in build pipelines:
+ *
+ *   node src/cli.js plan
+ *   node src/cli.js validate --rules relaxed
+ *   node src/cli.js analyze --format json --out analysis.json
+ *   node src/cli.js diff before.json --seed 42
+ *   node src/cli.js diff src/specs/spiral-galaxy-canon.json --key "D dorian"
+ *   node src/cli.js export --format midi --out canon.mid
+ *   node src/cli.js export --format wav --out preview.wav
+ *   node src/cli.js export --format musicxml --out canon.musicxml
+ *   node src/cli.js export --format svg --frames 48
+ *   node src/cli.js perform --dry-run
+ *   node src/cli.js perform --dry-run --browser browser-tree.json
+ *   node src/cli.js perform --layout sections
+ *   node src/cli.js perform --dry-run --automation
+ *   node src/cli.js live --dry-run --bars 16
+ *   node src/cli.js perform --osc 127.0.0.1:57120
+ *   node src/cli.js monitor --osc 57120
+ *   node src/cli.js import --galaxy data/galaxies.csv --galaxy-name M51
+ *   node src/cli.js import --subject theme.mid --subject-track 1
+ *
+ * Every command takes --spec <path> to work on another spec than the canon, and
+ * --seed <n> (with --strength <0-1>) to work on a reproducible variation of it,
+ * --key <key> (with --clamp) to render it in another key or mode,
+ * --galaxy <file> to generate its voices from real galaxy data, --arms <n>
+ * to give each of n spiral arms a voice, and --subject <file.mid> to derive
+ * them from a subject read from a MIDI file.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const {
+  LAYOUTS,
+  loadSpec,
+  resolveComposition,
+  performComposition,
+  planSceneLaunches,
+  writeCompositionMidi
+} = require("./composition");
+const { formatFormPlan } = require("./form");
+const { analyzeComposition, formatAnalysis } = require("./analysis");
+const { isCompositionExport, diffCompositions, formatDiff } = require("./note-diff");
+const { writeCompositionWav } = require("./audio-preview");
+const { writeCompositionMusicXml } = require("./musicxml");
+const { writeCompositionSvg, writeTimeLapse } = require("./spiral-roll");
+const { validateComposition, formatViolations } = require("./counterpoint");
+const { resolveInstruments, formatInstrumentReport } = require("./instruments");
+const { computeTempoEnvelope } = require("./automation");
+const { createLiveGalaxy, createSimulatedClock } = require("./live-mode");
+const { loadGalaxy, galaxyToSpec, formatGalaxy } = require("./galaxy-data");
+const { loadMidiSubject, subjectToSpec, formatSubject } = require("./midi-subject");
+const { ARM_LAYERS, createArmSpec } = require("./arm-voices");
+const { createAbletonMcpBackend, createRecordingBackend, createOscBackend } = require("./backends");
+const { DEFAULT_OSC } = require("./backends/osc");
+const { createOscListener } = require("./osc");
+
+const DEFAULT_SPEC_PATH = path.join(__dirname, "specs", "spiral-galaxy-canon.json");
+
+const USAGE = `Usage: node src/cli.js <command> [options]
+
+Commands:
+  plan                         Print the sections, tracks and note counts
+  validate [--rules <set>]     Check the spec and the note data (rule set: strict or relaxed)
+  analyze [--format json]      Report density, register, dynamics and polyphony per track, section
+                               and bar, and check the sections against the docs (--out <path>)
+  diff <before> [<after>]      Compare two versions note by note: added, removed, re-pitched,
+                               re-timed and re-velocitied notes per track and section; each is a
+                               spec or a file from export --format json, <after> defaulting to
+                               the composition the options describe. The options only apply to
+                               <after>: <before> is taken as written (--format json, --out <path>)
+  export --format midi|json|wav|musicxml|svg
+                               Write the composition to a file (--out <path>);
+                               wav renders an audio preview (--sample-rate <hz>, at a fixed
+                               gain so versions compare by loudness; --normalize peaks it),
+                               musicxml a score for notation software, svg a polar
+                               spiral piano roll (--frames <n> adds a time-lapse)
+  perform [--dry-run]          Perform through Ableton MCP, or print every call with --dry-run;
+                               --browser <path> resolves instruments against a stub browser tree,
+                               --batch-size <n> sets the notes per upload call (default 30),
+                               --layout sections puts each section in its own clip and scene,
+                               --automation writes tempo, volume and filter envelopes
+  live [--dry-run --bars <n>]  Endless generative performance (p pauses/resumes, q stops);
+                               --dry-run simulates <n> bars (default 16) and prints what is sent
+  perform|live --osc <target>  Stream the notes as timed OSC messages over UDP to [host:]port
+                               (default host 127.0.0.1) instead, for synths and visualizers
+  monitor [--osc <target>]     Print the OSC messages arriving on a local port (default 57120)
+  import --galaxy <file>       Write the spec generated from a galaxy's catalog parameters or star
+                               positions (CSV or JSON) to a file (--out <path>)
+  import --subject <file.mid>  Write the spec derived from a MIDI subject to a file (--out <path>)
+
+Options:
+  --spec <path>                Composition spec to use (default: the Spiral Galaxy canon)
+  --seed <n> [--strength <x>]  Use the variation generated from seed n, at strength 0-1 (default 0.3)
+  --key <key>                  Render the piece in another key or mode, e.g. "D dorian", "A minor",
+                               "C whole-tone" or "E 0,1,4,5,7,8,10" (a scale as semitones)
+  --clamp                      Keep every part within its instrument's playable range
+  --galaxy <file>              Generate the voices from galaxy data (see docs/galaxy-data.md);
+                               --galaxy-name <name> picks a galaxy from a catalog
+  --arms <n>                   Give each of n spiral arms a canonic voice of its own;
+                               --layers core,clusters,background (or none) picks the other voices
+  --subject <file.mid>         Derive every voice from a subject read from a MIDI file;
+                               --subject-track <n|name> and --subject-channel <1-16> pick its notes,
+                               --quantize <beats> (default 0.25, or none) snaps them to a grid
+  --help                       Show this help`;
+
+// Options understood by every command
+const OPTIONS = {
+  spec: { type: "string" },
+  seed: { type: "string" },
+  strength: { type: "string" },
+  key: { type: "string" },
+  clamp: { type: "boolean", default: false },
+  galaxy: { type: "string" },
+  "galaxy-name": { type: "string" },
+  arms: { type: "string" },
+  layers: { type: "string" },
+  subject: { type: "string" },
+  "subject-track": { type: "string" },
+  "subject-channel": { type: "string" },
+  quantize: { type: "string" },
+  rules: { type: "string", default: "strict" },
+  format: { type: "string" },
+  out: { type: "string" },
+  "sample-rate": { type: "string", default: "44100" },
+  normalize: { type: "boolean", default: false },
+  frames: { type: "string" },
+  "dry-run": { type: "boolean", default: false },
+  browser: { type: "string" },
+  "batch-size": { type: "string", default: "30" },
+  layout: { type: "string", default: "unified" },
+  automation: { type: "boolean", default: false },
+  bars: { type: "string", default: "16" },
+  osc: { type: "string" },
+  help: { type: "boolean", default: false }
+};
+
+// Error for wrong command-line usage, reported with the usage text
+class UsageError extends Error {}
+
+// Function to read the MIDI subject named on the command line
+function readSubject(options, patternLength) {
+  const track = options["subject-track"];
+  const channel = options["subject-channel"] === undefined ? undefined : Number(options["subject-channel"]);
+  if (channel !== undefined && !(Number.isInteger(channel) && channel >= 1 && channel <= 16)) {
+    throw new UsageError("--subject-channel must be a MIDI channel from 1 to 16");
+  }
+  const quantize = options.quantize === "none" ? 0 : options.quantize === undefined ? undefined : Number(options.quantize);
+  if (quantize !== undefined && !(quantize >= 0)) {
+    throw new UsageError("--quantize must be a number of beats, or none");
+  }
+  return loadMidiSubject(options.subject, {
+    track: track !== undefined && /^\d+$/.test(track) ? Number(track) : track,
+    channel,
+    quantize,
+    patternLength
+  });
+}
+
+// Function to read the spec named on the command line, generated from galaxy
+// data when --galaxy is given, with one voice per arm when --arms is given, or
+// derived from a MIDI subject when --subject is given
+function readSpec(options) {
+  const spec = JSON.parse(fs.readFileSync(options.spec || DEFAULT_SPEC_PATH, "utf8"));
+  if (options["galaxy-name"] !== undefined && options.galaxy === undefined) {
+    throw new UsageError("--galaxy-name needs a --galaxy");
+  }
+  if (options.layers !== undefined && options.arms === undefined) {
+    throw new UsageError("--layers needs --arms");
+  }
+  if (options.arms !== undefined && options.galaxy !== undefined) {
+    throw new UsageError("--arms cannot be combined with --galaxy, which takes the arm count from the data");
+  }
+  if (options.subject === undefined &&
+    ["subject-track", "subject-channel", "quantize"].some(name => options[name] !== undefined)) {
+    throw new UsageError("--subject-track, --subject-channel and --quantize need a --subject");
+  }
+  if (options.subject !== undefined && (options.galaxy !== undefined || options.arms !== undefined)) {
+    throw new UsageError("--subject cannot be combined with --galaxy or --arms, which generate the voices themselves");
+  }
+  if (options.subject !== undefined) {
+    return subjectToSpec(readSubject(options, spec.form.patternLength), spec);
+  }
+  if (options.arms !== undefined) {
+    const layers = options.layers === undefined
+      ? Object.keys(ARM_LAYERS)
+      : options.layers.split(",").map(layer => layer.trim()).filter(layer => layer !== "" && layer !== "none");
+    return createArmSpec(spec, { arms: Number(options.arms), layers });
+  }
+  if (options.galaxy === undefined) return spec;
+  return galaxyToSpec(loadGalaxy(options.galaxy, { name: options["galaxy-name"] }), spec);
+}
+
+// Function to name output files after the galaxy, the subject or the spec
+function outputName(options) {
+  if (options.galaxy === undefined && options.subject === undefined) {
+    return path.basename(options.spec || DEFAULT_SPEC_PATH, ".json");
+  }
+  const name = options.galaxy === undefined
+    ? path.basename(options.subject, path.extname(options.subject))
+    : options["galaxy-name"] || path.basename(options.galaxy, path.extname(options.galaxy));
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+}
+
+// Function to load and resolve the spec named on the command line, varied
+// when a seed is given and remapped when a key or --clamp is given
+function loadComposition(options) {
+  const spec = readSpec(options);
+  if (options.strength !== undefined && options.seed === undefined) {
+    throw new UsageError("--strength needs a --seed");
+  }
+  if (options.seed !== undefined) {
+    spec.variation = {
+      ...spec.variation,
+      seed: Number(options.seed),
+      ...(options.strength !== undefined ? { strength: Number(options.strength) } : {})
+    };
+  }
+  if (options.key !== undefined || options.clamp) {
+    spec.remap = {
+      ...spec.remap,
+      ...(options.key !== undefined ? { key: options.key } : {}),
+      ...(options.clamp ? { clamp: true } : {})
+    };
+  }
+  return resolveComposition(loadSpec(spec));
+}
+
+// Function to print the form, tracks and note counts
+function planCommand(options, out) {
+  const composition = loadComposition(options);
+  out(`${composition.title} - ${composition.tempo} BPM`);
+  if (composition.galaxy) {
+    out(`Galaxy: ${formatGalaxy(composition.galaxy)}`);
+  }
+  if (composition.subject) {
+    out(`Subject: ${formatSubject(composition.subject)}`);
+  }
+  if (composition.variation) {
+    out(`Variation: seed ${composition.variation.seed}, strength ${composition.variation.strength}`);
+  }
+  if (composition.key) {
+    const { from, to, clamp } = composition.key;
+    out(`Key: ${to ? `${from} -> ${to}` : from}${clamp ? ", parts clamped to their instrument ranges" : ""}`);
+  }
+  out(formatFormPlan(composition.form));
+  out("");
+  out("Tracks:");
+  composition.tracks.forEach((track, index) => {
+    const counts = composition.sections
+      .map(section => `${section.name} ${track.sectionNotes[section.name].length}`)
+      .join(", ");
+    out(`  ${index}: ${track.name} (${track.instrumentName || track.instrument}) - ${track.notes.length} notes: ${counts}`);
+  });
+  return 0;
+}
+
+// Function to validate the spec and check the notes against the counterpoint rules
+function validateCommand(options, out) {
+  const composition = loadComposition(options);
+  const violations = validateComposition(composition.tracks, {
+    ruleSet: options.rules,
+    sections: composition.sections
+  });
+  const errors = violations.filter(violation => violation.severity === "error");
+  out(formatViolations(violations));
+  out(`${errors.length} error(s), ${violations.length - errors.length} warning(s) with the ${options.rules} rule set`);
+  return errors.length > 0 ? 1 : 0;
+}
+
+// Function to report the density, register, dynamics and polyphony of the notes
+function analyzeCommand(options, out) {
+  if (options.format !== undefined && !["text", "json"].includes(options.format)) {
+    throw new UsageError("analyze takes --format text or json");
+  }
+  const analysis = analyzeComposition(loadComposition(options));
+  const report = options.format === "json" ? JSON.stringify(analysis, null, 2) : formatAnalysis(analysis);
+  if (options.out) {
+    fs.writeFileSync(options.out, `${report}\n`);
+    out(`Wrote ${options.out}`);
+  } else {
+    out(report);
+  }
+  return 0;
+}
+
+// Function to load one version of a composition for diff: a composition exported
+// as JSON is taken as it is, a spec is resolved with the given options
+function loadVersion(filePath, options) {
+  const document = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return isCompositionExport(document) ? document : loadComposition({ ...options, spec: filePath });
+}
+
+// Function to compare two versions of the composition note by note
+// The options (--seed, --key, --galaxy, ...) describe the version after the
+// change; the version before is resolved without them, so that diffing a spec
+// against itself with a seed shows what the variation changes.
+// Exits with 1 when they differ, like diff(1)
+function diffCommand(options, out, args) {
+  if (args.length < 1 || args.length > 2) {
+    throw new UsageError("diff needs <before> and optionally <after>");
+  }
+  if (options.format !== undefined && !["text", "json"].includes(options.format)) {
+    throw new UsageError("diff takes --format text or json");
+  }
+  const [beforePath, afterPath] = args;
+  const before = loadVersion(beforePath, { spec: beforePath });
+  const after = afterPath === undefined ? loadComposition(options) : loadVersion(afterPath, options);
+  const diff = diffCompositions(before, after);
+  const labels = [beforePath, afterPath || options.spec || "current"];
+  const report = options.format === "json"
+    ? JSON.stringify({ labels, ...diff }, null, 2)
+    : formatDiff(diff, { labels });
+  if (options.out) {
+    fs.writeFileSync(options.out, `${report}\n`);
+    out(`Wrote ${options.out}`);
+  } else {
+    out(report);
+  }
+  return diff.identical ? 0 : 1;
+}
+
+// Function to describe a resolved composition as plain JSON
+function compositionToJson(composition) {
+  return {
+    title: composition.title,
+    tempo: composition.tempo,
+    form: composition.form,
+    tracks: composition.tracks.map(track => ({
+      name: track.name,
+      instrument: track.instrument,
+      clipName: track.clipName,
+      sections: track.sectionNotes
+    }))
+  };
+}
+
+// Function to export the composition as MIDI, JSON, a WAV audio preview, a
+// MusicXML score or a spiral piano roll
+function exportCommand(options, out) {
+  const extensions = { midi: "mid", json: "json", wav: "wav", musicxml: "musicxml", svg: "svg" };
+  if (!extensions[options.format]) {
+    throw new UsageError("export needs --format midi, json, wav, musicxml or svg");
+  }
+  if (options.frames !== undefined && options.format !== "svg") {
+    throw new UsageError("--frames only applies to --format svg");
+  }
+  if (options.normalize && options.format !== "wav") {
+    throw new UsageError("--normalize only applies to --format wav");
+  }
+  const composition = loadComposition(options);
+  const filePath = options.out || `${outputName(options)}.${extensions[options.format]}`;
+
+  if (options.format === "midi") {
+    writeCompositionMidi(composition, filePath);
+  } else if (options.format === "wav") {
+    const sampleRate = Number(options["sample-rate"]);
+    if (!Number.isInteger(sampleRate) || sampleRate < 8000) {
+      throw new UsageError("--sample-rate must be a whole number of Hz, at least 8000");
+    }
+    writeCompositionWav(composition, filePath, { sampleRate, normalize: options.normalize });
+  } else if (options.format === "musicxml") {
+    writeCompositionMusicXml(composition, filePath);
+  } else if (options.format === "svg") {
+    writeCompositionSvg(composition, filePath);
+    if (options.frames !== undefined) {
+      const frames = Number(options.frames);
+      if (!Number.isInteger(frames) || frames < 1) {
+        throw new UsageError("--frames must be a whole number of frames, at least 1");
+      }
+      const directory = path.join(path.dirname(filePath), `${path.basename(filePath, ".svg")}-frames`);
+      writeTimeLapse(composition, directory, { frames });
+      out(`Wrote ${frames} time-lapse frames to ${directory}`);
+    }
+  } else {
+    fs.writeFileSync(filePath, `${JSON.stringify(compositionToJson(composition), null, 2)}\n`);
+  }
+  out(`Wrote ${filePath}`);
+  return 0;
+}
+
+// Function to format one recorded MCP call, summarising note batches and
+// envelopes by size
+function formatCall({ tool, params }) {
+  const args = Object.entries(params).map(([name, value]) =>
+    Array.isArray(value) ? `${name}=[${value.length} ${name}]` : `${name}=${JSON.stringify(value)}`
+  );
+  return `${tool}(${args.join(", ")})`;
+}
+
+// Function to resolve the instruments when the backend can browse, printing
+// the instrument chosen for each track
+function resolveTrackInstruments(composition, backend, out) {
+  if (!backend.getBrowserItems) return undefined;
+  const instruments = resolveInstruments(composition.tracks, backend);
+  out("Instruments:");
+  out(formatInstrumentReport(instruments));
+  return instruments;
+}
+
+// Function to describe when each scene is launched
+// tempo is the tempo envelope when automation is written
+function formatSceneLaunches(composition, tempo) {
+  const lines = planSceneLaunches(composition, { tempo }).map(launch =>
+    `  ${launch.sceneIndex}: ${launch.name} at beat ${launch.beat} (launched at ${(launch.delay / 1000).toFixed(1)} s)`
+  );
+  return ["Scene launches:", ...lines].join("\n");
+}
+
+// Function to print the upload progress of a track, and every retry
+function formatUploadProgress(progress) {
+  const clip = progress.section ? `${progress.track} ${progress.section}` : progress.track;
+  const line = `  ${clip}: ${progress.uploaded}/${progress.total} notes` +
+    (progress.skipped > 0 ? ` (${progress.skipped} already in the clip)` : "");
+  if (!progress.retry) return line;
+  return `${line} - retry ${progress.retry.attempt} in ${progress.retry.delay} ms ` +
+    `with batches of ${progress.batchSize}: ${progress.retry.error}`;
+}
+
+// Function to read an OSC target given as a port or host:port
+function parseOscTarget(value) {
+  const match = /^(?:(.+):)?(\d+)$/.exec(value);
+  const port = match ? Number(match[2]) : NaN;
+  if (!match || port < 1 || port > 65535) {
+    throw new UsageError("--osc must be a UDP port or host:port");
+  }
+  return { host: match[1] || DEFAULT_OSC.host, port };
+}
+
+// Function to stream the composition as OSC, closing the socket once its last
+// note has ended (clips launch on the next bar, so one bar is allowed for that)
+// Fails at the first message that cannot be sent, e.g. to a host that does not
+// resolve.
+async function performOsc(composition, options, out) {
+  const target = parseOscTarget(options.osc);
+  let sendFailed = () => {};
+  const failed = new Promise((resolve, reject) => {
+    sendFailed = reject;
+  });
+  // Observed by the race below, which only starts once the clips are written
+  failed.catch(() => {});
+  const backend = createOscBackend({
+    ...target,
+    sections: composition.sections,
+    onError: error => sendFailed(new Error(`Cannot send OSC to ${target.host}:${target.port}: ${error.message}`))
+  });
+  await performComposition(composition, backend, {
+    layout: options.layout,
+    automation: options.automation,
+    upload: { batchSize: Number(options["batch-size"]) }
+  });
+  const totalLength = Math.max(...composition.sections.map(section => section.start + section.length));
+  const duration = ((totalLength + DEFAULT_OSC.launchQuantization) * 60000) / composition.tempo;
+  out(`Streaming ${composition.title} to OSC ${target.host}:${target.port} (${(duration / 1000).toFixed(1)} s)`);
+  let timer = null;
+  const finished = new Promise(resolve => {
+    timer = setTimeout(() => {
+      out("Finished");
+      resolve(0);
+    }, duration);
+  });
+  try {
+    return await Promise.race([finished, failed]);
+  } finally {
+    clearTimeout(timer);
+    backend.close();
+  }
+}
+
+// Function to perform the composition, or print the MCP calls it would send
+async function performCommand(options, out) {
+  const composition = loadComposition(options);
+  if (options.browser && !options["dry-run"]) {
+    throw new UsageError("--browser only applies to perform --dry-run");
+  }
+  const batchSize = Number(options["batch-size"]);
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new UsageError("--batch-size must be a whole number of notes, at least 1");
+  }
+  const layout = options.layout;
+  if (!LAYOUTS.includes(layout)) {
+    throw new UsageError(`--layout must be ${LAYOUTS.join(" or ")}`);
+  }
+  const tempoEnvelope = options.automation ? computeTempoEnvelope(composition) : undefined;
+
+  if (options.osc !== undefined) {
+    if (options["dry-run"]) {
+      throw new UsageError("--osc cannot be combined with --dry-run");
+    }
+    return performOsc(composition, options, out);
+  }
+
+  if (!options["dry-run"]) {
+    const backend = createAbletonMcpBackend();
+    const instruments = resolveTrackInstruments(composition, backend, out);
+    out("Uploading notes:");
+    await performComposition(composition, backend, {
+      instruments,
+      layout,
+      automation: options.automation,
+      upload: { batchSize, onProgress: progress => out(formatUploadProgress(progress)) }
+    });
+    out(`Performed ${composition.title} through Ableton MCP`);
+    if (layout === "sections") out(formatSceneLaunches(composition, tempoEnvelope));
+    return 0;
+  }
+
+  const browserTree = options.browser ? JSON.parse(fs.readFileSync(options.browser, "utf8")) : undefined;
+  const backend = createRecordingBackend({ browserTree });
+  const instruments = resolveTrackInstruments(composition, backend, out);
+  // Scene launches are recorded straight away instead of waiting for their section
+  await performComposition(composition, backend, {
+    instruments,
+    layout,
+    automation: options.automation,
+    upload: { batchSize },
+    scenes: { schedule: launch => launch() }
+  });
+  backend.calls.forEach(call => out(formatCall(call)));
+  const noteCalls = backend.callsTo("add_notes_to_clip");
+  const noteCount = noteCalls.reduce((total, call) => total + call.params.notes.length, 0);
+  out(`${backend.calls.length} calls, ${noteCount} notes in ${noteCalls.length} batches`);
+  if (layout === "sections") out(formatSceneLaunches(composition, tempoEnvelope));
+  return 0;
+}
+
+// Function to describe a chunk written by live mode
+function formatChunk(chunk) {
+  return `  chunk ${chunk.chunk} (beat ${chunk.beat}, ${(chunk.angle / (2 * Math.PI)).toFixed(2)} turns) ` +
+    `-> slot ${chunk.slot}, ${chunk.notes} notes`;
+}
+
+// Function to listen for p (pause/resume) and q or Ctrl+C (stop) on the terminal
+// onStop is called once live mode has stopped, e.g. to close the backend
+// Returns a function that releases the keyboard and Ctrl+C again.
+function attachLiveControls(live, out, onStop = () => {}) {
+  const detach = () => {
+    process.removeListener("SIGINT", stop);
+    if (!process.stdin.isTTY) return;
+    process.stdin.removeListener("data", onKey);
+    process.stdin.setRawMode(false);
+    process.stdin.pause();
+  };
+  const stop = () => {
+    live.stop();
+    detach();
+    out("Stopped");
+    onStop();
+  };
+  const onKey = key => {
+    const pressed = key.toString();
+    if (pressed === "q" || pressed === "\u0003") {
+      stop();
+    } else if (pressed === "p") {
+      if (live.state().status === "paused") {
+        live.resume();
+        out("Resumed");
+      } else {
+        live.pause();
+        out("Paused");
+      }
+    }
+  };
+  process.once("SIGINT", stop);
+  if (process.stdin.isTTY) {
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.on("data", onKey);
+  }
+  return detach;
+}
+
+// Function to run the endless live mode, or simulate a number of bars of it
+// Live mode runs until it is stopped, or fails when an upload fails for good.
+async function liveCommand(options, out) {
+  const composition = loadComposition(options);
+  const bars = Number(options.bars);
+  if (!Number.isInteger(bars) || bars < 1) {
+    throw new UsageError("--bars must be a whole number of bars, at least 1");
+  }
+
+  if (options.osc !== undefined && options["dry-run"]) {
+    throw new UsageError("--osc cannot be combined with --dry-run");
+  }
+
+  if (!options["dry-run"]) {
+    const target = options.osc === undefined ? null : parseOscTarget(options.osc);
+    return new Promise((resolve, reject) => {
+      let detach = () => {};
+      let live = null;
+      let settled = false;
+      // Function to stop live mode for good after an upload or OSC send failed
+      const fail = message => {
+        if (settled) return;
+        settled = true;
+        if (live) live.stop();
+        detach();
+        close();
+        reject(new Error(`Live mode stopped: ${message}`));
+      };
+      const backend = target
+        ? createOscBackend({
+          ...target,
+          onError: error => fail(`cannot send OSC to ${target.host}:${target.port}: ${error.message}`)
+        })
+        : createAbletonMcpBackend();
+      const close = () => {
+        if (target) backend.close();
+      };
+      live = createLiveGalaxy(composition, backend, {
+        onChunk: chunk => out(formatChunk(chunk)),
+        onError: error => fail(error.message)
+      });
+      out(`Live mode: ${composition.title} at ${composition.tempo} BPM` +
+        `${target ? ` to OSC ${target.host}:${target.port}` : ""} (p pauses/resumes, q stops)`);
+      live.start();
+      detach = attachLiveControls(live, out, () => {
+        settled = true;
+        close();
+        resolve(0);
+      });
+    });
+  }
+
+  const clock = createSimulatedClock();
+  const backend = createRecordingBackend();
+  const live = createLiveGalaxy(composition, backend, {
+    clock,
+    onChunk: chunk => out(`${(clock.now() / 1000).toFixed(1)} s${formatChunk(chunk)}`)
+  });
+  live.start();
+  // Bar by bar, letting retried uploads continue in between
+  for (let bar = 0; bar < bars && !live.state().error; bar++) {
+    clock.advance((4 * 60000) / composition.tempo);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  live.stop();
+  const state = live.state();
+  if (state.error) throw new Error(`Live mode stopped: ${state.error.message}`);
+  out(`${backend.calls.length} calls over ${bars} simulated bars, ended in chunk ${state.chunk} ` +
+    `(${state.turns.toFixed(2)} turns)`);
+  return 0;
+}
+
+// Function to format an OSC argument, floats to three decimals
+function formatOscArgument(arg) {
+  if (typeof arg === "string") return JSON.stringify(arg);
+  return Number.isInteger(arg) ? String(arg) : arg.toFixed(3);
+}
+
+// Function to print the OSC messages arriving on a local port until Ctrl+C,
+// to check what perform --osc or live --osc sends without a synth
+// Fails when the port cannot be listened on, e.g. when it is already in use.
+function monitorCommand(options, out) {
+  const target = parseOscTarget(options.osc || String(DEFAULT_OSC.port));
+  return new Promise((resolve, reject) => {
+    const stop = () => {
+      listener.close();
+      resolve(0);
+    };
+    const listener = createOscListener({
+      ...target,
+      onMessage: ({ address, args }) => out(`${address} ${args.map(formatOscArgument).join(" ")}`),
+      onError: (error, sender) => {
+        if (sender) {
+          out(`Ignored a packet from ${sender.address}:${sender.port}: ${error.message}`);
+          return;
+        }
+        process.removeListener("SIGINT", stop);
+        reject(new Error(`Cannot listen for OSC on ${target.host}:${target.port}: ${error.message}`));
+      },
+      onListening: ({ address, port }) => out(`Listening for OSC on ${address}:${port} (Ctrl+C stops)`)
+    });
+    process.once("SIGINT", stop);
+  });
+}
+
+// Function to write the spec generated from galaxy data or a MIDI subject, to
+// edit or reuse with --spec
+function importCommand(options, out) {
+  if (options.galaxy === undefined && options.subject === undefined) {
+    throw new UsageError("import needs --galaxy <file> or --subject <file.mid>");
+  }
+  const spec = loadSpec(readSpec(options));
+  const filePath = options.out || `${outputName(options)}.json`;
+  fs.writeFileSync(filePath, `${JSON.stringify(spec, null, 2)}\n`);
+  out(spec.galaxy ? `Galaxy: ${formatGalaxy(spec.galaxy)}` : `Subject: ${formatSubject(spec.subject)}`);
+  out(`Wrote ${filePath}`);
+  return 0;
+}
+
+const COMMANDS = {
+  plan: planCommand,
+  validate: validateCommand,
+  analyze: analyzeCommand,
+  diff: diffCommand,
+  export: exportCommand,
+  perform: performCommand,
+  live: liveCommand,
+  monitor: monitorCommand,
+  import: importCommand
+};
+
+// Function to run the CLI with the given arguments, returning a promise of the
+// exit code
+async function main(argv, out = console.log, err = console.error) {
+  try {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [commandName] = positionals;
+    if (values.help || !commandName) {
+      out(USAGE);
+      return values.help ? 0 : 2;
+    }
+    const command = COMMANDS[commandName];
+    if (!command) {
+      throw new UsageError(`Unknown command "${commandName}"`);
+    }
+    return await command(values, out, positionals.slice(1));
+  } catch (error) {
+    if (error instanceof UsageError || error.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION") {
+      err(`${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+    err(`Error: ${error.message}`);
+    return 1;
+  }
+}
+
+module.exports = {
+  main
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,937 @@
+/**
+ * Composition engine
+ *
+ * Loads a declarative composition spec (JSON), validates it and executes it
+ * against a backend. A spec lists the tracks with their name, instrument URI,
+ * clip name and, per section of the form, where the notes come from:
+ *
+ * - { "pattern": "galacticCore.exposition" }  a named pattern from patterns.js
+ * - { "notes": [ ... ] }                      notes written inline
+ * - { "spiral": { "preset": "development", "b": 0.3 } }  generated by spiral.js
+ *                                             ("arm": k keeps only the k-th arm)
+ * - { "from": { "track": "Galactic Core", "section": "Exposition" } }
+ *                                             another track's section
+ *
+ * Any source can add "transforms" (see canon.js) applied before it is placed.
+ * Section notes are written over form.patternLength beats and scaled to the
+ * length planned for their section by form.js, on a 32nd-note grid. With
+ * form.entries "planned" every voice enters at the point form.js plans for it
+ * instead of where its notes first sound. A "variation" seed (see
+ * variation.js) varies the notes before they are placed, a "remap" renders
+ * them in another key or mode (see scales.js), and a "densityWave" (see
+ * density-wave.js) then shapes the placed notes of every track.
+ *
+ * See specs/spiral-galaxy-canon.json for the original composition.
+ */
+
+const fs = require("fs");
+const { PHI, TRANSFORMS, applyTransforms } = require("./canon");
+const { planForm } = require("./form");
+const { SPIRAL_PRESETS, generateSpiralNotes, generateSpiralVoices } = require("./spiral");
+const { PATTERNS } = require("./patterns");
+const { writeMidiFile } = require("./midi-file");
+const { TIMBRES } = require("./audio-preview");
+const { INSTRUMENT_ROLES, assertInstrumentsResolved } = require("./instruments");
+const { VARIATIONS, ROLE_VARIATIONS, applyVariations } = require("./variation");
+const { parseKey, remapNotes, clampToRange } = require("./scales");
+const { getTrackRange } = require("./counterpoint");
+const {
+  computeAutomation,
+  beatToSeconds,
+  assertAutomationAvailable,
+  loadAutomationDevices,
+  writeAutomation
+} = require("./automation");
+const { DEFAULT_DENSITY_WAVE, createDensityWave, voiceRadius, applyDensityWave } = require("./density-wave");
+const { quantize, sortNotes } = require("./note-utils");
+
+const SOURCE_KINDS = ["pattern", "notes", "spiral", "from"];
+
+// Where the voices enter in each section: where their notes first sound, or
+// at the entry points planned by form.js (in track order)
+const ENTRY_MODES = ["written", "planned"];
+
+// Grid, in beats, that notes scaled to their section are snapped to
+const FIT_GRID = 0.125;
+
+// ======= SPEC VALIDATION =======
+
+// Function to check one inline note and describe what is wrong with it
+function checkNote(note, where) {
+  const problems = [];
+  if (!Number.isInteger(note.pitch) || note.pitch < 0 || note.pitch > 127) {
+    problems.push(`${where}: pitch must be an integer 0-127`);
+  }
+  if (typeof note.start_time !== "number" || note.start_time < 0) {
+    problems.push(`${where}: start_time must be a number >= 0`);
+  }
+  if (typeof note.duration !== "number" || note.duration <= 0) {
+    problems.push(`${where}: duration must be a number > 0`);
+  }
+  if (typeof note.velocity !== "number" || note.velocity < 0 || note.velocity > 127) {
+    problems.push(`${where}: velocity must be a number 0-127`);
+  }
+  return problems;
+}
+
+// Parameter kinds of the canon transforms: how to check a value, and what it must be
+const PARAMETER_KINDS = {
+  integer: { check: value => Number.isInteger(value), expected: "a whole number" },
+  pitch: { check: value => Number.isInteger(value) && value >= 0 && value <= 127, expected: "an integer 0-127" },
+  beats: { check: value => Number.isFinite(value) && value >= 0, expected: "a number of beats >= 0" },
+  time: { check: value => Number.isFinite(value), expected: "a number of beats" },
+  ratio: { check: value => value === "phi" || (Number.isFinite(value) && value > 0), expected: '"phi" or a number > 0' },
+  scale: {
+    check: value => Array.isArray(value) && value.length > 0 &&
+      value.every(step => Number.isInteger(step) && step >= 0 && step <= 11),
+    expected: "an array of semitones 0-11"
+  }
+};
+
+// Parameters of each canon transform (see canon.js) as [name, kind, required]
+const TRANSFORM_PARAMETERS = {
+  transpose: [["semitones", "integer", true]],
+  transposeDiatonic: [["steps", "integer", true], ["root", "pitch"], ["scale", "scale"]],
+  invert: [["axis", "pitch", true], ["root", "pitch"], ["scale", "scale"]],
+  retrograde: [],
+  augment: [["ratio", "ratio", true], ["origin", "time"], ["grid", "beats"]],
+  diminish: [["ratio", "ratio", true], ["origin", "time"], ["grid", "beats"]],
+  delay: [["beats", "beats", true]],
+  imitate: [["delay", "beats"], ["interval", "integer"], ["root", "pitch"], ["scale", "scale"]]
+};
+
+// Function to check the parameters of one transform step
+function checkTransform(step, where) {
+  if (!step || typeof step !== "object" || !TRANSFORMS[step.type]) {
+    return [`${where} has unknown type "${step && step.type}"`];
+  }
+  const problems = [];
+  (TRANSFORM_PARAMETERS[step.type] || []).forEach(([name, kind, required]) => {
+    if (step[name] === undefined) {
+      if (required) problems.push(`${where} (${step.type}) needs ${name}, ${PARAMETER_KINDS[kind].expected}`);
+    } else if (!PARAMETER_KINDS[kind].check(step[name])) {
+      problems.push(`${where} (${step.type}): ${name} must be ${PARAMETER_KINDS[kind].expected}`);
+    }
+  });
+  return problems;
+}
+
+// Function to check a section's note source
+function checkSource(source, where, spec, patterns) {
+  const problems = [];
+  const kinds = SOURCE_KINDS.filter(kind => source[kind] !== undefined);
+  if (kinds.length !== 1) {
+    return [`${where}: needs exactly one of ${SOURCE_KINDS.join(", ")}`];
+  }
+
+  if (source.pattern !== undefined && !patterns[source.pattern]) {
+    problems.push(`${where}: unknown pattern "${source.pattern}"`);
+  }
+  if (source.notes !== undefined) {
+    if (!Array.isArray(source.notes)) {
+      problems.push(`${where}: notes must be an array`);
+    } else {
+      source.notes.forEach((note, index) => problems.push(...checkNote(note, `${where} note ${index}`)));
+    }
+  }
+  if (source.spiral !== undefined) {
+    if (typeof source.spiral !== "object" || source.spiral === null) {
+      problems.push(`${where}: spiral must be an object of spiral options`);
+    } else if (source.spiral.preset !== undefined && !SPIRAL_PRESETS[source.spiral.preset]) {
+      problems.push(`${where}: unknown spiral preset "${source.spiral.preset}"`);
+    } else if (source.spiral.arm !== undefined) {
+      const arms = source.spiral.arms !== undefined ? source.spiral.arms : SPIRAL_PRESETS[source.spiral.preset || "exposition"].arms;
+      if (!Number.isInteger(source.spiral.arm) || source.spiral.arm < 0 || source.spiral.arm >= arms) {
+        problems.push(`${where}: spiral arm must be a whole number from 0 to ${arms - 1}`);
+      }
+    }
+  }
+  if (source.from !== undefined) {
+    const target = spec.tracks.find(track => track.name === (source.from && source.from.track));
+    if (!target) {
+      problems.push(`${where}: "from" refers to unknown track "${source.from && source.from.track}"`);
+    } else if (!target.sections || !target.sections[source.from.section]) {
+      problems.push(`${where}: "from" refers to missing section "${source.from.section}" of "${target.name}"`);
+    }
+  }
+  if (source.transforms !== undefined) {
+    if (!Array.isArray(source.transforms)) {
+      problems.push(`${where}: transforms must be an array`);
+    } else {
+      source.transforms.forEach((step, index) => {
+        problems.push(...checkTransform(step, `${where}: transform ${index}`));
+      });
+    }
+  }
+  return problems;
+}
+
+// Function to split density-wave settings into wave options and pass options
+function splitDensityWave(settings) {
+  const wave = {};
+  const passes = {};
+  Object.entries(settings).forEach(([name, value]) => {
+    (name in DEFAULT_DENSITY_WAVE ? wave : passes)[name] = value;
+  });
+  return { wave, passes };
+}
+
+// Function to check density-wave settings
+function checkDensityWave(settings, where) {
+  if (typeof settings !== "object" || settings === null || Array.isArray(settings)) {
+    return [`${where}: densityWave must be an object of density-wave options`];
+  }
+  try {
+    createDensityWave(splitDensityWave(settings).wave);
+    return [];
+  } catch (error) {
+    return [`${where}: ${error.message}`];
+  }
+}
+
+// Function to check a track's list of variations
+function checkVariations(variations, where, sectionNames) {
+  if (!Array.isArray(variations)) {
+    return [`${where}: variations must be an array`];
+  }
+  const problems = [];
+  variations.forEach((step, index) => {
+    const type = typeof step === "string" ? step : step && step.type;
+    if (!VARIATIONS[type]) {
+      problems.push(`${where}: variation ${index} has unknown type "${type}"`);
+    }
+    if (step && Array.isArray(step.sections)) {
+      step.sections
+        .filter(name => !sectionNames.includes(name))
+        .forEach(name => problems.push(`${where}: variation ${index} names unknown section "${name}"`));
+    }
+  });
+  return problems;
+}
+
+// Function to check a key remapping: {key, from, clamp}
+function checkRemap(remap) {
+  if (typeof remap !== "object" || remap === null || Array.isArray(remap)) {
+    return ["remap must be an object with a key and/or clamp"];
+  }
+  const problems = [];
+  ["key", "from"].filter(name => remap[name] !== undefined).forEach(name => {
+    try {
+      parseKey(remap[name]);
+    } catch (error) {
+      problems.push(`remap.${name}: ${error.message}`);
+    }
+  });
+  if (remap.clamp !== undefined && typeof remap.clamp !== "boolean") {
+    problems.push("remap.clamp must be true or false");
+  }
+  return problems;
+}
+
+// Function to check a track's playable range
+function checkRange(range, where) {
+  const { low, high } = range || {};
+  const isPitch = value => Number.isInteger(value) && value >= 0 && value <= 127;
+  if (!isPitch(low) || !isPitch(high) || high - low < 12) {
+    return [`${where}: range must be {low, high}, MIDI pitches at least an octave apart`];
+  }
+  return [];
+}
+
+// Function to validate a spec, returning a list of problems (empty when valid)
+function validateSpec(spec, { patterns = PATTERNS } = {}) {
+  const problems = [];
+  if (!spec || typeof spec !== "object") return ["Spec must be an object"];
+
+  if (typeof spec.tempo !== "number" || spec.tempo <= 0) {
+    problems.push("tempo must be a number > 0");
+  }
+
+  const form = spec.form || {};
+  if (typeof form.totalLength !== "number" || form.totalLength <= 0) {
+    problems.push("form.totalLength must be a number of beats > 0");
+  }
+  if (form.ratio !== "phi" && !(typeof form.ratio === "number" && form.ratio > 0)) {
+    problems.push('form.ratio must be "phi" or a number > 0');
+  }
+  if (typeof form.patternLength !== "number" || form.patternLength <= 0) {
+    problems.push("form.patternLength must be a number of beats > 0");
+  }
+  if (form.entries !== undefined && !ENTRY_MODES.includes(form.entries)) {
+    problems.push(`form.entries must be one of ${ENTRY_MODES.map(mode => `"${mode}"`).join(", ")}`);
+  }
+  if (!Array.isArray(form.sections) || form.sections.length !== 3) {
+    problems.push("form.sections must name the three sections of the form");
+  }
+  const sectionNames = Array.isArray(form.sections) ? form.sections : [];
+
+  if (spec.densityWave !== undefined) {
+    problems.push(...checkDensityWave(spec.densityWave, "densityWave"));
+  }
+  if (spec.variation !== undefined) {
+    const { seed, strength = 0.3 } = spec.variation || {};
+    if (!Number.isInteger(seed) || seed < 0) {
+      problems.push("variation.seed must be a whole number >= 0");
+    }
+    if (typeof strength !== "number" || strength < 0 || strength > 1) {
+      problems.push("variation.strength must be a number from 0 to 1");
+    }
+  }
+  if (spec.remap !== undefined) {
+    problems.push(...checkRemap(spec.remap));
+  }
+
+  if (!Array.isArray(spec.tracks) || spec.tracks.length === 0) {
+    problems.push("tracks must be a non-empty array");
+    return problems;
+  }
+
+  const seen = new Set();
+  spec.tracks.forEach((track, index) => {
+    const label = `tracks[${index}]${track && track.name ? ` (${track.name})` : ""}`;
+    if (!track || typeof track.name !== "string" || track.name === "") {
+      problems.push(`${label}: name must be a non-empty string`);
+      return;
+    }
+    if (seen.has(track.name)) {
+      problems.push(`${label}: duplicate track name`);
+    }
+    seen.add(track.name);
+    if (typeof track.instrument !== "string") {
+      problems.push(`${label}: instrument must be a browser URI string`);
+    }
+    if (track.role !== undefined && !INSTRUMENT_ROLES[track.role]) {
+      problems.push(`${label}: unknown role "${track.role}" (expected ${Object.keys(INSTRUMENT_ROLES).join(", ")})`);
+    }
+    if (track.timbre !== undefined && !TIMBRES[track.timbre]) {
+      problems.push(`${label}: unknown timbre "${track.timbre}" (expected ${Object.keys(TIMBRES).join(", ")})`);
+    }
+    if (track.gmProgram !== undefined &&
+      !(Number.isInteger(track.gmProgram) && track.gmProgram >= 0 && track.gmProgram <= 127)) {
+      problems.push(`${label}: gmProgram must be a General MIDI program number 0-127`);
+    }
+    if (track.clipName !== undefined && typeof track.clipName !== "string") {
+      problems.push(`${label}: clipName must be a string`);
+    }
+    if (track.range !== undefined) {
+      problems.push(...checkRange(track.range, label));
+    }
+    if (track.variations !== undefined) {
+      problems.push(...checkVariations(track.variations, label, sectionNames));
+    }
+    if (track.densityWave !== undefined && track.densityWave !== false) {
+      if (spec.densityWave === undefined) {
+        problems.push(`${label}: densityWave needs a top-level densityWave to override`);
+      } else {
+        problems.push(...checkDensityWave(track.densityWave, `${label} densityWave`));
+      }
+    }
+    Object.entries(track.sections || {}).forEach(([sectionName, source]) => {
+      if (!sectionNames.includes(sectionName)) {
+        problems.push(`${label}: unknown section "${sectionName}"`);
+      } else {
+        problems.push(...checkSource(source || {}, `${label} ${sectionName}`, spec, patterns));
+      }
+    });
+  });
+
+  return problems;
+}
+
+// Function to load a spec from a JSON file path or an object and validate it
+function loadSpec(specOrPath, options = {}) {
+  const spec = typeof specOrPath === "string"
+    ? JSON.parse(fs.readFileSync(specOrPath, "utf8"))
+    : specOrPath;
+  const problems = validateSpec(spec, options);
+  if (problems.length > 0) {
+    throw new Error(`Invalid composition spec:\n- ${problems.join("\n- ")}`);
+  }
+  return spec;
+}
+
+// ======= SPEC RESOLUTION =======
+
+// Function to offset notes for a specific section
+function offsetNotesForSection(notes, sectionOffset) {
+  return notes.map(note => {
+    return {
+      ...note,
+      start_time: note.start_time + sectionOffset
+    };
+  });
+}
+
+// Function to scale a section's pattern to the length the form plans for it
+// The pattern, from its first note (or from its start when entry is undefined)
+// to patternLength, is scaled to run from entry to the end of the section.
+// Times are snapped to FIT_GRID so the scaled rhythm stays notatable; notes of
+// one pitch snapped onto the same onset are merged, and nothing is held past
+// the end of the section.
+function fitNotesToSection(notes, section, patternLength, entry) {
+  if (notes.length === 0) return [];
+  const from = entry === undefined ? 0 : Math.min(...notes.map(note => note.start_time));
+  const to = entry === undefined ? 0 : entry - section.start;
+  const ratio = (section.length - to) / (patternLength - from);
+  const place = time => Math.min(quantize(to + (time - from) * ratio, FIT_GRID), section.length);
+
+  const fitted = new Map();
+  notes
+    .filter(note => note.start_time >= from && note.start_time < patternLength)
+    .forEach(note => {
+      const start = place(note.start_time);
+      if (start >= section.length) return;
+      const end = Math.max(place(note.start_time + note.duration), Math.min(start + FIT_GRID, section.length));
+      const key = `${note.pitch}/${start}`;
+      if (!fitted.has(key) || fitted.get(key).duration < end - start) {
+        fitted.set(key, { ...note, start_time: start, duration: end - start });
+      }
+    });
+  return offsetNotesForSection(sortNotes([...fitted.values()]), section.start);
+}
+
+// Function to shape a track's placed section notes with the density wave
+// The voice keeps one radius, taken from all of its notes, across the sections
+function shapeTrackDensity(sectionNotes, settings) {
+  const { wave, passes } = splitDensityWave(settings);
+  const radius = passes.radius || voiceRadius(Object.values(sectionNotes).flat());
+  const shaped = {};
+  Object.entries(sectionNotes).forEach(([sectionName, notes]) => {
+    shaped[sectionName] = applyDensityWave(notes, wave, { ...passes, radius });
+  });
+  return shaped;
+}
+
+// Function to list the variations a spec applies to one section of a track:
+// the track's own list, or the defaults of its role
+function getVariationSteps(spec, track, sectionName) {
+  if (!spec.variation) return [];
+  const steps = track.variations !== undefined ? track.variations : ROLE_VARIATIONS[track.role] || [];
+  return steps
+    .filter(step => typeof step === "string" || !step.sections || step.sections.includes(sectionName))
+    .map(step => {
+      if (typeof step === "string") return step;
+      const { sections, ...rest } = step;
+      return rest;
+    });
+}
+
+// Function to resolve a spec's key remapping, or null when it has none
+// Returns {from, to, clamp} with parsed keys; to is null when only clamping
+function resolveRemap(remap) {
+  if (!remap) return null;
+  return {
+    from: parseKey(remap.from || "C major"),
+    to: remap.key !== undefined ? parseKey(remap.key) : null,
+    clamp: Boolean(remap.clamp)
+  };
+}
+
+// Function to render a track's notes in the remapped key, within its range
+function remapTrackNotes(notes, remap, track) {
+  if (!remap) return notes;
+  const remapped = remap.to ? remapNotes(notes, remap.from, remap.to) : notes;
+  const range = remap.clamp && getTrackRange(track);
+  return range ? clampToRange(remapped, range) : remapped;
+}
+
+// Function to turn a validated spec into tracks of placed notes
+//
+// Returns {title, tempo, variation, galaxy, subject, key, form, sections, tracks}, where
+// every track has its spec fields plus sectionNotes (notes per section, placed in the form and
+// shaped by the density wave when the spec has one) and notes (all sections
+// combined).
+function resolveComposition(spec, { patterns = PATTERNS } = {}) {
+  const form = planForm({
+    totalLength: spec.form.totalLength,
+    ratio: spec.form.ratio === "phi" ? PHI : spec.form.ratio,
+    voiceCount: spec.tracks.length,
+    sectionNames: spec.form.sections
+  });
+  const plannedEntries = spec.form.entries === "planned";
+
+  const remap = resolveRemap(spec.remap);
+  const rawNotes = new Map();
+  const resolving = new Set();
+
+  // Function to get a section's notes as written, before they are placed
+  function getRawNotes(trackName, sectionName) {
+    const key = `${trackName}/${sectionName}`;
+    if (rawNotes.has(key)) return rawNotes.get(key);
+    if (resolving.has(key)) {
+      throw new Error(`Circular "from" reference through ${key}`);
+    }
+    resolving.add(key);
+
+    const track = spec.tracks.find(candidate => candidate.name === trackName);
+    const source = track.sections[sectionName];
+    let notes;
+    if (source.pattern !== undefined) {
+      notes = patterns[source.pattern]();
+    } else if (source.notes !== undefined) {
+      notes = source.notes.map(note => ({ mute: false, ...note }));
+    } else if (source.spiral !== undefined) {
+      const { preset, arm, ...overrides } = source.spiral;
+      const options = { ...SPIRAL_PRESETS[preset || "exposition"], ...overrides };
+      notes = arm === undefined ? generateSpiralNotes(options) : generateSpiralVoices(options)[arm];
+    } else {
+      notes = getRawNotes(source.from.track, source.from.section);
+    }
+    notes = applyTransforms(notes, source.transforms || []);
+
+    resolving.delete(key);
+    rawNotes.set(key, notes);
+    return notes;
+  }
+
+  const tracks = spec.tracks.map((track, trackIndex) => {
+    let sectionNotes = {};
+    form.sections.forEach(section => {
+      if (!track.sections || !track.sections[section.name]) {
+        sectionNotes[section.name] = [];
+        return;
+      }
+      const notes = applyVariations(getRawNotes(track.name, section.name), getVariationSteps(spec, track, section.name), {
+        ...spec.variation,
+        key: `${track.name}/${section.name}`
+      });
+      sectionNotes[section.name] = fitNotesToSection(
+        remapTrackNotes(notes, remap, track),
+        section,
+        spec.form.patternLength,
+        plannedEntries ? section.entries[trackIndex] : undefined
+      );
+    });
+    if (spec.densityWave && track.densityWave !== false) {
+      sectionNotes = shapeTrackDensity(sectionNotes, { ...spec.densityWave, ...(track.densityWave || {}) });
+    }
+    return {
+      ...track,
+      clipName: track.clipName || `${track.name} Full Composition`,
+      sectionNotes,
+      notes: form.sections.flatMap(section => sectionNotes[section.name])
+    };
+  });
+
+  return {
+    title: spec.title || "Untitled Composition",
+    tempo: spec.tempo,
+    variation: spec.variation ? { strength: 0.3, ...spec.variation } : null,
+    galaxy: spec.galaxy || null,
+    subject: spec.subject || null,
+    key: remap ? { from: remap.from.name, to: remap.to && remap.to.name, clamp: remap.clamp } : null,
+    form,
+    sections: form.sections,
+    tracks
+  };
+}
+
+// ======= PERFORMANCE =======
+
+// Function to read what is already in the session, so a rerun reuses what an
+// earlier run created; null when the backend cannot read the session back
+// Returns {tracks: [{name, devices, clips: [{index, name, length}]}], sceneCount}.
+function readSession(backend) {
+  return typeof backend.getSession === "function" ? backend.getSession() : null;
+}
+
+// Function to create all tracks and set up the basic session
+// instruments is an optional resolution report from instruments.js whose URIs
+// replace the ones in the spec; it must have resolved every track. Given the session read back by readSession(),
+// a track already in its slot under its name is reused instead of created
+// again, keeping its instrument when it has one.
+// Returns the session entry of every reused track (null for created ones).
+function setupSession(backend, composition, instruments, session = null) {
+  if (instruments) assertInstrumentsResolved(instruments);
+
+  // Set tempo
+  backend.setTempo(composition.tempo);
+
+  // Create and set up each track; a created track moves the ones after it
+  const sessionTracks = session ? session.tracks.slice() : [];
+  const reused = composition.tracks.map((track, index) => {
+    const existing = sessionTracks[index];
+    if (existing && existing.name === track.name) return existing;
+    backend.createMidiTrack(index);
+    backend.setTrackName(index, track.name);
+    sessionTracks.splice(index, 0, null);
+    return null;
+  });
+
+  // Load each instrument
+  composition.tracks.forEach((track, index) => {
+    if (reused[index] && reused[index].devices > 0) return;
+    backend.loadInstrument(index, instruments ? instruments[index].uri : track.instrument);
+  });
+  return reused;
+}
+
+// Function to create a clip, or keep the one an earlier run left in its slot
+// The clip is kept when it has the same length and reads back holding only
+// notes it should hold, so the upload resumes where it stopped; any other clip
+// in the slot is deleted and created again.
+function prepareClip(backend, reusedTrack, trackIndex, clipIndex, length, notes) {
+  const clip = reusedTrack && reusedTrack.clips.find(candidate => candidate.index === clipIndex);
+  if (!clip) {
+    backend.createClip(trackIndex, clipIndex, length);
+    return;
+  }
+  const resumable = typeof backend.getClipNotes === "function" &&
+    Math.abs(clip.length - length) < 1e-6 &&
+    findMissingNotes(backend.getClipNotes(trackIndex, clipIndex), notes).length === 0;
+  if (resumable) return;
+  if (typeof backend.deleteClip !== "function") {
+    throw new Error(`Track ${trackIndex} already has a clip in slot ${clipIndex} that the ` +
+      `${backend.name || "given"} backend cannot replace (missing: deleteClip)`);
+  }
+  backend.deleteClip(trackIndex, clipIndex);
+  backend.createClip(trackIndex, clipIndex, length);
+}
+
+// Function to create one clip per track holding the whole piece
+// reused is the result of setupSession(), whose clips are kept when they can be resumed
+function createUnifiedClips(backend, composition, reused = []) {
+  const clipLength = composition.form.totalLength;
+
+  composition.tracks.forEach((track, trackIndex) => {
+    prepareClip(backend, reused[trackIndex], trackIndex, 0, clipLength, track.notes);
+    backend.setClipName(trackIndex, 0, track.clipName);
+  });
+}
+
+// Default settings of the note upload
+const DEFAULT_UPLOAD = {
+  batchSize: 30,     // Notes per add_notes_to_clip call
+  minBatchSize: 1,   // Smallest batch after payload rejections
+  retries: 4,        // Attempts per batch after the first one
+  backoff: 250,      // Wait before the first retry (ms), doubled on every retry
+  backoffFactor: 2
+};
+
+// Function to wait for a number of milliseconds between retries, leaving the
+// timers of scene launches and live mode running meanwhile
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Function to identify a note by content, tolerant of float noise in read-back
+function noteKey(note) {
+  return [
+    note.pitch,
+    note.start_time.toFixed(4),
+    note.duration.toFixed(4),
+    Math.round(note.velocity),
+    Boolean(note.mute)
+  ].join("/");
+}
+
+// Function to list the notes not (yet) in a clip, counting repeated notes
+function findMissingNotes(notes, clipNotes) {
+  const present = new Map();
+  clipNotes.forEach(note => {
+    const key = noteKey(note);
+    present.set(key, (present.get(key) || 0) + 1);
+  });
+  return notes.filter(note => {
+    const key = noteKey(note);
+    if (!present.get(key)) return true;
+    present.set(key, present.get(key) - 1);
+    return false;
+  });
+}
+
+// Errors a call fails with when its payload is too large: the MCP server of
+// the bridge gives up on a reply it cannot read whole ("Incomplete JSON
+// response received"), the socket refuses an oversized message (EMSGSIZE) and
+// an HTTP transport answers 413
+const PAYLOAD_REJECTIONS = [
+  /^Incomplete JSON response received/,
+  /\bEMSGSIZE\b|Message too long/,
+  /\b413\b|Payload Too Large|Request Entity Too Large/
+];
+
+// Function to tell whether the bridge rejected a call for the size of its payload
+function isPayloadRejection(error) {
+  return error.code === "EMSGSIZE" || PAYLOAD_REJECTIONS.some(pattern => pattern.test(error.message));
+}
+
+// Function to upload notes to a clip in batches, reliably
+// Failed batches are retried with exponential backoff; a payload rejection
+// halves the batch size for the rest of the upload. When the backend can read
+// a clip back (getClipNotes), notes already in the clip are skipped, so a
+// rerun resumes instead of duplicating, and every batch is verified against
+// the clip contents. Batches that succeed are sent straight away; only a
+// retry waits.
+//
+// options (or a number, taken as the batch size):
+// - batchSize, minBatchSize, retries, backoff, backoffFactor: see DEFAULT_UPLOAD
+// - wait: function (ms) used to back off, returning a promise (default: a timer)
+// - onProgress: called after every batch and before every retry with
+//   {trackIndex, clipIndex, uploaded, total, skipped, batchSize, retry}
+//
+// Returns a promise of {trackIndex, clipIndex, total, added, skipped, batches,
+// retries, batchSize, verified}.
+async function addNotesInBatches(backend, trackIndex, clipIndex, allNotes, options = {}) {
+  const settings = {
+    ...DEFAULT_UPLOAD,
+    wait: sleep,
+    onProgress: () => {},
+    ...(typeof options === "number" ? { batchSize: options } : options)
+  };
+  const verified = typeof backend.getClipNotes === "function";
+  const readClip = () => backend.getClipNotes(trackIndex, clipIndex);
+
+  let pending = verified ? findMissingNotes(allNotes, readClip()) : allNotes.slice();
+  const stats = {
+    trackIndex,
+    clipIndex,
+    total: allNotes.length,
+    added: 0,
+    skipped: allNotes.length - pending.length,
+    batches: 0,
+    retries: 0,
+    batchSize: settings.batchSize,
+    verified
+  };
+  const report = retry => settings.onProgress({
+    trackIndex,
+    clipIndex,
+    uploaded: stats.skipped + stats.added,
+    total: stats.total,
+    skipped: stats.skipped,
+    batchSize: stats.batchSize,
+    retry
+  });
+
+  let attempt = 0;
+  while (pending.length > 0) {
+    const batch = pending.slice(0, stats.batchSize);
+    let failure = null;
+    try {
+      backend.addNotesToClip(trackIndex, clipIndex, batch);
+    } catch (error) {
+      failure = error;
+    }
+
+    // A failed call may still have written part of the batch, so read back
+    let remaining;
+    if (verified) {
+      remaining = findMissingNotes(allNotes, readClip());
+      const expected = pending.length - batch.length;
+      if (!failure && remaining.length > expected) {
+        failure = new Error(`read-back is missing ${remaining.length - expected} of ${batch.length} notes`);
+      }
+    } else {
+      remaining = failure ? pending : pending.slice(batch.length);
+    }
+    stats.added += pending.length - remaining.length;
+    pending = remaining;
+
+    if (!failure) {
+      attempt = 0;
+      stats.batches++;
+      report(null);
+      continue;
+    }
+
+    attempt++;
+    if (attempt > settings.retries) {
+      throw new Error(
+        `Adding notes to track ${trackIndex}, clip ${clipIndex} failed after ${attempt} attempts ` +
+        `(${stats.skipped + stats.added}/${stats.total} notes in the clip): ${failure.message}`
+      );
+    }
+    stats.retries++;
+    if (isPayloadRejection(failure)) {
+      stats.batchSize = Math.max(settings.minBatchSize, Math.floor(stats.batchSize / 2));
+    }
+    const delay = settings.backoff * Math.pow(settings.backoffFactor, attempt - 1);
+    report({ attempt, delay, error: failure.message });
+    await settings.wait(delay);
+  }
+
+  return stats;
+}
+
+// Function to populate every track's clip with all of its sections
+// upload holds addNotesInBatches options; onProgress also receives the track name.
+// Tracks are uploaded one after another. Returns a promise of the upload stats
+// of every track.
+async function populateTracks(backend, composition, upload = {}) {
+  const stats = [];
+  for (const [trackIndex, track] of composition.tracks.entries()) {
+    stats.push(await addNotesInBatches(backend, trackIndex, 0, track.notes, {
+      ...upload,
+      onProgress: progress => upload.onProgress && upload.onProgress({ ...progress, track: track.name })
+    }));
+  }
+  return stats;
+}
+
+// Function to start playback of all clips
+function startPlayback(backend, composition) {
+  composition.tracks.forEach((track, trackIndex) => {
+    backend.fireClip(trackIndex, 0);
+  });
+}
+
+// Function to check that a backend can lay the piece out in scenes
+function assertScenesAvailable(backend) {
+  const missing = ["createScene", "setSceneName", "fireScene"].filter(method => typeof backend[method] !== "function");
+  if (missing.length > 0) {
+    throw new Error(`The ${backend.name || "given"} backend cannot create scenes (missing: ${missing.join(", ")})`);
+  }
+}
+
+// Function to get a section's notes moved to the start of its clip
+function getSectionClipNotes(track, section) {
+  return offsetNotesForSection(track.sectionNotes[section.name], -section.start);
+}
+
+// Function to create one named scene per section and one clip per section
+// per track, in the slot of its scene
+// reused is the result of setupSession(); sceneCount scenes already in the
+// session are named rather than created again.
+function createSectionClips(backend, composition, reused = [], sceneCount = 0) {
+  composition.sections.forEach((section, sceneIndex) => {
+    if (sceneIndex >= sceneCount) backend.createScene(sceneIndex);
+    backend.setSceneName(sceneIndex, section.name);
+  });
+
+  composition.tracks.forEach((track, trackIndex) => {
+    composition.sections.forEach((section, sceneIndex) => {
+      prepareClip(backend, reused[trackIndex], trackIndex, sceneIndex, section.length, getSectionClipNotes(track, section));
+      backend.setClipName(trackIndex, sceneIndex, `${track.name} ${section.name}`);
+    });
+  });
+}
+
+// Function to populate every section clip with its section's notes, moved to
+// the start of the clip
+// Clips are uploaded one after another. Returns a promise of the upload stats
+// of every clip, track by track.
+async function populateSectionClips(backend, composition, upload = {}) {
+  const stats = [];
+  for (const [trackIndex, track] of composition.tracks.entries()) {
+    for (const [sceneIndex, section] of composition.sections.entries()) {
+      stats.push(await addNotesInBatches(backend, trackIndex, sceneIndex, getSectionClipNotes(track, section), {
+        ...upload,
+        onProgress: progress => upload.onProgress &&
+          upload.onProgress({ ...progress, track: track.name, section: section.name })
+      }));
+    }
+  }
+  return stats;
+}
+
+// Function to plan when each scene is launched so playback follows the form
+// Scenes are launched leadBeats before their section starts, so Live's launch
+// quantization (one bar by default) starts them on the boundary itself.
+// A tempo envelope (see automation.js) replaces the spec tempo when timing them.
+function planSceneLaunches(composition, { leadBeats = 1, tempo } = {}) {
+  const tempoEnvelope = tempo || [{ time: 0, value: composition.tempo }];
+  return composition.sections.map((section, sceneIndex) => {
+    const launchBeat = Math.max(0, section.start - (sceneIndex > 0 ? leadBeats : 0));
+    return {
+      sceneIndex,
+      name: section.name,
+      beat: section.start,
+      launchBeat,
+      delay: Math.round(beatToSeconds(launchBeat, tempoEnvelope) * 1000)
+    };
+  });
+}
+
+// Function to launch the first scene and schedule the others at their sections
+// schedule(callback, delayMs) defaults to setTimeout
+function startScenePlayback(backend, composition, { schedule = setTimeout, leadBeats, tempo } = {}) {
+  planSceneLaunches(composition, { leadBeats, tempo }).forEach(launch => {
+    if (launch.delay === 0) {
+      backend.fireScene(launch.sceneIndex);
+    } else {
+      schedule(() => backend.fireScene(launch.sceneIndex), launch.delay);
+    }
+  });
+}
+
+// Clip layouts a composition can be performed in
+const LAYOUTS = ["unified", "sections"];
+
+// Function to perform a resolved composition against a backend
+//
+// options:
+// - instruments: resolution report from resolveInstruments() to load instead
+//   of the spec URIs
+// - upload: note upload options (see addNotesInBatches)
+// - layout: "unified" for one clip per track holding the whole piece (default),
+//   or "sections" for one clip per section per track in named scenes
+// - scenes: {schedule, leadBeats} for launching the scenes (see startScenePlayback)
+// - automation: true, or automation options (see automation.js), to write
+//   tempo, volume and filter envelopes before playback starts
+//
+// When the backend can read the session back (getSession), a rerun after a
+// failure reuses the tracks, scenes and clips the first run created, and the
+// note upload resumes where it stopped. Returns a promise of the backend,
+// resolved once playback has started.
+async function performComposition(composition, backend, options = {}) {
+  const { instruments, upload, layout = "unified", scenes = {}, automation } = options;
+  if (!LAYOUTS.includes(layout)) {
+    throw new Error(`Unknown layout "${layout}" (expected ${LAYOUTS.join(" or ")})`);
+  }
+  if (layout === "sections") assertScenesAvailable(backend);
+  if (automation) assertAutomationAvailable(backend);
+  const envelopes = automation
+    ? computeAutomation(composition, automation === true ? {} : automation)
+    : null;
+
+  const session = readSession(backend);
+  const reused = setupSession(backend, composition, instruments, session);
+  if (envelopes) loadAutomationDevices(backend, composition, reused);
+  if (layout === "sections") {
+    createSectionClips(backend, composition, reused, session ? session.sceneCount : 0);
+    await populateSectionClips(backend, composition, upload);
+  } else {
+    createUnifiedClips(backend, composition, reused);
+    await populateTracks(backend, composition, upload);
+  }
+  if (envelopes) writeAutomation(backend, composition, envelopes, { layout });
+
+  if (layout === "sections") {
+    startScenePlayback(backend, composition, { ...scenes, tempo: envelopes ? envelopes.tempo : undefined });
+  } else {
+    startPlayback(backend, composition);
+  }
+  return backend;
+}
+
+// Function to write a resolved composition to a type-1 Standard MIDI File
+function writeCompositionMidi(composition, filePath) {
+  const tracks = composition.tracks.map(track => ({
+    name: track.name,
+    notes: track.notes,
+    program: track.gmProgram
+  }));
+  writeMidiFile(filePath, tracks, { tempo: composition.tempo, title: composition.title });
+}
+
+module.exports = {
+  validateSpec,
+  loadSpec,
+  resolveComposition,
+  offsetNotesForSection,
+  readSession,
+  setupSession,
+  createUnifiedClips,
+  DEFAULT_UPLOAD,
+  findMissingNotes,
+  addNotesInBatches,
+  populateTracks,
+  startPlayback,
+  LAYOUTS,
+  createSectionClips,
+  populateSectionClips,
+  planSceneLaunches,
+  startScenePlayback,
+  performComposition,
+  writeCompositionMidi
+};
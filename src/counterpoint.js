@@ -0,0 +1,265 @@
+/**
+ * Counterpoint and voice-leading validator
+ *
+ * Runs over the combined notes of every track and reports rule violations:
+ * parallel fifths and octaves between voices, voice crossing between voices
+ * that should keep their order, notes outside an instrument's playable range
+ * and (in the strict rule set) large melodic leaps.
+ *
+ * Each violation names the track, the section (Exposition/Development/
+ * Culmination) and the beat where it happens.
+ */
+
+// Playable MIDI ranges per instrument role (see INSTRUMENT_ROLES in
+// instruments.js), so a range follows the instrument whichever track plays it
+const INSTRUMENT_RANGES = {
+  core: { instrument: "Grand Piano", low: 21, high: 108 },
+  strings: { instrument: "Strings Ensemble", low: 28, high: 96 },
+  brass: { instrument: "Trumpet Section", low: 54, high: 86 },
+  winds: { instrument: "Woodwinds Ensemble", low: 34, high: 96 },
+  mallets: { instrument: "Vibraphone", low: 53, high: 89 },
+  pad: { instrument: "Stars Pad", low: 0, high: 127 }
+};
+
+// Rule sets: each rule is off, or reported with a severity ("error" or "warning")
+const RULE_SETS = {
+  strict: {
+    parallelFifths: "error",
+    parallelOctaves: "error",
+    voiceCrossing: "error",
+    range: "error",
+    largeLeap: "warning",
+    maxLeap: 12,
+    // Sustained chordal voices are still checked for parallels
+    parallelExemptTracks: [],
+    // [lower, upper] pairs whose order must not cross
+    voiceOrder: [
+      ["Inner Spiral", "Middle Spiral"],
+      ["Middle Spiral", "Outer Spiral"]
+    ]
+  },
+  relaxed: {
+    parallelFifths: "warning",
+    parallelOctaves: "warning",
+    voiceCrossing: "warning",
+    range: "error",
+    largeLeap: "off",
+    maxLeap: 12,
+    // Pads and sustained chords double other voices on purpose
+    parallelExemptTracks: ["Inner Spiral", "Cosmic Background"],
+    voiceOrder: [
+      ["Inner Spiral", "Middle Spiral"]
+    ]
+  }
+};
+
+// Function to resolve a rule set by name, or merge overrides onto one
+function resolveRuleSet(ruleSet = "strict") {
+  if (typeof ruleSet === "string") {
+    if (!RULE_SETS[ruleSet]) {
+      throw new Error(`Unknown rule set "${ruleSet}" (expected ${Object.keys(RULE_SETS).join(" or ")})`);
+    }
+    return RULE_SETS[ruleSet];
+  }
+  return { ...RULE_SETS[ruleSet.extends || "strict"], ...ruleSet };
+}
+
+// Function to locate a beat: the section it falls into and the beat within that
+// section. Patterns are repeated to fill their section (see composition.js), so
+// past the pattern length the section beat is that of a repeat.
+function locate(beat, sections) {
+  const section = sections.find(candidate => beat >= candidate.start && beat < candidate.start + candidate.length);
+  return section
+    ? { section: section.name, sectionBeat: beat - section.start }
+    : { section: "Outside sections", sectionBeat: beat };
+}
+
+// Function to get the sounding top pitch of a track at a beat (its melodic line)
+function topPitchAt(notes, beat) {
+  let top = null;
+  notes.forEach(note => {
+    if (!note.mute && note.start_time <= beat && beat < note.start_time + note.duration) {
+      top = top === null ? note.pitch : Math.max(top, note.pitch);
+    }
+  });
+  return top;
+}
+
+// Function to get the distinct onset beats of a track in time order
+function onsetsOf(notes) {
+  return [...new Set(notes.filter(note => !note.mute).map(note => note.start_time))].sort((a, b) => a - b);
+}
+
+// Function to get a track's playable range: its own "range" from the spec,
+// or the range of its role's instrument, named as the track names it
+function getTrackRange(track) {
+  if (track.range) {
+    return { instrument: track.instrumentName || track.name, ...track.range };
+  }
+  const range = INSTRUMENT_RANGES[track.role];
+  if (!range) return null;
+  return track.instrumentName ? { ...range, instrument: track.instrumentName } : range;
+}
+
+// Function to check notes against the track's instrument range
+function checkRange(track, sections, severity) {
+  const range = getTrackRange(track);
+  if (!range) return [];
+  return track.notes
+    .filter(note => !note.mute && (note.pitch < range.low || note.pitch > range.high))
+    .map(note => ({
+      rule: "range",
+      severity,
+      track: track.name,
+      ...locate(note.start_time, sections),
+      beat: note.start_time,
+      message: `Pitch ${note.pitch} is outside the ${range.instrument} range ${range.low}-${range.high}`
+    }));
+}
+
+// Function to check the melodic line of a track for leaps wider than allowed
+function checkLeaps(track, sections, severity, maxLeap) {
+  const violations = [];
+  let previous = null;
+  onsetsOf(track.notes).forEach(beat => {
+    const pitch = topPitchAt(track.notes, beat);
+    if (previous !== null && pitch !== null && Math.abs(pitch - previous) > maxLeap) {
+      violations.push({
+        rule: "largeLeap",
+        severity,
+        track: track.name,
+        ...locate(beat, sections),
+        beat,
+        message: `Leap of ${Math.abs(pitch - previous)} semitones (${previous} to ${pitch})`
+      });
+    }
+    previous = pitch;
+  });
+  return violations;
+}
+
+// Function to check a pair of voices for parallel fifths and octaves
+function checkParallels(first, second, sections, rules) {
+  const violations = [];
+  const beats = [...new Set([...onsetsOf(first.notes), ...onsetsOf(second.notes)])].sort((a, b) => a - b);
+  let previous = null;
+
+  beats.forEach(beat => {
+    const current = { a: topPitchAt(first.notes, beat), b: topPitchAt(second.notes, beat) };
+    if (current.a === null || current.b === null) {
+      previous = null;
+      return;
+    }
+    if (previous) {
+      const motionA = current.a - previous.a;
+      const motionB = current.b - previous.b;
+      const before = Math.abs(previous.a - previous.b) % 12;
+      const after = Math.abs(current.a - current.b) % 12;
+      const similarMotion = motionA !== 0 && Math.sign(motionA) === Math.sign(motionB);
+
+      if (similarMotion && before === after && (after === 7 || after === 0)) {
+        const rule = after === 7 ? "parallelFifths" : "parallelOctaves";
+        if (rules[rule] !== "off") {
+          violations.push({
+            rule,
+            severity: rules[rule],
+            track: second.name,
+            otherTrack: first.name,
+            ...locate(beat, sections),
+            beat,
+            message: `Parallel ${after === 7 ? "fifths" : "octaves"} with ${first.name} ` +
+              `(${previous.a}/${previous.b} to ${current.a}/${current.b})`
+          });
+        }
+      }
+    }
+    previous = current;
+  });
+  return violations;
+}
+
+// Function to check that a lower voice never sounds above an upper voice
+function checkCrossing(lower, upper, sections, severity) {
+  const violations = [];
+  const beats = [...new Set([...onsetsOf(lower.notes), ...onsetsOf(upper.notes)])].sort((a, b) => a - b);
+  let crossed = false;
+
+  beats.forEach(beat => {
+    const lowerPitch = topPitchAt(lower.notes, beat);
+    const upperPitch = topPitchAt(upper.notes, beat);
+    const isCrossed = lowerPitch !== null && upperPitch !== null && lowerPitch > upperPitch;
+    // Report where a crossing starts rather than every beat it lasts
+    if (isCrossed && !crossed) {
+      violations.push({
+        rule: "voiceCrossing",
+        severity,
+        track: lower.name,
+        otherTrack: upper.name,
+        ...locate(beat, sections),
+        beat,
+        message: `${lower.name} (${lowerPitch}) crosses above ${upper.name} (${upperPitch})`
+      });
+    }
+    crossed = isCrossed;
+  });
+  return violations;
+}
+
+// Function to validate all tracks ([{name, notes}]) against a rule set
+//
+// options:
+// - ruleSet: "strict", "relaxed", or an object of rule overrides ({extends, ...})
+// - sections: [{name, start, length}] used to label where violations happen
+function validateComposition(tracks, { ruleSet = "strict", sections = [] } = {}) {
+  const rules = resolveRuleSet(ruleSet);
+  const violations = [];
+
+  tracks.forEach(track => {
+    if (rules.range !== "off") {
+      violations.push(...checkRange(track, sections, rules.range));
+    }
+    if (rules.largeLeap !== "off") {
+      violations.push(...checkLeaps(track, sections, rules.largeLeap, rules.maxLeap));
+    }
+  });
+
+  if (rules.parallelFifths !== "off" || rules.parallelOctaves !== "off") {
+    const checked = tracks.filter(track => !rules.parallelExemptTracks.includes(track.name));
+    for (let i = 0; i < checked.length; i++) {
+      for (let j = i + 1; j < checked.length; j++) {
+        violations.push(...checkParallels(checked[i], checked[j], sections, rules));
+      }
+    }
+  }
+
+  if (rules.voiceCrossing !== "off") {
+    rules.voiceOrder.forEach(([lowerName, upperName]) => {
+      const lower = tracks.find(track => track.name === lowerName);
+      const upper = tracks.find(track => track.name === upperName);
+      if (lower && upper) {
+        violations.push(...checkCrossing(lower, upper, sections, rules.voiceCrossing));
+      }
+    });
+  }
+
+  return violations.sort((a, b) => a.beat - b.beat || a.track.localeCompare(b.track));
+}
+
+// Function to format violations as readable report lines
+function formatViolations(violations) {
+  if (violations.length === 0) return "No counterpoint violations found.";
+  return violations
+    .map(violation =>
+      `[${violation.severity}] ${violation.track} - ${violation.section} beat ${violation.sectionBeat} ` +
+      `(beat ${violation.beat}): ${violation.message}`
+    )
+    .join("\n");
+}
+
+module.exports = {
+  INSTRUMENT_RANGES,
+  RULE_SETS,
+  getTrackRange,
+  validateComposition,
+  formatViolations
+};
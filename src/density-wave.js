@@ -0,0 +1,199 @@
+/**
+ * Density-wave dynamics
+ *
+ * Models the spiral arms as a density wave (docs/math-analysis.md §4): a pattern
+ * of m arms rotating rigidly at its pattern speed, while each voice orbits at
+ * the speed of its radius on a flat rotation curve (Ω ∝ 1/r). A voice inside
+ * corotation overtakes the arms, one outside is overtaken, and every crossing
+ * compresses it: the density it feels peaks at the arm crest and falls off
+ * between arms, more sharply the stronger the arm compression.
+ *
+ * The density curve is applied as passes over note arrays, hand-written or
+ * generated: shapeVelocities() swells and fades the velocities with it and
+ * shapeDensity() thins bars between the arms and thickens bars on a crest.
+ * A voice's radius comes from its register, inverting the pitch mapping of
+ * spiral.js, so inner and outer voices cross the arms at different times.
+ */
+
+const { sortNotes } = require("./note-utils");
+
+const TWO_PI = 2 * Math.PI;
+
+const DEFAULT_DENSITY_WAVE = {
+  arms: 2,            // m, the number of arms of the wave pattern
+  patternSpeed: 0.05, // Ω_p, turns of the wave pattern per beatsPerTurn beats
+  rotationSpeed: 0.5, // Orbital turns per beatsPerTurn beats at radius 1
+  pitchAngle: 20,     // Arm pitch angle in degrees: arms at larger radii trail behind
+  compression: 1.5,   // Arm contrast: 0 is uniform, larger values give narrow crests
+  beatsPerTurn: 16,   // Same time scale as the spiral generator
+  phase: 0            // Arm position at beat 0, in turns
+};
+
+// Pitch mapping of the spiral generator, inverted to place voices at a radius
+const RADIUS_MAPPING = {
+  a: 2,
+  base: 60,
+  semitonesPerDoubling: 12
+};
+
+// Function to get the radius of the orbit a pitch corresponds to
+function pitchToRadius(pitch, mapping = RADIUS_MAPPING) {
+  return mapping.a * Math.pow(2, (pitch - mapping.base) / mapping.semitonesPerDoubling);
+}
+
+// Function to get the radius of a voice from the mean pitch of its notes
+function voiceRadius(notes) {
+  const sounding = notes.filter(note => !note.mute);
+  if (sounding.length === 0) return RADIUS_MAPPING.a;
+  const meanPitch = sounding.reduce((total, note) => total + note.pitch, 0) / sounding.length;
+  return pitchToRadius(meanPitch);
+}
+
+// Function to create a density-wave model: wave options merged over the defaults
+function createDensityWave(options = {}) {
+  const wave = { ...DEFAULT_DENSITY_WAVE, ...options };
+  if (!(Number.isInteger(wave.arms) && wave.arms >= 1)) {
+    throw new Error(`Density wave needs a whole number of arms >= 1, got ${wave.arms}`);
+  }
+  if (!(wave.pitchAngle > 0 && wave.pitchAngle < 90)) {
+    throw new Error(`Arm pitch angle must be between 0 and 90 degrees, got ${wave.pitchAngle}`);
+  }
+  if (!(wave.compression >= 0)) {
+    throw new Error(`Arm compression must be >= 0, got ${wave.compression}`);
+  }
+  if (!(wave.beatsPerTurn > 0)) {
+    throw new Error(`beatsPerTurn must be positive, got ${wave.beatsPerTurn}`);
+  }
+  return wave;
+}
+
+// Function to get the density felt at a radius and beat, from 0 (between the
+// arms) to 1 (on an arm crest)
+function densityAt(wave, radius, beat) {
+  const turns = beat / wave.beatsPerTurn;
+  // Angle of the voice relative to the rotating pattern, in turns
+  const relative = (wave.rotationSpeed / radius - wave.patternSpeed) * turns;
+  // Logarithmic arms: the crest trails by ln(r)/tan(pitch angle) radians
+  const winding = Math.log(radius) / Math.tan((wave.pitchAngle * Math.PI) / 180) / TWO_PI;
+  const angle = TWO_PI * wave.arms * (relative - winding - wave.phase);
+  return Math.exp(wave.compression * (Math.cos(angle) - 1));
+}
+
+// Function to sample a voice's density curve, one value per step of beats
+function densityCurve(wave, radius, { start = 0, end, step = 1 }) {
+  const curve = [];
+  for (let beat = start; beat < end; beat += step) {
+    curve.push({ beat, density: densityAt(wave, radius, beat) });
+  }
+  return curve;
+}
+
+// Function to scale velocities with the density felt at each onset
+// Hand-picked accents are kept; the curve swells them by up to `depth` on a
+// crest and fades them by as much between the arms.
+//
+// options:
+// - depth: fraction of the velocity the wave can add or take away (default 0.25)
+// - radius: orbit of the voice (default: from the mean pitch of the notes)
+function shapeVelocities(notes, waveOptions = {}, { depth = 0.25, radius = voiceRadius(notes) } = {}) {
+  const wave = createDensityWave(waveOptions);
+  return notes.map(note => {
+    const density = densityAt(wave, radius, note.start_time);
+    const scale = 1 - depth + 2 * depth * density;
+    return { ...note, velocity: Math.max(1, Math.min(127, Math.round(note.velocity * scale))) };
+  });
+}
+
+// Function to rank how strong a metric position is, for choosing notes to drop
+function metricWeight(beat, beatsPerBar) {
+  const position = ((beat % beatsPerBar) + beatsPerBar) % beatsPerBar;
+  if (Math.abs(position) < 1e-9) return 3;
+  if (Math.abs(position - Math.round(position)) < 1e-9) return 2;
+  if (Math.abs(position * 2 - Math.round(position * 2)) < 1e-9) return 1;
+  return 0;
+}
+
+// Function to thin or thicken notes bar by bar with the density curve
+// Between the arms up to `depth` of a bar's notes are dropped, the weakest
+// metric positions and softest notes first, always keeping the bar's first
+// onset. On a crest up to `depth` of its notes are split into repeated notes
+// of half the length, the longest first.
+//
+// options:
+// - depth: largest fraction of a bar's notes to drop or split (default 0.5)
+// - beatsPerBar: bar length in beats (default 4)
+// - minDuration: notes shorter than twice this are never split (default 0.25)
+// - radius: orbit of the voice (default: from the mean pitch of the notes)
+function shapeDensity(notes, waveOptions = {}, options = {}) {
+  const {
+    depth = 0.5,
+    beatsPerBar = 4,
+    minDuration = 0.25,
+    radius = voiceRadius(notes)
+  } = options;
+  const wave = createDensityWave(waveOptions);
+
+  const bars = new Map();
+  notes.forEach(note => {
+    const bar = Math.floor(note.start_time / beatsPerBar);
+    if (!bars.has(bar)) bars.set(bar, []);
+    bars.get(bar).push(note);
+  });
+
+  const shaped = [];
+  [...bars.entries()].forEach(([bar, barNotes]) => {
+    const density = densityAt(wave, radius, (bar + 0.5) * beatsPerBar);
+    // -1 between the arms, 0 halfway, 1 on a crest
+    const swing = 2 * density - 1;
+
+    if (swing < 0) {
+      const firstOnset = Math.min(...barNotes.map(note => note.start_time));
+      const candidates = barNotes
+        .filter(note => note.start_time > firstOnset)
+        .sort((x, y) =>
+          metricWeight(x.start_time, beatsPerBar) - metricWeight(y.start_time, beatsPerBar) ||
+          x.velocity - y.velocity
+        );
+      const dropped = new Set(candidates.slice(0, Math.floor(-swing * depth * barNotes.length)));
+      shaped.push(...barNotes.filter(note => !dropped.has(note)));
+    } else {
+      const candidates = barNotes
+        .filter(note => note.duration >= 2 * minDuration)
+        .sort((x, y) => y.duration - x.duration);
+      const split = new Set(candidates.slice(0, Math.floor(swing * depth * barNotes.length)));
+      barNotes.forEach(note => {
+        if (!split.has(note)) {
+          shaped.push(note);
+          return;
+        }
+        const half = note.duration / 2;
+        shaped.push({ ...note, duration: half });
+        shaped.push({ ...note, start_time: note.start_time + half, duration: half });
+      });
+    }
+  });
+
+  return sortNotes(shaped);
+}
+
+// Function to apply the density wave to a voice: density first, then velocities
+//
+// options: depth settings of both passes as {velocityDepth, densityDepth},
+// plus beatsPerBar, minDuration and radius
+function applyDensityWave(notes, waveOptions = {}, options = {}) {
+  const { velocityDepth = 0.25, densityDepth = 0.5, radius = voiceRadius(notes), ...densityOptions } = options;
+  const thinned = shapeDensity(notes, waveOptions, { ...densityOptions, depth: densityDepth, radius });
+  return shapeVelocities(thinned, waveOptions, { depth: velocityDepth, radius });
+}
+
+module.exports = {
+  DEFAULT_DENSITY_WAVE,
+  pitchToRadius,
+  voiceRadius,
+  createDensityWave,
+  densityAt,
+  densityCurve,
+  shapeVelocities,
+  shapeDensity,
+  applyDensityWave
+};
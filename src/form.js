@@ -0,0 +1,108 @@
+/**
+ * Golden-ratio form planner
+ *
+ * Computes the large-scale form of the composition from a proportion (φ by
+ * default, see docs/math-analysis.md §3.2 and §7): section boundaries, the
+ * entry points of the canonic voices in each section and the climax positions.
+ *
+ * The three sections are divided by golden sections of the whole:
+ * Exposition : Development = ratio : 1 and
+ * (Exposition + Development) : Culmination = ratio : 1,
+ * so for φ the Development is the compressed middle and the Culmination starts
+ * at the golden point of the piece, where §7.3 places the structural high point.
+ *
+ * The voices enter a rotation of π/ratio apart (§7.1), closer together when
+ * needed so that all of them have entered by the end of the minor golden part
+ * of their section and still have most of it to play in.
+ */
+
+const { PHI } = require("./canon");
+const { quantize } = require("./note-utils");
+
+const TWO_PI = 2 * Math.PI;
+
+const DEFAULT_SECTION_NAMES = ["Exposition", "Development", "Culmination"];
+
+// Function to get the point dividing a length into major : minor = ratio : 1
+function goldenPoint(length, ratio) {
+  return (length * ratio) / (1 + ratio);
+}
+
+// Function to plan the form of a piece
+//
+// options:
+// - totalLength: length of the piece in beats
+// - ratio: proportion between sections (PHI, or any other ratio > 0)
+// - voiceCount: number of canonic voices entering in each section
+// - beatsPerBar: section boundaries are snapped to whole bars
+// - beatsPerTurn: beats per full rotation, used to turn the entry angle into time
+// - entryGrid: voice entries and climaxes are snapped to this grid (beats)
+// - sectionNames: names of the three sections
+function planForm(options = {}) {
+  const {
+    totalLength = 96,
+    ratio = PHI,
+    voiceCount = 6,
+    beatsPerBar = 4,
+    beatsPerTurn = 16,
+    entryGrid = 1,
+    sectionNames = DEFAULT_SECTION_NAMES
+  } = options;
+
+  if (!(totalLength > 0)) throw new Error(`Form length must be positive, got ${totalLength}`);
+  if (!(ratio > 0)) throw new Error(`Form ratio must be positive, got ${ratio}`);
+
+  // Culmination starts at the golden point of the whole, Development at the
+  // golden point of what comes before it
+  const culminationStart = quantize(goldenPoint(totalLength, ratio), beatsPerBar);
+  const developmentStart = quantize(goldenPoint(culminationStart, ratio), beatsPerBar);
+  const boundaries = [0, developmentStart, culminationStart, totalLength];
+
+  // Voices enter a rotation of π/ratio apart (§7.1), expressed in beats
+  const entrySpacing = (Math.PI / ratio / TWO_PI) * beatsPerTurn;
+
+  const sections = sectionNames.map((name, index) => {
+    const start = boundaries[index];
+    const length = boundaries[index + 1] - start;
+    // Squeeze the entries together when the last one would come after the
+    // minor golden part of the section
+    const minorPart = length - goldenPoint(length, ratio);
+    const spacing = voiceCount > 1 ? Math.min(entrySpacing, minorPart / (voiceCount - 1)) : 0;
+    return {
+      name,
+      start,
+      length,
+      climax: start + quantize(goldenPoint(length, ratio), entryGrid),
+      entries: Array.from({ length: voiceCount }, (_, voice) => start + quantize(voice * spacing, entryGrid))
+    };
+  });
+
+  if (sections.some(section => section.length <= 0)) {
+    throw new Error(`Form of ${totalLength} beats is too short to divide by ratio ${ratio}`);
+  }
+
+  return {
+    ratio,
+    totalLength,
+    sections,
+    climax: quantize(goldenPoint(totalLength, ratio), entryGrid)
+  };
+}
+
+// Function to describe a plan as readable lines
+function formatFormPlan(plan) {
+  const lines = [`Form: ${plan.totalLength} beats, ratio ${plan.ratio.toFixed(3)}, climax at beat ${plan.climax}`];
+  plan.sections.forEach(section => {
+    lines.push(
+      `  ${section.name}: beats ${section.start}-${section.start + section.length} ` +
+      `(${section.length} beats), climax at ${section.climax}, entries at ${section.entries.join(", ")}`
+    );
+  });
+  return lines.join("\n");
+}
+
+module.exports = {
+  planForm,
+  formatFormPlan,
+  goldenPoint
+};
@@ -0,0 +1,396 @@
+/**
+ * Galaxy data importer
+ *
+ * Turns real galaxy data into a composition spec, so the six voices are
+ * generated from a galaxy's measured structure instead of the hand-picked
+ * spiral constants. A local CSV or JSON file holds either:
+ *
+ * - catalog parameters, one galaxy per row or object: name, arms, pitch angle
+ *   (degrees) and bulge-to-disk ratio
+ * - star or particle positions of one galaxy: x, y and brightness (or a
+ *   magnitude), from which the same parameters are measured
+ *
+ * Star positions are fitted with the two-dimensional Fourier transform used
+ * for galaxy images: the light is decomposed into logarithmic spirals of m
+ * arms and pitch angle i, and the strongest component gives the arm count and
+ * pitch angle. The bulge-to-disk ratio is the light inside the bulge radius
+ * against the light outside it.
+ *
+ * galaxyToSpec() maps the parameters onto the voices of a spec
+ * (docs/galaxy-data.md): the pitch angle sets the spiral constant b = tan i,
+ * so tightly wound arms take more turns, more notes and closer canonic entries
+ * to cross each voice's zone of the disk; the arm count sets the number of
+ * canonic voices within every track and of the density wave; the bulge
+ * weighs the Galactic Core against the disk. With star positions the Star
+ * Clusters voice plays the brightest stars themselves.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { radiusToPitch } = require("./spiral");
+const { SCALES } = require("./scales");
+const { sortNotes } = require("./note-utils");
+
+const TWO_PI = 2 * Math.PI;
+
+// Column and field names accepted for each parameter, compared without case,
+// spaces or punctuation
+const FIELD_NAMES = {
+  name: ["name", "galaxy", "object", "id"],
+  arms: ["arms", "armcount", "narms", "m"],
+  pitchAngle: ["pitchangle", "pitch", "i"],
+  bulgeToDisk: ["bulgetodisk", "bulgedisk", "bd", "btod"],
+  x: ["x"],
+  y: ["y"],
+  brightness: ["brightness", "flux", "luminosity", "weight"],
+  magnitude: ["magnitude", "mag"]
+};
+
+// Radii as fractions of the disk radius (the radius holding 95% of the stars)
+const BULGE_RADIUS = 0.15;
+
+// Search grid of the spiral fit
+const FIT_ARMS = [1, 2, 3, 4, 5, 6];
+const FIT_PITCH_ANGLES = { min: 5, max: 50, step: 0.5 };
+
+// Zone of the disk each role's voice crosses, its register and its note rate
+// notesPerTurn is the number of notes per arm for every turn of the spiral;
+// span is the interval in semitones the voice climbs across its zone
+const VOICE_ZONES = {
+  core: { inner: 0.02, outer: BULGE_RADIUS, base: 48, min: 36, max: 72, span: 18, notesPerTurn: 8, duration: "legato" },
+  strings: { inner: 0.15, outer: 0.35, base: 45, min: 36, max: 72, span: 18, notesPerTurn: 24, duration: "legato" },
+  brass: { inner: 0.3, outer: 0.55, base: 55, min: 54, max: 82, span: 18, notesPerTurn: 32, duration: "legato" },
+  winds: { inner: 0.5, outer: 0.8, base: 67, min: 60, max: 96, span: 18, notesPerTurn: 40, duration: "legato" },
+  mallets: { inner: 0.6, outer: 1, base: 65, min: 53, max: 89, span: 18, notesPerTurn: 40, duration: 0.5 },
+  pad: { inner: BULGE_RADIUS, outer: 1, base: 36, min: 28, max: 64, span: 12, notesPerTurn: 8, duration: "legato" }
+};
+
+// Roles given to tracks without one, by track position (the canon's order)
+const VOICE_ORDER = ["core", "strings", "brass", "winds", "mallets", "pad"];
+
+// How the sections build: more notes and louder, section by section
+const SECTION_DENSITY = [1, 1.5, 2];
+const SECTION_ACCENT = [0, 8, 16];
+
+// Brightest stars the Star Clusters voice plays per section
+const CLUSTER_NOTES = 12;
+
+// Function to compare field names without case, spaces or punctuation
+function normalizeField(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// Function to read a field of a row under any of its accepted names
+function getField(row, field) {
+  const key = Object.keys(row).find(candidate => FIELD_NAMES[field].includes(normalizeField(candidate)));
+  return key === undefined ? undefined : row[key];
+}
+
+// Function to parse CSV text with a header row into objects
+// Lines starting with # are comments; numeric cells become numbers
+function parseCsv(text) {
+  const splitLine = line => {
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const character = line[i];
+      if (character === '"' && quoted && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (character === '"') {
+        quoted = !quoted;
+      } else if (character === "," && !quoted) {
+        cells.push(cell.trim());
+        cell = "";
+      } else {
+        cell += character;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  };
+
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== "" && !line.trim().startsWith("#"));
+  if (lines.length === 0) return [];
+  const header = splitLine(lines[0]);
+  return lines.slice(1).map(line => {
+    const row = {};
+    splitLine(line).forEach((cell, index) => {
+      if (index >= header.length) return;
+      row[header[index]] = cell !== "" && !Number.isNaN(Number(cell)) ? Number(cell) : cell;
+    });
+    return row;
+  });
+}
+
+// Function to read a galaxy data file, CSV or JSON by its extension
+// Returns a list of rows (catalog entries or stars), or {name, stars} for a
+// JSON file holding one galaxy's stars
+function readGalaxyData(filePath) {
+  const text = fs.readFileSync(filePath, "utf8");
+  if (path.extname(filePath).toLowerCase() === ".csv") {
+    return parseCsv(text);
+  }
+  const data = JSON.parse(text);
+  return Array.isArray(data) ? data : (data.galaxies || data);
+}
+
+// Function to tell whether rows are star positions rather than catalog entries
+function isStarData(rows) {
+  return rows.length > 0 && getField(rows[0], "x") !== undefined && getField(rows[0], "y") !== undefined;
+}
+
+// Function to get a star's brightness, from its flux or its magnitude
+function starBrightness(row) {
+  const brightness = getField(row, "brightness");
+  if (typeof brightness === "number") return brightness;
+  const magnitude = getField(row, "magnitude");
+  if (typeof magnitude === "number") return Math.pow(10, -0.4 * magnitude);
+  return 1;
+}
+
+// Function to measure the arm count, pitch angle and bulge-to-disk ratio of
+// a galaxy from star positions [{x, y, brightness}]
+//
+// Returns {arms, pitchAngle, bulgeToDisk, armStrength, winding, stars}, where
+// stars are in polar coordinates around the light centroid, radii as
+// fractions of the disk radius: [{radius, theta, brightness}]
+function fitStarPositions(rows) {
+  const points = rows
+    .map(row => ({ x: Number(getField(row, "x")), y: Number(getField(row, "y")), brightness: starBrightness(row) }))
+    .filter(point => Number.isFinite(point.x) && Number.isFinite(point.y) && point.brightness > 0);
+  if (points.length < 10) {
+    throw new Error(`Fitting a spiral needs at least 10 stars with x, y and brightness, got ${points.length}`);
+  }
+
+  const total = points.reduce((sum, point) => sum + point.brightness, 0);
+  const centerX = points.reduce((sum, point) => sum + point.x * point.brightness, 0) / total;
+  const centerY = points.reduce((sum, point) => sum + point.y * point.brightness, 0) / total;
+  const polar = points.map(point => ({
+    radius: Math.hypot(point.x - centerX, point.y - centerY),
+    theta: Math.atan2(point.y - centerY, point.x - centerX),
+    brightness: point.brightness
+  }));
+  const radii = polar.map(point => point.radius).sort((x, y) => x - y);
+  const diskRadius = radii[Math.min(radii.length - 1, Math.floor(radii.length * 0.95))] || 1;
+  const stars = polar.map(point => ({ ...point, radius: point.radius / diskRadius }));
+
+  const bulgeLight = stars.filter(star => star.radius < BULGE_RADIUS).reduce((sum, star) => sum + star.brightness, 0);
+  const diskLight = total - bulgeLight;
+  const bulgeToDisk = diskLight > 0 ? bulgeLight / diskLight : Infinity;
+
+  // Amplitude of the m-armed logarithmic spiral of pitch angle i in the disk
+  // light: |Σ w·e^(−i(m·θ + p·ln r))| / Σ w with p = −m / tan i, either winding
+  const disk = stars.filter(star => star.radius >= BULGE_RADIUS && star.radius <= 1);
+  const diskTotal = disk.reduce((sum, star) => sum + star.brightness, 0);
+  let best = { arms: 2, pitchAngle: 20, armStrength: 0, winding: 1 };
+  FIT_ARMS.forEach(arms => {
+    for (let angle = FIT_PITCH_ANGLES.min; angle <= FIT_PITCH_ANGLES.max; angle += FIT_PITCH_ANGLES.step) {
+      [1, -1].forEach(winding => {
+        const p = (-winding * arms) / Math.tan((angle * Math.PI) / 180);
+        let re = 0;
+        let im = 0;
+        disk.forEach(star => {
+          const phase = arms * star.theta + p * Math.log(star.radius);
+          re += star.brightness * Math.cos(phase);
+          im -= star.brightness * Math.sin(phase);
+        });
+        const armStrength = diskTotal > 0 ? Math.hypot(re, im) / diskTotal : 0;
+        if (armStrength > best.armStrength) best = { arms, pitchAngle: angle, armStrength, winding };
+      });
+    }
+  });
+
+  return {
+    arms: best.arms,
+    pitchAngle: best.pitchAngle,
+    bulgeToDisk: Math.round(bulgeToDisk * 1000) / 1000,
+    armStrength: Math.round(best.armStrength * 1000) / 1000,
+    winding: best.winding,
+    stars
+  };
+}
+
+// Function to check catalog parameters and fill in the optional ones
+function readCatalogEntry(row) {
+  const name = String(getField(row, "name") || "Unnamed galaxy");
+  const arms = getField(row, "arms");
+  const pitchAngle = getField(row, "pitchAngle");
+  const bulgeToDisk = getField(row, "bulgeToDisk");
+  const missing = [
+    !(Number.isInteger(arms) && arms >= 1) && "arms (a whole number >= 1)",
+    !(pitchAngle > 0 && pitchAngle < 90) && "pitch angle (degrees, 0-90)"
+  ].filter(Boolean);
+  if (missing.length > 0) {
+    throw new Error(`Galaxy "${name}" has no usable catalog parameters (missing: ${missing.join(", ")})`);
+  }
+  if (bulgeToDisk !== undefined && !(bulgeToDisk >= 0)) {
+    throw new Error(`Galaxy "${name}" has a bulge-to-disk ratio below 0: ${bulgeToDisk}`);
+  }
+  return { name, source: "catalog", arms, pitchAngle, bulgeToDisk: bulgeToDisk === undefined ? 0.2 : bulgeToDisk };
+}
+
+// Function to import a galaxy from data read by readGalaxyData()
+// A catalog with several galaxies needs the name of the one to use; star
+// positions without a name are called defaultName.
+// Returns {name, source: "catalog" | "stars", arms, pitchAngle, bulgeToDisk}
+// plus, for star data, the starCount and the fit's armStrength, winding and stars
+function importGalaxy(data, { name, defaultName = "Unnamed galaxy" } = {}) {
+  const rows = Array.isArray(data) ? data : (data.stars || [data]);
+  const dataName = !Array.isArray(data) && data.stars ? data.name : undefined;
+
+  if (isStarData(rows)) {
+    const fit = fitStarPositions(rows);
+    return { name: name || dataName || defaultName, source: "stars", starCount: fit.stars.length, ...fit };
+  }
+
+  const wanted = name === undefined ? undefined : normalizeField(name);
+  const names = rows.map(row => String(getField(row, "name")));
+  if (wanted === undefined && rows.length !== 1) {
+    throw new Error(`The catalog lists ${rows.length} galaxies, choose one by name (${names.join(", ")})`);
+  }
+  const row = wanted === undefined ? rows[0] : rows.find(candidate => normalizeField(getField(candidate, "name")) === wanted);
+  if (!row) {
+    throw new Error(`Galaxy "${name}" is not in the catalog (expected ${names.join(", ")})`);
+  }
+  return readCatalogEntry(row);
+}
+
+// Function to read and import a galaxy from a CSV or JSON file
+function loadGalaxy(filePath, options = {}) {
+  const defaultName = path.basename(filePath, path.extname(filePath));
+  return importGalaxy(readGalaxyData(filePath), { defaultName, ...options });
+}
+
+// Function to generate the Star Clusters notes of a section from the brightest
+// stars of its band of the disk
+// A beam sweeps once around the galaxy over the pattern: a star sounds when
+// the beam passes its angle, at the pitch of its radius, as loud as it is bright
+function clusterNotes(stars, sectionIndex, sectionCount, zone, patternLength) {
+  const width = (1 - BULGE_RADIUS) / sectionCount;
+  const inner = BULGE_RADIUS + width * sectionIndex;
+  const band = stars
+    .filter(star => star.radius >= inner && star.radius < inner + width)
+    .sort((x, y) => y.brightness - x.brightness)
+    .slice(0, Math.round(CLUSTER_NOTES * SECTION_DENSITY[Math.min(sectionIndex, SECTION_DENSITY.length - 1)]));
+  if (band.length === 0) return [];
+
+  const brightest = Math.log(band[0].brightness);
+  const faintest = Math.log(band[band.length - 1].brightness);
+  const mapping = {
+    base: zone.base,
+    semitonesPerDoubling: zone.span / Math.log2(1 / BULGE_RADIUS),
+    root: 60,
+    scale: SCALES.major,
+    min: zone.min,
+    max: zone.max
+  };
+  return sortNotes(band.map(star => {
+    const turn = (((star.theta / TWO_PI) % 1) + 1) % 1;
+    const loudness = brightest > faintest ? (Math.log(star.brightness) - faintest) / (brightest - faintest) : 1;
+    return {
+      pitch: radiusToPitch(star.radius, BULGE_RADIUS, mapping),
+      start_time: Math.min(Math.round(turn * patternLength * 4) / 4, patternLength - 0.5),
+      duration: 0.5,
+      velocity: Math.round(60 + 50 * loudness),
+      mute: false
+    };
+  }));
+}
+
+// Function to build a composition spec from a galaxy's parameters
+// The base spec gives the form, tempo and tracks (names, instruments, roles);
+// every section of every track is replaced by notes generated from the galaxy,
+// and the spec records the galaxy's parameters under "galaxy".
+function galaxyToSpec(galaxy, baseSpec) {
+  const b = Math.tan((galaxy.pitchAngle * Math.PI) / 180);
+  const coreWeight = Number.isFinite(galaxy.bulgeToDisk) ? galaxy.bulgeToDisk / (1 + galaxy.bulgeToDisk) : 1;
+  const { patternLength, sections: sectionNames } = baseSpec.form;
+
+  // Function to describe one section of a voice as a spiral source
+  function spiralSection(role, sectionIndex) {
+    const zone = VOICE_ZONES[role];
+    const sweep = Math.log(zone.outer / zone.inner) / b;
+    const arms = galaxy.arms;
+    const density = SECTION_DENSITY[Math.min(sectionIndex, SECTION_DENSITY.length - 1)];
+    const accent = SECTION_ACCENT[Math.min(sectionIndex, SECTION_ACCENT.length - 1)];
+    const notesPerTurn = role === "core" ? zone.notesPerTurn + 40 * coreWeight : zone.notesPerTurn;
+    const notesPerArm = Math.max(2, Math.min(64, Math.round((notesPerTurn * density * sweep) / TWO_PI)));
+    const weight = role === "core" ? 0.7 + 0.6 * coreWeight : 1.15 - 0.3 * coreWeight;
+    // Later arms enter 1/arms of a turn apart, and the last note of the last
+    // arm ends with the pattern
+    const step = sweep / (notesPerArm - 1);
+    const beatsPerTurn = (patternLength * TWO_PI) / (sweep + step + (TWO_PI * (arms - 1)) / arms);
+    return {
+      spiral: {
+        a: zone.inner,
+        b: Math.round(b * 10000) / 10000,
+        arms,
+        thetaStart: 0,
+        thetaEnd: Math.round(sweep * 10000) / 10000,
+        notesPerArm,
+        pitch: {
+          base: zone.base,
+          semitonesPerDoubling: Math.round((zone.span / Math.log2(zone.outer / zone.inner)) * 1000) / 1000,
+          min: zone.min,
+          max: zone.max
+        },
+        time: { start: 0, beatsPerTurn: Math.round(beatsPerTurn * 1000) / 1000, grid: 0.25 },
+        duration: zone.duration,
+        velocity: {
+          inner: Math.min(127, Math.round((80 + accent) * weight)),
+          outer: Math.min(127, Math.round((62 + accent) * weight))
+        }
+      }
+    };
+  }
+
+  const tracks = baseSpec.tracks.map((track, trackIndex) => {
+    const role = VOICE_ZONES[track.role] ? track.role : VOICE_ORDER[trackIndex % VOICE_ORDER.length];
+    const sections = {};
+    sectionNames.forEach((sectionName, sectionIndex) => {
+      const notes = role === "mallets" && galaxy.stars
+        ? clusterNotes(galaxy.stars, sectionIndex, sectionNames.length, VOICE_ZONES[role], patternLength)
+        : [];
+      sections[sectionName] = notes.length > 0 ? { notes } : spiralSection(role, sectionIndex);
+    });
+    return { ...track, sections };
+  });
+
+  const { stars, winding, ...summary } = galaxy;
+  return {
+    ...baseSpec,
+    title: `${galaxy.name} as Bach's Canon`,
+    // The arms enter where the galaxy's winding puts them
+    form: { ...baseSpec.form, entries: "written" },
+    galaxy: { ...summary, bulgeToDisk: Number.isFinite(galaxy.bulgeToDisk) ? galaxy.bulgeToDisk : null },
+    densityWave: {
+      ...(baseSpec.densityWave || {}),
+      arms: galaxy.arms,
+      pitchAngle: galaxy.pitchAngle
+    },
+    tracks
+  };
+}
+
+// Function to describe an imported galaxy, or the galaxy recorded in a spec,
+// in one line
+function formatGalaxy(galaxy) {
+  const ratio = Number.isFinite(galaxy.bulgeToDisk) ? galaxy.bulgeToDisk.toFixed(2) : "all bulge";
+  const fit = galaxy.source === "stars"
+    ? ` (fitted from ${galaxy.starCount} stars, arm strength ${galaxy.armStrength.toFixed(2)})`
+    : " (catalog)";
+  return `${galaxy.name}: ${galaxy.arms} arm${galaxy.arms === 1 ? "" : "s"}, pitch angle ${galaxy.pitchAngle}°, bulge/disk ${ratio}${fit}`;
+}
+
+module.exports = {
+  VOICE_ZONES,
+  parseCsv,
+  readGalaxyData,
+  fitStarPositions,
+  importGalaxy,
+  loadGalaxy,
+  galaxyToSpec,
+  formatGalaxy
+};
@@ -5,7 +5,12 @@
  * of spiral galaxies using Bach's canonical techniques. The composition is designed
  * for Ableton Live using MCP (Model Context Protocol) and features a three-part 
  * structure (Exposition, Development, Culmination) across six instrument tracks 
- * representing different elements of a spiral galaxy.
+ * representing different elements of a spiral galaxy, or across one track per
+ * spiral arm (createArmVoices).
+ * 
+ * The composition itself is declared in specs/spiral-galaxy-canon.json and
+ * executed by the composition engine (composition.js); the note patterns live
+ * in patterns.js.
  * 
  * Implementation leverages Ableton MCP for programmatic control.
  * See: https://github.com/ahujasid/ableton-mcp
@@ -15,934 +20,93 @@
  * - Standard Ableton orchestral packs (Brass, Mallets, Strings, Woodwinds)
  */
 
-// Main function to set up and create the entire composition
-function createSpiralGalaxyCanon() {
-  // Set up session with tracks and instruments
-  setupSession();
-  
-  // Create unified clips for each track
-  createUnifiedClips();
-  
-  // Populate each track with notes for all three sections
-  populateGalacticCoreTrack();
-  populateInnerSpiralTrack();
-  populateMiddleSpiralTrack();
-  populateOuterSpiralTrack();
-  populateStarClustersTrack();
-  populateCosmicBackgroundTrack();
-  
-  // Start playback of all tracks
-  startPlayback();
-}
+const { createAbletonMcpBackend } = require("./backends");
+const {
+  loadSpec,
+  resolveComposition,
+  offsetNotesForSection,
+  performComposition,
+  writeCompositionMidi
+} = require("./composition");
+const { resolveInstruments } = require("./instruments");
+const { createArmSpec } = require("./arm-voices");
 
-// Function to create all tracks and set up the basic session
-function setupSession() {
-  // Set tempo
-  set_tempo(tempo=72);
-  
-  // Create and name tracks
-  const trackNames = [
-    "Galactic Core", "Inner Spiral", "Middle Spiral", 
-    "Outer Spiral", "Star Clusters", "Cosmic Background"
-  ];
-  
-  // Create and set up each track
-  trackNames.forEach((name, index) => {
-    create_midi_track(index);
-    set_track_name(track_index=index, name=name);
-  });
-  
-  // Load instruments for each track
-  const instruments = [
-    "query:Synths#Instrument%20Rack:Piano%20&%20Keys:FileId_4838",  // Grand Piano
-    "query:Synths#Instrument%20Rack:Strings:FileId_9633",           // Strings Ensemble
-    "query:Synths#Instrument%20Rack:Brass:FileId_9387",             // Trumpet Section
-    "query:Synths#Instrument%20Rack:Winds:FileId_9557",             // Woodwinds Ensemble
-    "query:Synths#Instrument%20Rack:Mallets:FileId_9730",           // Vibraphone
-    "query:Synths#Instrument%20Rack:Pad:FileId_4935"                // Stars Pad
-  ];
-  
-  // Load each instrument
-  instruments.forEach((uri, index) => {
-    load_instrument_or_effect(track_index=index, uri=uri);
-  });
-}
+// Path of the spec declaring the Spiral Galaxy canon
+const SPEC_PATH = require.resolve("./specs/spiral-galaxy-canon.json");
 
-// Function to create longer clips for each track
-function createUnifiedClips() {
-  const trackCount = 6;
-  const clipLength = 96; // 3 sections of 32 bars each
-  
-  const clipNames = [
-    "Galactic Core Full Composition",
-    "Inner Spiral Full Composition",
-    "Middle Spiral Full Composition",
-    "Outer Spiral Full Composition",
-    "Star Clusters Full Composition",
-    "Cosmic Background Full Composition"
-  ];
-  
-  // Create clips for all tracks
-  for (let trackIndex = 0; trackIndex < trackCount; trackIndex++) {
-    create_clip(track_index=trackIndex, clip_index=0, length=clipLength);
-    set_clip_name(track_index=trackIndex, clip_index=0, name=clipNames[trackIndex]);
-  }
-}
+// The canon, resolved from its spec into placed notes
+const COMPOSITION = resolveComposition(loadSpec(SPEC_PATH));
 
-// Function to offset notes for a specific section
-function offsetNotesForSection(notes, sectionOffset) {
-  return notes.map(note => {
-    return {
-      ...note,
-      start_time: note.start_time + sectionOffset
-    };
-  });
-}
+// Tempo of the whole composition in BPM
+const TEMPO = COMPOSITION.tempo;
 
-// Function to batch add notes in smaller chunks to avoid API limits
-function addNotesInBatches(trackIndex, clipIndex, allNotes, batchSize = 30) {
-  for (let i = 0; i < allNotes.length; i += batchSize) {
-    const batch = allNotes.slice(i, i + batchSize);
-    add_notes_to_clip(track_index=trackIndex, clip_index=clipIndex, notes=batch);
-  }
-}
+// Track names, in track index order
+const TRACK_NAMES = COMPOSITION.tracks.map(track => track.name);
 
-// ======= TRACK POPULATION FUNCTIONS =======
+// Form of the whole piece: section boundaries follow the golden ratio
+const FORM = COMPOSITION.form;
 
-// Function to populate the Galactic Core (piano) track
-function populateGalacticCoreTrack() {
-  const trackIndex = 0;
-  const clipIndex = 0;
-  
-  // Get notes for each section
-  const expositionNotes = getGalacticCoreExpositionNotes();
-  const developmentNotes = getGalacticCoreDevelopmentNotes();
-  const culminationNotes = getGalacticCoreCulminationNotes();
-  
-  // Apply time offsets to development and culmination sections
-  const offsetDevelopmentNotes = offsetNotesForSection(developmentNotes, 32);
-  const offsetCulminationNotes = offsetNotesForSection(culminationNotes, 64);
-  
-  // Combine all notes
-  const allNotes = [
-    ...expositionNotes,
-    ...offsetDevelopmentNotes,
-    ...offsetCulminationNotes
-  ];
-  
-  // Add notes to clip in batches
-  addNotesInBatches(trackIndex, clipIndex, allNotes);
-}
-
-// Function to populate the Inner Spiral (strings) track
-function populateInnerSpiralTrack() {
-  const trackIndex = 1;
-  const clipIndex = 0;
-  
-  // Get notes for each section
-  const expositionNotes = getInnerSpiralExpositionNotes();
-  const developmentNotes = getInnerSpiralDevelopmentNotes();
-  const culminationNotes = getInnerSpiralCulminationNotes();
-  
-  // Apply time offsets to development and culmination sections
-  const offsetDevelopmentNotes = offsetNotesForSection(developmentNotes, 32);
-  const offsetCulminationNotes = offsetNotesForSection(culminationNotes, 64);
-  
-  // Combine all notes
-  const allNotes = [
-    ...expositionNotes,
-    ...offsetDevelopmentNotes,
-    ...offsetCulminationNotes
-  ];
-  
-  // Add notes to clip in batches
-  addNotesInBatches(trackIndex, clipIndex, allNotes);
-}
-
-// Function to populate the Middle Spiral (trumpets) track
-function populateMiddleSpiralTrack() {
-  const trackIndex = 2;
-  const clipIndex = 0;
-  
-  // Get notes for each section
-  const expositionNotes = getMiddleSpiralExpositionNotes();
-  const developmentNotes = getMiddleSpiralDevelopmentNotes();
-  const culminationNotes = getMiddleSpiralCulminationNotes();
-  
-  // Apply time offsets to development and culmination sections
-  const offsetDevelopmentNotes = offsetNotesForSection(developmentNotes, 32);
-  const offsetCulminationNotes = offsetNotesForSection(culminationNotes, 64);
-  
-  // Combine all notes
-  const allNotes = [
-    ...expositionNotes,
-    ...offsetDevelopmentNotes,
-    ...offsetCulminationNotes
-  ];
-  
-  // Add notes to clip in batches
-  addNotesInBatches(trackIndex, clipIndex, allNotes);
-}
-
-// Function to populate the Outer Spiral (woodwinds) track
-function populateOuterSpiralTrack() {
-  const trackIndex = 3;
-  const clipIndex = 0;
-  
-  // Get notes for each section
-  const expositionNotes = getOuterSpiralExpositionNotes();
-  const developmentNotes = getOuterSpiralDevelopmentNotes();
-  const culminationNotes = getOuterSpiralCulminationNotes();
-  
-  // Apply time offsets to development and culmination sections
-  const offsetDevelopmentNotes = offsetNotesForSection(developmentNotes, 32);
-  const offsetCulminationNotes = offsetNotesForSection(culminationNotes, 64);
-  
-  // Combine all notes
-  const allNotes = [
-    ...expositionNotes,
-    ...offsetDevelopmentNotes,
-    ...offsetCulminationNotes
-  ];
-  
-  // Add notes to clip in batches
-  addNotesInBatches(trackIndex, clipIndex, allNotes);
-}
+// The three sections of the form, in beats
+const SECTIONS = COMPOSITION.sections;
 
-// Function to populate the Star Clusters (vibraphone) track
-function populateStarClustersTrack() {
-  const trackIndex = 4;
-  const clipIndex = 0;
-  
-  // Get notes for each section
-  const expositionNotes = getStarClustersExpositionNotes();
-  const developmentNotes = getStarClustersDevelopmentNotes();
-  const culminationNotes = getStarClustersCulminationNotes();
-  
-  // Apply time offsets to development and culmination sections
-  const offsetDevelopmentNotes = offsetNotesForSection(developmentNotes, 32);
-  const offsetCulminationNotes = offsetNotesForSection(culminationNotes, 64);
-  
-  // Combine all notes
-  const allNotes = [
-    ...expositionNotes,
-    ...offsetDevelopmentNotes,
-    ...offsetCulminationNotes
-  ];
-  
-  // Add notes to clip in batches
-  addNotesInBatches(trackIndex, clipIndex, allNotes);
-}
-
-// Function to populate the Cosmic Background (pad) track
-function populateCosmicBackgroundTrack() {
-  const trackIndex = 5;
-  const clipIndex = 0;
-  
-  // Get notes for each section
-  const expositionNotes = getCosmicBackgroundExpositionNotes();
-  const developmentNotes = getCosmicBackgroundDevelopmentNotes();
-  const culminationNotes = getCosmicBackgroundCulminationNotes();
-  
-  // Apply time offsets to development and culmination sections
-  const offsetDevelopmentNotes = offsetNotesForSection(developmentNotes, 32);
-  const offsetCulminationNotes = offsetNotesForSection(culminationNotes, 64);
-  
-  // Combine all notes
-  const allNotes = [
-    ...expositionNotes,
-    ...offsetDevelopmentNotes,
-    ...offsetCulminationNotes
-  ];
-  
-  // Add notes to clip in batches
-  addNotesInBatches(trackIndex, clipIndex, allNotes);
-}
-
-// Function to start playback of all clips
-function startPlayback() {
-  // Fire all clips to start playback
-  for (let trackIndex = 0; trackIndex < 6; trackIndex++) {
-    fire_clip(track_index=trackIndex, clip_index=0);
+// Main function to set up and create the entire composition
+// The backend defaults to Ableton MCP; pass a recording backend to run offline.
+// When the backend can browse, missing instruments are replaced by substitutes.
+// Pass { layout: "sections" } for one clip and scene per section,
+// { variation: { seed, strength } } to perform a reproducible variation, and
+// { arms: { count, layers } } for one voice per spiral arm (see arm-voices.js).
+// Returns a promise of the backend, resolved once playback has started.
+function createSpiralGalaxyCanon(backend = createAbletonMcpBackend(), { layout, variation, arms } = {}) {
+  let composition = COMPOSITION;
+  if (arms) {
+    composition = createArmVoices(arms.count, arms.layers, variation);
+  } else if (variation) {
+    composition = createVariation(variation.seed, variation.strength);
   }
-}
-
-// ======= NOTE PATTERN DEFINITIONS =======
-// These functions contain the exact note patterns from the original composition
-// to maintain Bach's canonical structure, while allowing for code optimization
-
-// --- GALACTIC CORE (PIANO) NOTE PATTERNS ---
-
-// Exposition section for Galactic Core
-function getGalacticCoreExpositionNotes() {
-  return [
-    {"mute": false, "pitch": 60, "duration": 2, "velocity": 90, "start_time": 0},
-    {"mute": false, "pitch": 64, "duration": 2, "velocity": 75, "start_time": 1},
-    {"mute": false, "pitch": 67, "duration": 2, "velocity": 80, "start_time": 2},
-    {"mute": false, "pitch": 72, "duration": 1, "velocity": 70, "start_time": 3},
-    {"mute": false, "pitch": 67, "duration": 2, "velocity": 85, "start_time": 4},
-    {"mute": false, "pitch": 64, "duration": 2, "velocity": 75, "start_time": 5},
-    {"mute": false, "pitch": 60, "duration": 2, "velocity": 83, "start_time": 6},
-    {"mute": false, "pitch": 62, "duration": 2, "velocity": 88, "start_time": 8},
-    {"mute": false, "pitch": 65, "duration": 2, "velocity": 75, "start_time": 9},
-    {"mute": false, "pitch": 69, "duration": 2, "velocity": 80, "start_time": 10},
-    {"mute": false, "pitch": 74, "duration": 1, "velocity": 70, "start_time": 11},
-    {"mute": false, "pitch": 69, "duration": 2, "velocity": 85, "start_time": 12},
-    {"mute": false, "pitch": 65, "duration": 2, "velocity": 75, "start_time": 13},
-    {"mute": false, "pitch": 62, "duration": 2, "velocity": 83, "start_time": 14},
-    {"mute": false, "pitch": 64, "duration": 2, "velocity": 90, "start_time": 16},
-    {"mute": false, "pitch": 67, "duration": 2, "velocity": 75, "start_time": 17},
-    {"mute": false, "pitch": 71, "duration": 2, "velocity": 80, "start_time": 18},
-    {"mute": false, "pitch": 76, "duration": 1, "velocity": 70, "start_time": 19},
-    {"mute": false, "pitch": 71, "duration": 2, "velocity": 85, "start_time": 20},
-    {"mute": false, "pitch": 67, "duration": 2, "velocity": 75, "start_time": 21},
-    {"mute": false, "pitch": 64, "duration": 2, "velocity": 83, "start_time": 22},
-    {"mute": false, "pitch": 60, "duration": 2, "velocity": 95, "start_time": 24},
-    {"mute": false, "pitch": 64, "duration": 2, "velocity": 80, "start_time": 25},
-    {"mute": false, "pitch": 67, "duration": 2, "velocity": 85, "start_time": 26},
-    {"mute": false, "pitch": 72, "duration": 1, "velocity": 75, "start_time": 27},
-    {"mute": false, "pitch": 76, "duration": 2, "velocity": 90, "start_time": 28},
-    {"mute": false, "pitch": 72, "duration": 2, "velocity": 80, "start_time": 29},
-    {"mute": false, "pitch": 67, "duration": 2, "velocity": 88, "start_time": 30}
-  ];
-}
-
-// Development section for Galactic Core
-function getGalacticCoreDevelopmentNotes() {
-  return [
-    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 90, "start_time": 0},
-    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 80, "start_time": 0.5},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 85, "start_time": 1},
-    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 75, "start_time": 1.5},
-    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 90, "start_time": 2},
-    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 80, "start_time": 2.5},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 85, "start_time": 3},
-    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 75, "start_time": 3.5},
-    {"mute": false, "pitch": 62, "duration": 0.5, "velocity": 90, "start_time": 4},
-    {"mute": false, "pitch": 69, "duration": 0.5, "velocity": 80, "start_time": 4.5},
-    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 85, "start_time": 5},
-    {"mute": false, "pitch": 69, "duration": 0.5, "velocity": 75, "start_time": 5.5},
-    {"mute": false, "pitch": 62, "duration": 0.5, "velocity": 90, "start_time": 6},
-    {"mute": false, "pitch": 69, "duration": 0.5, "velocity": 80, "start_time": 6.5},
-    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 85, "start_time": 7},
-    {"mute": false, "pitch": 69, "duration": 0.5, "velocity": 75, "start_time": 7.5},
-    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 90, "start_time": 8},
-    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 80, "start_time": 8.5},
-    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 85, "start_time": 9},
-    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 75, "start_time": 9.5},
-    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 90, "start_time": 10},
-    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 80, "start_time": 10.5},
-    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 85, "start_time": 11},
-    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 75, "start_time": 11.5},
-    {"mute": false, "pitch": 65, "duration": 0.5, "velocity": 90, "start_time": 12},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 80, "start_time": 12.5},
-    {"mute": false, "pitch": 77, "duration": 0.5, "velocity": 85, "start_time": 13},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 75, "start_time": 13.5},
-    {"mute": false, "pitch": 65, "duration": 0.5, "velocity": 90, "start_time": 14},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 80, "start_time": 14.5},
-    {"mute": false, "pitch": 77, "duration": 0.5, "velocity": 85, "start_time": 15},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 75, "start_time": 15.5},
-    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 95, "start_time": 16},
-    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 85, "start_time": 16.5},
-    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 90, "start_time": 17},
-    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 80, "start_time": 17.5},
-    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 95, "start_time": 18},
-    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 85, "start_time": 18.5},
-    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 90, "start_time": 19},
-    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 80, "start_time": 19.5},
-    {"mute": false, "pitch": 65, "duration": 0.5, "velocity": 90, "start_time": 20},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 80, "start_time": 20.5},
-    {"mute": false, "pitch": 77, "duration": 0.5, "velocity": 85, "start_time": 21},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 75, "start_time": 21.5},
-    {"mute": false, "pitch": 65, "duration": 0.5, "velocity": 90, "start_time": 22},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 80, "start_time": 22.5},
-    {"mute": false, "pitch": 77, "duration": 0.5, "velocity": 85, "start_time": 23},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 75, "start_time": 23.5},
-    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 95, "start_time": 24},
-    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 85, "start_time": 24.5},
-    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 90, "start_time": 25},
-    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 80, "start_time": 25.5},
-    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 95, "start_time": 26},
-    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 85, "start_time": 26.5},
-    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 90, "start_time": 27},
-    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 80, "start_time": 27.5},
-    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 100, "start_time": 28},
-    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 90, "start_time": 28.5},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 95, "start_time": 29},
-    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 85, "start_time": 29.5},
-    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 100, "start_time": 30},
-    {"mute": false, "pitch": 84, "duration": 1.5, "velocity": 90, "start_time": 30.5}
-  ];
-}
-
-// Culmination section for Galactic Core
-function getGalacticCoreCulminationNotes() {
-  return [
-    {"mute": false, "pitch": 48, "duration": 4, "velocity": 100, "start_time": 0},
-    {"mute": false, "pitch": 55, "duration": 4, "velocity": 95, "start_time": 0},
-    {"mute": false, "pitch": 60, "duration": 4, "velocity": 95, "start_time": 0},
-    {"mute": false, "pitch": 64, "duration": 4, "velocity": 95, "start_time": 0},
-    {"mute": false, "pitch": 50, "duration": 4, "velocity": 95, "start_time": 4},
-    {"mute": false, "pitch": 57, "duration": 4, "velocity": 90, "start_time": 4},
-    {"mute": false, "pitch": 62, "duration": 4, "velocity": 90, "start_time": 4},
-    {"mute": false, "pitch": 65, "duration": 4, "velocity": 90, "start_time": 4},
-    {"mute": false, "pitch": 52, "duration": 4, "velocity": 100, "start_time": 8},
-    {"mute": false, "pitch": 59, "duration": 4, "velocity": 95, "start_time": 8},
-    {"mute": false, "pitch": 64, "duration": 4, "velocity": 95, "start_time": 8},
-    {"mute": false, "pitch": 67, "duration": 4, "velocity": 95, "start_time": 8},
-    {"mute": false, "pitch": 53, "duration": 4, "velocity": 95, "start_time": 12},
-    {"mute": false, "pitch": 60, "duration": 4, "velocity": 90, "start_time": 12},
-    {"mute": false, "pitch": 65, "duration": 4, "velocity": 90, "start_time": 12},
-    {"mute": false, "pitch": 69, "duration": 4, "velocity": 90, "start_time": 12},
-    {"mute": false, "pitch": 55, "duration": 4, "velocity": 105, "start_time": 16},
-    {"mute": false, "pitch": 62, "duration": 4, "velocity": 100, "start_time": 16},
-    {"mute": false, "pitch": 67, "duration": 4, "velocity": 100, "start_time": 16},
-    {"mute": false, "pitch": 71, "duration": 4, "velocity": 100, "start_time": 16},
-    {"mute": false, "pitch": 53, "duration": 4, "velocity": 100, "start_time": 20},
-    {"mute": false, "pitch": 60, "duration": 4, "velocity": 95, "start_time": 20},
-    {"mute": false, "pitch": 65, "duration": 4, "velocity": 95, "start_time": 20},
-    {"mute": false, "pitch": 69, "duration": 4, "velocity": 95, "start_time": 20},
-    {"mute": false, "pitch": 52, "duration": 4, "velocity": 100, "start_time": 24},
-    {"mute": false, "pitch": 59, "duration": 4, "velocity": 95, "start_time": 24},
-    {"mute": false, "pitch": 64, "duration": 4, "velocity": 95, "start_time": 24},
-    {"mute": false, "pitch": 67, "duration": 4, "velocity": 95, "start_time": 24},
-    {"mute": false, "pitch": 48, "duration": 8, "velocity": 110, "start_time": 28},
-    {"mute": false, "pitch": 55, "duration": 8, "velocity": 105, "start_time": 28},
-    {"mute": false, "pitch": 60, "duration": 8, "velocity": 105, "start_time": 28},
-    {"mute": false, "pitch": 64, "duration": 8, "velocity": 105, "start_time": 28},
-    {"mute": false, "pitch": 67, "duration": 8, "velocity": 105, "start_time": 28},
-    {"mute": false, "pitch": 72, "duration": 8, "velocity": 105, "start_time": 28}
-  ];
-}
-
-// --- INNER SPIRAL (STRINGS) NOTE PATTERNS ---
-
-// Exposition section for Inner Spiral
-function getInnerSpiralExpositionNotes() {
-  return [
-    {"mute": false, "pitch": 48, "duration": 8, "velocity": 60, "start_time": 0},
-    {"mute": false, "pitch": 52, "duration": 8, "velocity": 60, "start_time": 0},
-    {"mute": false, "pitch": 55, "duration": 8, "velocity": 60, "start_time": 0},
-    {"mute": false, "pitch": 50, "duration": 8, "velocity": 65, "start_time": 8},
-    {"mute": false, "pitch": 53, "duration": 8, "velocity": 65, "start_time": 8},
-    {"mute": false, "pitch": 57, "duration": 8, "velocity": 65, "start_time": 8},
-    {"mute": false, "pitch": 52, "duration": 8, "velocity": 70, "start_time": 16},
-    {"mute": false, "pitch": 55, "duration": 8, "velocity": 70, "start_time": 16},
-    {"mute": false, "pitch": 59, "duration": 8, "velocity": 70, "start_time": 16},
-    {"mute": false, "pitch": 48, "duration": 8, "velocity": 75, "start_time": 24},
-    {"mute": false, "pitch": 55, "duration": 8, "velocity": 75, "start_time": 24},
-    {"mute": false, "pitch": 60, "duration": 8, "velocity": 75, "start_time": 24}
-  ];
-}
-
-// Development section for Inner Spiral
-function getInnerSpiralDevelopmentNotes() {
-  return [
-    {"mute": false, "pitch": 36, "duration": 4, "velocity": 70, "start_time": 0},
-    {"mute": false, "pitch": 48, "duration": 4, "velocity": 65, "start_time": 0},
-    {"mute": false, "pitch": 55, "duration": 4, "velocity": 65, "start_time": 0},
-    {"mute": false, "pitch": 38, "duration": 4, "velocity": 70, "start_time": 4},
-    {"mute": false, "pitch": 50, "duration": 4, "velocity": 65, "start_time": 4},
-    {"mute": false, "pitch": 57, "duration": 4, "velocity": 65, "start_time": 4},
-    {"mute": false, "pitch": 40, "duration": 4, "velocity": 70, "start_time": 8},
-    {"mute": false, "pitch": 52, "duration": 4, "velocity": 65, "start_time": 8},
-    {"mute": false, "pitch": 59, "duration": 4, "velocity": 65, "start_time": 8},
-    {"mute": false, "pitch": 41, "duration": 4, "velocity": 70, "start_time": 12},
-    {"mute": false, "pitch": 53, "duration": 4, "velocity": 65, "start_time": 12},
-    {"mute": false, "pitch": 60, "duration": 4, "velocity": 65, "start_time": 12},
-    {"mute": false, "pitch": 43, "duration": 4, "velocity": 75, "start_time": 16},
-    {"mute": false, "pitch": 55, "duration": 4, "velocity": 70, "start_time": 16},
-    {"mute": false, "pitch": 62, "duration": 4, "velocity": 70, "start_time": 16},
-    {"mute": false, "pitch": 41, "duration": 4, "velocity": 75, "start_time": 20},
-    {"mute": false, "pitch": 53, "duration": 4, "velocity": 70, "start_time": 20},
-    {"mute": false, "pitch": 60, "duration": 4, "velocity": 70, "start_time": 20},
-    {"mute": false, "pitch": 40, "duration": 4, "velocity": 75, "start_time": 24},
-    {"mute": false, "pitch": 52, "duration": 4, "velocity": 70, "start_time": 24},
-    {"mute": false, "pitch": 59, "duration": 4, "velocity": 70, "start_time": 24},
-    {"mute": false, "pitch": 36, "duration": 4, "velocity": 80, "start_time": 28},
-    {"mute": false, "pitch": 48, "duration": 4, "velocity": 75, "start_time": 28},
-    {"mute": false, "pitch": 55, "duration": 4, "velocity": 75, "start_time": 28},
-    {"mute": false, "pitch": 60, "duration": 4, "velocity": 75, "start_time": 28}
-  ];
-}
-
-// Culmination section for Inner Spiral
-function getInnerSpiralCulminationNotes() {
-  return [
-    {"mute": false, "pitch": 36, "duration": 8, "velocity": 80, "start_time": 0},
-    {"mute": false, "pitch": 43, "duration": 8, "velocity": 75, "start_time": 0},
-    {"mute": false, "pitch": 48, "duration": 8, "velocity": 75, "start_time": 0},
-    {"mute": false, "pitch": 38, "duration": 8, "velocity": 80, "start_time": 8},
-    {"mute": false, "pitch": 45, "duration": 8, "velocity": 75, "start_time": 8},
-    {"mute": false, "pitch": 50, "duration": 8, "velocity": 75, "start_time": 8},
-    {"mute": false, "pitch": 40, "duration": 8, "velocity": 85, "start_time": 16},
-    {"mute": false, "pitch": 47, "duration": 8, "velocity": 80, "start_time": 16},
-    {"mute": false, "pitch": 52, "duration": 8, "velocity": 80, "start_time": 16},
-    {"mute": false, "pitch": 36, "duration": 4, "velocity": 90, "start_time": 24},
-    {"mute": false, "pitch": 43, "duration": 4, "velocity": 85, "start_time": 24},
-    {"mute": false, "pitch": 48, "duration": 4, "velocity": 85, "start_time": 24},
-    {"mute": false, "pitch": 38, "duration": 2, "velocity": 90, "start_time": 28},
-    {"mute": false, "pitch": 45, "duration": 2, "velocity": 85, "start_time": 28},
-    {"mute": false, "pitch": 50, "duration": 2, "velocity": 85, "start_time": 28},
-    {"mute": false, "pitch": 36, "duration": 2, "velocity": 95, "start_time": 30},
-    {"mute": false, "pitch": 43, "duration": 2, "velocity": 90, "start_time": 30},
-    {"mute": false, "pitch": 48, "duration": 2, "velocity": 90, "start_time": 30},
-    {"mute": false, "pitch": 55, "duration": 2, "velocity": 90, "start_time": 30}
-  ];
-}
-
-// --- MIDDLE SPIRAL (TRUMPETS) NOTE PATTERNS ---
-
-// Exposition section for Middle Spiral
-function getMiddleSpiralExpositionNotes() {
-  return [
-    {"mute": false, "pitch": 67, "duration": 1, "velocity": 85, "start_time": 4},
-    {"mute": false, "pitch": 64, "duration": 1, "velocity": 80, "start_time": 6},
-    {"mute": false, "pitch": 60, "duration": 1.5, "velocity": 90, "start_time": 8},
-    {"mute": false, "pitch": 69, "duration": 1, "velocity": 85, "start_time": 12},
-    {"mute": false, "pitch": 65, "duration": 1, "velocity": 80, "start_time": 14},
-    {"mute": false, "pitch": 62, "duration": 1.5, "velocity": 90, "start_time": 16},
-    {"mute": false, "pitch": 71, "duration": 1, "velocity": 85, "start_time": 20},
-    {"mute": false, "pitch": 67, "duration": 1, "velocity": 80, "start_time": 22},
-    {"mute": false, "pitch": 64, "duration": 1.5, "velocity": 95, "start_time": 24},
-    {"mute": false, "pitch": 72, "duration": 1, "velocity": 90, "start_time": 28},
-    {"mute": false, "pitch": 67, "duration": 1, "velocity": 85, "start_time": 30}
-  ];
-}
-
-// Development section for Middle Spiral
-function getMiddleSpiralDevelopmentNotes() {
-  return [
-    {"mute": false, "pitch": 55, "duration": 2, "velocity": 85, "start_time": 0},
-    {"mute": false, "pitch": 57, "duration": 2, "velocity": 80, "start_time": 2},
-    {"mute": false, "pitch": 55, "duration": 1, "velocity": 85, "start_time": 4},
-    {"mute": false, "pitch": 60, "duration": 3, "velocity": 90, "start_time": 5},
-    {"mute": false, "pitch": 57, "duration": 2, "velocity": 85, "start_time": 8},
-    {"mute": false, "pitch": 59, "duration": 2, "velocity": 80, "start_time": 10},
-    {"mute": false, "pitch": 57, "duration": 1, "velocity": 85, "start_time": 12},
-    {"mute": false, "pitch": 62, "duration": 3, "velocity": 90, "start_time": 13},
-    {"mute": false, "pitch": 59, "duration": 2, "velocity": 85, "start_time": 16},
-    {"mute": false, "pitch": 62, "duration": 2, "velocity": 85, "start_time": 18},
-    {"mute": false, "pitch": 59, "duration": 1, "velocity": 90, "start_time": 20},
-    {"mute": false, "pitch": 64, "duration": 3, "velocity": 95, "start_time": 21},
-    {"mute": false, "pitch": 62, "duration": 1, "velocity": 90, "start_time": 24},
-    {"mute": false, "pitch": 67, "duration": 1, "velocity": 95, "start_time": 25},
-    {"mute": false, "pitch": 64, "duration": 1, "velocity": 90, "start_time": 26},
-    {"mute": false, "pitch": 60, "duration": 1, "velocity": 85, "start_time": 27},
-    {"mute": false, "pitch": 55, "duration": 0.75, "velocity": 95, "start_time": 28},
-    {"mute": false, "pitch": 60, "duration": 0.75, "velocity": 95, "start_time": 28.75},
-    {"mute": false, "pitch": 64, "duration": 0.75, "velocity": 95, "start_time": 29.5},
-    {"mute": false, "pitch": 67, "duration": 1.75, "velocity": 100, "start_time": 30.25}
-  ];
-}
-
-// Culmination section for Middle Spiral
-function getMiddleSpiralCulminationNotes() {
-  return [
-    {"mute": false, "pitch": 60, "duration": 2, "velocity": 100, "start_time": 0},
-    {"mute": false, "pitch": 64, "duration": 2, "velocity": 95, "start_time": 0},
-    {"mute": false, "pitch": 67, "duration": 2, "velocity": 95, "start_time": 0},
-    {"mute": false, "pitch": 60, "duration": 2, "velocity": 95, "start_time": 4},
-    {"mute": false, "pitch": 64, "duration": 2, "velocity": 90, "start_time": 4},
-    {"mute": false, "pitch": 67, "duration": 2, "velocity": 90, "start_time": 4},
-    {"mute": false, "pitch": 62, "duration": 2, "velocity": 100, "start_time": 8},
-    {"mute": false, "pitch": 65, "duration": 2, "velocity": 95, "start_time": 8},
-    {"mute": false, "pitch": 69, "duration": 2, "velocity": 95, "start_time": 8},
-    {"mute": false, "pitch": 62, "duration": 2, "velocity": 95, "start_time": 12},
-    {"mute": false, "pitch": 65, "duration": 2, "velocity": 90, "start_time": 12},
-    {"mute": false, "pitch": 69, "duration": 2, "velocity": 90, "start_time": 12},
-    {"mute": false, "pitch": 64, "duration": 2, "velocity": 105, "start_time": 16},
-    {"mute": false, "pitch": 67, "duration": 2, "velocity": 100, "start_time": 16},
-    {"mute": false, "pitch": 71, "duration": 2, "velocity": 100, "start_time": 16},
-    {"mute": false, "pitch": 64, "duration": 2, "velocity": 100, "start_time": 20},
-    {"mute": false, "pitch": 67, "duration": 2, "velocity": 95, "start_time": 20},
-    {"mute": false, "pitch": 71, "duration": 2, "velocity": 95, "start_time": 20},
-    {"mute": false, "pitch": 60, "duration": 1, "velocity": 105, "start_time": 24},
-    {"mute": false, "pitch": 64, "duration": 1, "velocity": 100, "start_time": 24},
-    {"mute": false, "pitch": 67, "duration": 1, "velocity": 100, "start_time": 24},
-    {"mute": false, "pitch": 60, "duration": 1, "velocity": 95, "start_time": 26},
-    {"mute": false, "pitch": 64, "duration": 1, "velocity": 90, "start_time": 26},
-    {"mute": false, "pitch": 67, "duration": 1, "velocity": 90, "start_time": 26},
-    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 110, "start_time": 28},
-    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 105, "start_time": 28},
-    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 105, "start_time": 28},
-    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 105, "start_time": 29},
-    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 100, "start_time": 29},
-    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 100, "start_time": 29},
-    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 110, "start_time": 30},
-    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 105, "start_time": 30},
-    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 105, "start_time": 30},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 105, "start_time": 30},
-    {"mute": false, "pitch": 60, "duration": 1.5, "velocity": 115, "start_time": 30.5},
-    {"mute": false, "pitch": 64, "duration": 1.5, "velocity": 110, "start_time": 30.5},
-    {"mute": false, "pitch": 67, "duration": 1.5, "velocity": 110, "start_time": 30.5},
-    {"mute": false, "pitch": 72, "duration": 1.5, "velocity": 110, "start_time": 30.5}
-  ];
-}
-
-// --- OUTER SPIRAL (WOODWINDS) NOTE PATTERNS ---
-
-// Exposition section for Outer Spiral
-function getOuterSpiralExpositionNotes() {
-  return [
-    {"mute": false, "pitch": 72, "duration": 0.25, "velocity": 75, "start_time": 1},
-    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 75, "start_time": 1.25},
-    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 75, "start_time": 1.5},
-    {"mute": false, "pitch": 84, "duration": 0.5, "velocity": 80, "start_time": 1.75},
-    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 70, "start_time": 2.25},
-    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 70, "start_time": 2.5},
-    {"mute": false, "pitch": 72, "duration": 0.25, "velocity": 70, "start_time": 2.75},
-    {"mute": false, "pitch": 74, "duration": 0.25, "velocity": 75, "start_time": 9},
-    {"mute": false, "pitch": 77, "duration": 0.25, "velocity": 75, "start_time": 9.25},
-    {"mute": false, "pitch": 81, "duration": 0.25, "velocity": 75, "start_time": 9.5},
-    {"mute": false, "pitch": 86, "duration": 0.5, "velocity": 80, "start_time": 9.75},
-    {"mute": false, "pitch": 81, "duration": 0.25, "velocity": 70, "start_time": 10.25},
-    {"mute": false, "pitch": 77, "duration": 0.25, "velocity": 70, "start_time": 10.5},
-    {"mute": false, "pitch": 74, "duration": 0.25, "velocity": 70, "start_time": 10.75},
-    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 75, "start_time": 17},
-    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 75, "start_time": 17.25},
-    {"mute": false, "pitch": 83, "duration": 0.25, "velocity": 75, "start_time": 17.5},
-    {"mute": false, "pitch": 88, "duration": 0.5, "velocity": 80, "start_time": 17.75},
-    {"mute": false, "pitch": 83, "duration": 0.25, "velocity": 70, "start_time": 18.25},
-    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 70, "start_time": 18.5},
-    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 70, "start_time": 18.75},
-    {"mute": false, "pitch": 72, "duration": 0.25, "velocity": 80, "start_time": 25},
-    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 80, "start_time": 25.25},
-    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 80, "start_time": 25.5},
-    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 85, "start_time": 25.75},
-    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 85, "start_time": 26},
-    {"mute": false, "pitch": 91, "duration": 0.5, "velocity": 90, "start_time": 26.25},
-    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 75, "start_time": 26.75},
-    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 27},
-    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 75, "start_time": 27.25},
-    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 75, "start_time": 27.5},
-    {"mute": false, "pitch": 72, "duration": 0.25, "velocity": 75, "start_time": 27.75}
-  ];
-}
-
-// Development section for Outer Spiral
-function getOuterSpiralDevelopmentNotes() {
-  return [
-    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 70, "start_time": 0.5},
-    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 0.75},
-    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 1},
-    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 1.25},
-    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 70, "start_time": 1.5},
-    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 1.75},
-    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 2},
-    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 2.25},
-    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 70, "start_time": 4.5},
-    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 4.75},
-    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 5},
-    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 5.25},
-    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 70, "start_time": 5.5},
-    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 5.75},
-    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 80, "start_time": 6},
-    {"mute": false, "pitch": 82, "duration": 0.25, "velocity": 75, "start_time": 6.25},
-    {"mute": false, "pitch": 81, "duration": 0.25, "velocity": 70, "start_time": 8.5},
-    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 75, "start_time": 8.75},
-    {"mute": false, "pitch": 90, "duration": 0.25, "velocity": 80, "start_time": 9},
-    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 75, "start_time": 9.25},
-    {"mute": false, "pitch": 81, "duration": 0.25, "velocity": 70, "start_time": 9.5},
-    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 75, "start_time": 9.75},
-    {"mute": false, "pitch": 90, "duration": 0.25, "velocity": 80, "start_time": 10},
-    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 75, "start_time": 10.25},
-    {"mute": false, "pitch": 81, "duration": 0.25, "velocity": 70, "start_time": 12.5},
-    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 75, "start_time": 12.75},
-    {"mute": false, "pitch": 90, "duration": 0.25, "velocity": 80, "start_time": 13},
-    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 75, "start_time": 13.25},
-    {"mute": false, "pitch": 81, "duration": 0.25, "velocity": 70, "start_time": 13.5},
-    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 75, "start_time": 13.75},
-    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 14},
-    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 14.25},
-    {"mute": false, "pitch": 83, "duration": 0.25, "velocity": 75, "start_time": 16.5},
-    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 16.75},
-    {"mute": false, "pitch": 91, "duration": 0.25, "velocity": 85, "start_time": 17},
-    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 17.25},
-    {"mute": false, "pitch": 83, "duration": 0.25, "velocity": 75, "start_time": 17.5},
-    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 17.75},
-    {"mute": false, "pitch": 91, "duration": 0.25, "velocity": 85, "start_time": 18},
-    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 18.25},
-    {"mute": false, "pitch": 83, "duration": 0.25, "velocity": 75, "start_time": 20.5},
-    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 20.75},
-    {"mute": false, "pitch": 91, "duration": 0.25, "velocity": 85, "start_time": 21},
-    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 21.25},
-    {"mute": false, "pitch": 83, "duration": 0.25, "velocity": 75, "start_time": 21.5},
-    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 21.75},
-    {"mute": false, "pitch": 90, "duration": 0.25, "velocity": 85, "start_time": 22},
-    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 80, "start_time": 22.25},
-    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 80, "start_time": 24.5},
-    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 85, "start_time": 24.75},
-    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 90, "start_time": 25},
-    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 85, "start_time": 25.25},
-    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 80, "start_time": 25.5},
-    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 85, "start_time": 25.75},
-    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 90, "start_time": 26},
-    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 85, "start_time": 26.25},
-    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 85, "start_time": 28.5},
-    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 90, "start_time": 28.625},
-    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 95, "start_time": 28.75},
-    {"mute": false, "pitch": 91, "duration": 0.125, "velocity": 100, "start_time": 28.875},
-    {"mute": false, "pitch": 95, "duration": 0.125, "velocity": 105, "start_time": 29},
-    {"mute": false, "pitch": 91, "duration": 0.125, "velocity": 100, "start_time": 29.125},
-    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 95, "start_time": 29.25},
-    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 90, "start_time": 29.375},
-    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 85, "start_time": 29.5},
-    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 90, "start_time": 29.625},
-    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 95, "start_time": 29.75},
-    {"mute": false, "pitch": 91, "duration": 0.125, "velocity": 100, "start_time": 29.875},
-    {"mute": false, "pitch": 95, "duration": 0.125, "velocity": 105, "start_time": 30},
-    {"mute": false, "pitch": 98, "duration": 0.125, "velocity": 110, "start_time": 30.125},
-    {"mute": false, "pitch": 96, "duration": 0.25, "velocity": 100, "start_time": 30.25},
-    {"mute": false, "pitch": 93, "duration": 0.25, "velocity": 95, "start_time": 30.5},
-    {"mute": false, "pitch": 91, "duration": 0.25, "velocity": 90, "start_time": 30.75},
-    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 85, "start_time": 31},
-    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 80, "start_time": 31.25},
-    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 75, "start_time": 31.5}
-  ];
-}
-
-// Culmination section for Outer Spiral
-function getOuterSpiralCulminationNotes() {
-  return [
-    {"mute": false, "pitch": 72, "duration": 0.125, "velocity": 90, "start_time": 0},
-    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 90, "start_time": 0.125},
-    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 90, "start_time": 0.25},
-    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 95, "start_time": 0.375},
-    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 90, "start_time": 0.5},
-    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 90, "start_time": 0.625},
-    {"mute": false, "pitch": 72, "duration": 0.125, "velocity": 90, "start_time": 0.75},
-    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 90, "start_time": 0.875},
-    {"mute": false, "pitch": 72, "duration": 0.125, "velocity": 90, "start_time": 4},
-    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 90, "start_time": 4.125},
-    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 90, "start_time": 4.25},
-    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 95, "start_time": 4.375},
-    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 90, "start_time": 4.5},
-    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 90, "start_time": 4.625},
-    {"mute": false, "pitch": 72, "duration": 0.125, "velocity": 90, "start_time": 4.75},
-    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 90, "start_time": 4.875},
-    {"mute": false, "pitch": 74, "duration": 0.125, "velocity": 90, "start_time": 8},
-    {"mute": false, "pitch": 77, "duration": 0.125, "velocity": 90, "start_time": 8.125},
-    {"mute": false, "pitch": 81, "duration": 0.125, "velocity": 90, "start_time": 8.25},
-    {"mute": false, "pitch": 86, "duration": 0.125, "velocity": 95, "start_time": 8.375},
-    {"mute": false, "pitch": 81, "duration": 0.125, "velocity": 90, "start_time": 8.5},
-    {"mute": false, "pitch": 77, "duration": 0.125, "velocity": 90, "start_time": 8.625},
-    {"mute": false, "pitch": 74, "duration": 0.125, "velocity": 90, "start_time": 8.75},
-    {"mute": false, "pitch": 77, "duration": 0.125, "velocity": 90, "start_time": 8.875},
-    {"mute": false, "pitch": 74, "duration": 0.125, "velocity": 90, "start_time": 12},
-    {"mute": false, "pitch": 77, "duration": 0.125, "velocity": 90, "start_time": 12.125},
-    {"mute": false, "pitch": 81, "duration": 0.125, "velocity": 90, "start_time": 12.25},
-    {"mute": false, "pitch": 86, "duration": 0.125, "velocity": 95, "start_time": 12.375},
-    {"mute": false, "pitch": 81, "duration": 0.125, "velocity": 90, "start_time": 12.5},
-    {"mute": false, "pitch": 77, "duration": 0.125, "velocity": 90, "start_time": 12.625},
-    {"mute": false, "pitch": 74, "duration": 0.125, "velocity": 90, "start_time": 12.75},
-    {"mute": false, "pitch": 77, "duration": 0.125, "velocity": 90, "start_time": 12.875},
-    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 95, "start_time": 16},
-    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 95, "start_time": 16.125},
-    {"mute": false, "pitch": 83, "duration": 0.125, "velocity": 95, "start_time": 16.25},
-    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 100, "start_time": 16.375},
-    {"mute": false, "pitch": 83, "duration": 0.125, "velocity": 95, "start_time": 16.5},
-    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 95, "start_time": 16.625},
-    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 95, "start_time": 16.75},
-    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 95, "start_time": 16.875},
-    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 95, "start_time": 20},
-    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 95, "start_time": 20.125},
-    {"mute": false, "pitch": 83, "duration": 0.125, "velocity": 95, "start_time": 20.25},
-    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 100, "start_time": 20.375},
-    {"mute": false, "pitch": 83, "duration": 0.125, "velocity": 95, "start_time": 20.5},
-    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 95, "start_time": 20.625},
-    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 95, "start_time": 20.75},
-    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 95, "start_time": 20.875},
-    {"mute": false, "pitch": 72, "duration": 0.125, "velocity": 100, "start_time": 24},
-    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 100, "start_time": 24.125},
-    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 100, "start_time": 24.25},
-    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 105, "start_time": 24.375},
-    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 105, "start_time": 24.5},
-    {"mute": false, "pitch": 91, "duration": 0.125, "velocity": 105, "start_time": 24.625},
-    {"mute": false, "pitch": 96, "duration": 0.125, "velocity": 110, "start_time": 24.75},
-    {"mute": false, "pitch": 91, "duration": 0.125, "velocity": 105, "start_time": 24.875},
-    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 105, "start_time": 25},
-    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 100, "start_time": 25.125},
-    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 100, "start_time": 25.25},
-    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 100, "start_time": 25.375},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 95, "start_time": 25.5},
-    {"mute": false, "pitch": 76, "duration": 1, "velocity": 110, "start_time": 28},
-    {"mute": false, "pitch": 79, "duration": 1, "velocity": 110, "start_time": 28.5},
-    {"mute": false, "pitch": 84, "duration": 1, "velocity": 115, "start_time": 29},
-    {"mute": false, "pitch": 88, "duration": 1, "velocity": 115, "start_time": 29.5},
-    {"mute": false, "pitch": 91, "duration": 1, "velocity": 120, "start_time": 30},
-    {"mute": false, "pitch": 96, "duration": 1, "velocity": 120, "start_time": 30.5},
-    {"mute": false, "pitch": 91, "duration": 0.5, "velocity": 110, "start_time": 31.5}
-  ];
-}
-
-// --- STAR CLUSTERS (VIBRAPHONE) NOTE PATTERNS ---
-
-// Exposition section for Star Clusters
-function getStarClustersExpositionNotes() {
-  return [
-    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 65, "start_time": 3.5},
-    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 65, "start_time": 3.75},
-    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 70, "start_time": 7.5},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 70, "start_time": 7.75},
-    {"mute": false, "pitch": 62, "duration": 0.5, "velocity": 65, "start_time": 11.5},
-    {"mute": false, "pitch": 65, "duration": 0.5, "velocity": 65, "start_time": 11.75},
-    {"mute": false, "pitch": 69, "duration": 0.5, "velocity": 70, "start_time": 15.5},
-    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 70, "start_time": 15.75},
-    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 65, "start_time": 19.5},
-    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 65, "start_time": 19.75},
-    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 70, "start_time": 23.5},
-    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 70, "start_time": 23.75},
-    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 75, "start_time": 27.5},
-    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 75, "start_time": 27.75},
-    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 75, "start_time": 28},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 75, "start_time": 28.25},
-    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 80, "start_time": 28.5},
-    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 80, "start_time": 28.75},
-    {"mute": false, "pitch": 84, "duration": 1, "velocity": 85, "start_time": 29}
-  ];
-}
-
-// Development section for Star Clusters
-function getStarClustersDevelopmentNotes() {
-  return [
-    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 75, "start_time": 0},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 75, "start_time": 1},
-    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 75, "start_time": 2},
-    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 75, "start_time": 3},
-    {"mute": false, "pitch": 62, "duration": 0.5, "velocity": 75, "start_time": 4},
-    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 75, "start_time": 5},
-    {"mute": false, "pitch": 69, "duration": 0.5, "velocity": 75, "start_time": 6},
-    {"mute": false, "pitch": 81, "duration": 0.5, "velocity": 75, "start_time": 7},
-    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 80, "start_time": 8},
-    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 80, "start_time": 9},
-    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 80, "start_time": 10},
-    {"mute": false, "pitch": 83, "duration": 0.5, "velocity": 80, "start_time": 11},
-    {"mute": false, "pitch": 65, "duration": 0.5, "velocity": 80, "start_time": 12},
-    {"mute": false, "pitch": 77, "duration": 0.5, "velocity": 80, "start_time": 13},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 80, "start_time": 14},
-    {"mute": false, "pitch": 84, "duration": 0.5, "velocity": 80, "start_time": 15},
-    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 85, "start_time": 16},
-    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 85, "start_time": 16.5},
-    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 85, "start_time": 17},
-    {"mute": false, "pitch": 86, "duration": 0.5, "velocity": 85, "start_time": 17.5},
-    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 85, "start_time": 18},
-    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 85, "start_time": 18.5},
-    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 85, "start_time": 19},
-    {"mute": false, "pitch": 86, "duration": 0.5, "velocity": 85, "start_time": 19.5},
-    {"mute": false, "pitch": 65, "duration": 0.5, "velocity": 85, "start_time": 20},
-    {"mute": false, "pitch": 77, "duration": 0.5, "velocity": 85, "start_time": 20.5},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 85, "start_time": 21},
-    {"mute": false, "pitch": 84, "duration": 0.5, "velocity": 85, "start_time": 21.5},
-    {"mute": false, "pitch": 65, "duration": 0.5, "velocity": 85, "start_time": 22},
-    {"mute": false, "pitch": 77, "duration": 0.5, "velocity": 85, "start_time": 22.5},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 85, "start_time": 23},
-    {"mute": false, "pitch": 84, "duration": 0.5, "velocity": 85, "start_time": 23.5},
-    {"mute": false, "pitch": 64, "duration": 0.25, "velocity": 90, "start_time": 24},
-    {"mute": false, "pitch": 67, "duration": 0.25, "velocity": 90, "start_time": 24.25},
-    {"mute": false, "pitch": 71, "duration": 0.25, "velocity": 90, "start_time": 24.5},
-    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 90, "start_time": 24.75},
-    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 90, "start_time": 25},
-    {"mute": false, "pitch": 83, "duration": 0.25, "velocity": 90, "start_time": 25.25},
-    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 90, "start_time": 25.5},
-    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 90, "start_time": 25.75},
-    {"mute": false, "pitch": 71, "duration": 0.25, "velocity": 90, "start_time": 26},
-    {"mute": false, "pitch": 67, "duration": 0.25, "velocity": 90, "start_time": 26.25},
-    {"mute": false, "pitch": 64, "duration": 0.25, "velocity": 90, "start_time": 26.5},
-    {"mute": false, "pitch": 60, "duration": 0.25, "velocity": 100, "start_time": 28},
-    {"mute": false, "pitch": 64, "duration": 0.25, "velocity": 100, "start_time": 28.25},
-    {"mute": false, "pitch": 67, "duration": 0.25, "velocity": 100, "start_time": 28.5},
-    {"mute": false, "pitch": 72, "duration": 0.25, "velocity": 100, "start_time": 28.75},
-    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 100, "start_time": 29},
-    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 100, "start_time": 29.25},
-    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 100, "start_time": 29.5},
-    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 100, "start_time": 29.75},
-    {"mute": false, "pitch": 91, "duration": 2, "velocity": 100, "start_time": 30}
-  ];
-}
-
-// Culmination section for Star Clusters
-function getStarClustersCulminationNotes() {
-  return [
-    {"mute": false, "pitch": 84, "duration": 2, "velocity": 90, "start_time": 2},
-    {"mute": false, "pitch": 88, "duration": 2, "velocity": 90, "start_time": 4},
-    {"mute": false, "pitch": 91, "duration": 2, "velocity": 90, "start_time": 6},
-    {"mute": false, "pitch": 86, "duration": 2, "velocity": 90, "start_time": 10},
-    {"mute": false, "pitch": 89, "duration": 2, "velocity": 90, "start_time": 12},
-    {"mute": false, "pitch": 93, "duration": 2, "velocity": 90, "start_time": 14},
-    {"mute": false, "pitch": 88, "duration": 2, "velocity": 95, "start_time": 18},
-    {"mute": false, "pitch": 91, "duration": 2, "velocity": 95, "start_time": 20},
-    {"mute": false, "pitch": 95, "duration": 2, "velocity": 95, "start_time": 22},
-    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 100, "start_time": 24},
-    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 100, "start_time": 24.5},
-    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 100, "start_time": 25},
-    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 100, "start_time": 25.5},
-    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 100, "start_time": 26},
-    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 100, "start_time": 26.5},
-    {"mute": false, "pitch": 84, "duration": 0.5, "velocity": 100, "start_time": 27},
-    {"mute": false, "pitch": 88, "duration": 0.5, "velocity": 100, "start_time": 27.5},
-    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 110, "start_time": 28},
-    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 110, "start_time": 28.125},
-    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 110, "start_time": 28.25},
-    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 110, "start_time": 28.375},
-    {"mute": false, "pitch": 91, "duration": 0.125, "velocity": 110, "start_time": 28.5},
-    {"mute": false, "pitch": 95, "duration": 0.125, "velocity": 110, "start_time": 28.625},
-    {"mute": false, "pitch": 96, "duration": 0.125, "velocity": 110, "start_time": 28.75},
-    {"mute": false, "pitch": 95, "duration": 0.125, "velocity": 110, "start_time": 28.875},
-    {"mute": false, "pitch": 91, "duration": 0.125, "velocity": 110, "start_time": 29},
-    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 110, "start_time": 29.125},
-    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 110, "start_time": 29.25},
-    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 110, "start_time": 29.375},
-    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 110, "start_time": 29.5},
-    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 110, "start_time": 29.625},
-    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 110, "start_time": 29.75},
-    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 110, "start_time": 29.875},
-    {"mute": false, "pitch": 84, "duration": 2, "velocity": 120, "start_time": 30},
-    {"mute": false, "pitch": 91, "duration": 2, "velocity": 120, "start_time": 30},
-    {"mute": false, "pitch": 96, "duration": 2, "velocity": 120, "start_time": 30}
-  ];
-}
-
-// --- COSMIC BACKGROUND (PAD) NOTE PATTERNS ---
-
-// Exposition section for Cosmic Background
-function getCosmicBackgroundExpositionNotes() {
-  return [
-    {"mute": false, "pitch": 36, "duration": 16, "velocity": 50, "start_time": 0},
-    {"mute": false, "pitch": 43, "duration": 16, "velocity": 45, "start_time": 0},
-    {"mute": false, "pitch": 48, "duration": 16, "velocity": 40, "start_time": 0},
-    {"mute": false, "pitch": 38, "duration": 16, "velocity": 55, "start_time": 16},
-    {"mute": false, "pitch": 45, "duration": 16, "velocity": 50, "start_time": 16},
-    {"mute": false, "pitch": 50, "duration": 16, "velocity": 45, "start_time": 16}
-  ];
-}
-
-// Development section for Cosmic Background
-function getCosmicBackgroundDevelopmentNotes() {
-  return [
-    {"mute": false, "pitch": 43, "duration": 32, "velocity": 40, "start_time": 0},
-    {"mute": false, "pitch": 55, "duration": 32, "velocity": 35, "start_time": 0},
-    {"mute": false, "pitch": 60, "duration": 16, "velocity": 30, "start_time": 0},
-    {"mute": false, "pitch": 67, "duration": 16, "velocity": 25, "start_time": 0},
-    {"mute": false, "pitch": 62, "duration": 16, "velocity": 30, "start_time": 16},
-    {"mute": false, "pitch": 69, "duration": 16, "velocity": 25, "start_time": 16}
-  ];
-}
-
-// Culmination section for Cosmic Background
-function getCosmicBackgroundCulminationNotes() {
-  return [
-    {"mute": false, "pitch": 36, "duration": 32, "velocity": 50, "start_time": 0},
-    {"mute": false, "pitch": 48, "duration": 32, "velocity": 45, "start_time": 0},
-    {"mute": false, "pitch": 55, "duration": 16, "velocity": 40, "start_time": 0},
-    {"mute": false, "pitch": 60, "duration": 16, "velocity": 35, "start_time": 0},
-    {"mute": false, "pitch": 64, "duration": 16, "velocity": 30, "start_time": 0},
-    {"mute": false, "pitch": 52, "duration": 16, "velocity": 40, "start_time": 16},
-    {"mute": false, "pitch": 57, "duration": 16, "velocity": 35, "start_time": 16},
-    {"mute": false, "pitch": 60, "duration": 16, "velocity": 30, "start_time": 16}
-  ];
-}
-
-// Execute the composition
-createSpiralGalaxyCanon();
-  
+  const instruments = backend.getBrowserItems ? resolveInstruments(composition.tracks, backend) : undefined;
+  return performComposition(composition, backend, { instruments, layout });
+}
+
+// Function to resolve the canon varied by a seed; the same seed and strength
+// always give the same notes
+function createVariation(seed, strength = 0.3) {
+  return resolveComposition(loadSpec({ ...loadSpec(SPEC_PATH), variation: { seed, strength } }));
+}
+
+// Function to resolve the canon with one canonic voice per spiral arm, entering
+// 2π/count apart, plus the layers kept from the canon (core, clusters,
+// background; all by default), optionally varied by {seed, strength}
+function createArmVoices(count, layers, variation) {
+  const spec = createArmSpec(loadSpec(SPEC_PATH), { arms: count, layers });
+  return resolveComposition(loadSpec(variation ? { ...spec, variation: { strength: 0.3, ...variation } } : spec));
+}
+
+// Function to collect every track's name and notes, in track index order
+function getCompositionTracks() {
+  return COMPOSITION.tracks.map(track => ({
+    name: track.name,
+    notes: track.notes.map(note => ({ ...note }))
+  }));
+}
+
+// Function to write the whole composition to a type-1 Standard MIDI File,
+// so it can be heard and archived without a running Ableton session
+function exportMidiFile(filePath = "spiral-galaxy-canon.mid") {
+  writeCompositionMidi(COMPOSITION, filePath);
+  return filePath;
+}
+
+module.exports = {
+  SPEC_PATH,
+  COMPOSITION,
+  TEMPO,
+  TRACK_NAMES,
+  FORM,
+  SECTIONS,
+  createSpiralGalaxyCanon,
+  createVariation,
+  createArmVoices,
+  offsetNotesForSection,
+  getCompositionTracks,
+  exportMidiFile
+};
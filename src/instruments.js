@@ -0,0 +1,219 @@
+/**
+ * Instrument resolver
+ *
+ * The spec loads fixed browser URIs from the orchestral packs, which do not
+ * exist on machines without the packs or on another Live build. The resolver
+ * gives every track a role (core, strings, brass, winds, mallets, pad) with an
+ * ordered list of preferred instruments and stock fallbacks, searches the
+ * browser for them by category and name, and reports which instrument was
+ * chosen for each track and whether it is a substitute. A track for which
+ * nothing is found is reported as unresolved, and performing with the report
+ * fails rather than loading a URI already known to be missing.
+ *
+ * The browser is read through backend.getBrowserItems(path), which lists the
+ * items at a path such as "instruments/Instrument Rack/Brass" as
+ * {name, uri, isFolder, isLoadable}. A recording backend created with a stub
+ * browser tree answers the same way, so resolution can run offline.
+ */
+
+// Preferred instruments per role, best first, then stock Live instruments
+// category is the browser root, folder narrows the search below it
+const INSTRUMENT_ROLES = {
+  core: {
+    preferred: [
+      { category: "instruments", folder: "Instrument Rack/Piano & Keys", name: "Grand Piano" },
+      { category: "sounds", folder: "Piano & Keys", name: "Grand Piano" },
+      { category: "sounds", folder: "Piano & Keys", name: "Upright Piano" }
+    ],
+    stock: [
+      { category: "instruments", name: "Electric" },
+      { category: "instruments", name: "Operator" }
+    ]
+  },
+  strings: {
+    preferred: [
+      { category: "instruments", folder: "Instrument Rack/Strings", name: "Strings Ensemble" },
+      { category: "sounds", folder: "Strings", name: "String Ensemble" },
+      { category: "sounds", folder: "Strings", name: "Strings" }
+    ],
+    stock: [
+      { category: "instruments", name: "Tension" },
+      { category: "instruments", name: "Wavetable" }
+    ]
+  },
+  brass: {
+    preferred: [
+      { category: "instruments", folder: "Instrument Rack/Brass", name: "Trumpet Section" },
+      { category: "instruments", folder: "Instrument Rack/Brass", name: "Brass Ensemble" },
+      { category: "instruments", folder: "Instrument Rack/Brass", name: "French Horn Ensemble" },
+      { category: "sounds", folder: "Brass", name: "Brass" }
+    ],
+    stock: [
+      { category: "instruments", name: "Analog" },
+      { category: "instruments", name: "Operator" }
+    ]
+  },
+  winds: {
+    preferred: [
+      { category: "instruments", folder: "Instrument Rack/Winds", name: "Woodwinds Ensemble" },
+      { category: "instruments", folder: "Instrument Rack/Winds", name: "Concert Flute" },
+      { category: "instruments", folder: "Instrument Rack/Winds", name: "Clarinet" },
+      { category: "sounds", folder: "Winds", name: "Flute" }
+    ],
+    stock: [
+      { category: "instruments", name: "Operator" },
+      { category: "instruments", name: "Analog" }
+    ]
+  },
+  mallets: {
+    preferred: [
+      { category: "instruments", folder: "Instrument Rack/Mallets", name: "Vibraphone" },
+      { category: "instruments", folder: "Instrument Rack/Mallets", name: "Marimba" },
+      { category: "instruments", folder: "Instrument Rack/Mallets", name: "Glockenspiel" },
+      { category: "sounds", folder: "Mallets", name: "Vibraphone" }
+    ],
+    stock: [
+      { category: "instruments", name: "Collision" },
+      { category: "instruments", name: "Operator" }
+    ]
+  },
+  pad: {
+    preferred: [
+      { category: "instruments", folder: "Instrument Rack/Pad", name: "Stars Pad" },
+      { category: "sounds", folder: "Pad", name: "Stars Pad" }
+    ],
+    stock: [
+      { category: "instruments", name: "Wavetable" },
+      { category: "instruments", name: "Drift" },
+      { category: "instruments", name: "Analog" }
+    ]
+  }
+};
+
+// How many folder levels below a search root are listed at most
+const MAX_SEARCH_DEPTH = 4;
+
+// Function to compare browser item names, ignoring case and preset extensions
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/\.(adg|adv|amxd|als)$/, "").trim();
+}
+
+// Function to create a browser search over a backend, listing each path once
+function createBrowserSearch(backend) {
+  const listings = new Map();
+
+  // Function to list the items at a path, or nothing when the path is missing
+  function list(path) {
+    if (!listings.has(path)) {
+      let items;
+      try {
+        items = backend.getBrowserItems(path) || [];
+      } catch (error) {
+        items = [];
+      }
+      listings.set(path, items);
+    }
+    return listings.get(path);
+  }
+
+  // Function to find a loadable item by name below a category (and folder),
+  // searching breadth first so the shallowest match wins
+  function find({ category, folder, name }) {
+    const wanted = normalizeName(name);
+    let level = [folder ? `${category}/${folder}` : category];
+    for (let depth = 0; depth <= MAX_SEARCH_DEPTH && level.length > 0; depth++) {
+      const next = [];
+      for (const path of level) {
+        for (const item of list(path)) {
+          if (item.isLoadable !== false && !item.isFolder && normalizeName(item.name) === wanted && item.uri) {
+            return { name: item.name, uri: item.uri, path: `${path}/${item.name}` };
+          }
+          if (item.isFolder) next.push(`${path}/${item.name}`);
+        }
+      }
+      level = next;
+    }
+    return null;
+  }
+
+  return { find, list };
+}
+
+// Function to resolve one instrument per track against the browser
+//
+// Every track is searched for by its own instrumentName first, in the folders
+// of its role, then through the role's preferences and stock instruments.
+// Tracks without a role keep the URI from the spec; tracks with a role for
+// which nothing is found are unresolved, with no URI.
+//
+// Returns one report entry per track:
+// {trackIndex, track, role, wanted, chosen: {name, uri, path} | null,
+//  uri, source: "preferred" | "stock" | "spec" | "unresolved", substitute}
+function resolveInstruments(tracks, backend, { roles = INSTRUMENT_ROLES } = {}) {
+  const search = createBrowserSearch(backend);
+
+  return tracks.map((track, trackIndex) => {
+    const role = roles[track.role];
+    const wanted = track.instrumentName || (role && role.preferred[0] && role.preferred[0].name) || track.instrument;
+    const entry = { trackIndex, track: track.name, role: track.role, wanted };
+    if (!role) {
+      return { ...entry, chosen: null, uri: track.instrument, source: "spec", substitute: false };
+    }
+
+    const ownName = track.instrumentName
+      ? role.preferred.map(preference => ({ ...preference, name: track.instrumentName }))
+      : [];
+    const candidates = [
+      ...[...ownName, ...role.preferred].map(preference => ({ preference, source: "preferred" })),
+      ...role.stock.map(preference => ({ preference, source: "stock" }))
+    ];
+
+    for (const { preference, source } of candidates) {
+      const chosen = search.find(preference);
+      if (chosen) {
+        return {
+          ...entry,
+          chosen,
+          uri: chosen.uri,
+          source,
+          substitute: normalizeName(chosen.name) !== normalizeName(wanted)
+        };
+      }
+    }
+    return { ...entry, chosen: null, uri: null, source: "unresolved", substitute: false };
+  });
+}
+
+// Function to check that a resolution report has an instrument for every track
+function assertInstrumentsResolved(report) {
+  const unresolved = report.filter(entry => entry.source === "unresolved");
+  if (unresolved.length > 0) {
+    throw new Error(
+      `No instrument or fallback found in the browser for ${unresolved.length} track(s) ` +
+      `(missing: ${unresolved.map(entry => `${entry.track}: ${entry.wanted}`).join(", ")})`
+    );
+  }
+}
+
+// Function to describe a resolution report as readable lines
+function formatInstrumentReport(report) {
+  return report.map(entry => {
+    const label = `${entry.trackIndex}: ${entry.track}${entry.role ? ` (${entry.role})` : ""}`;
+    if (entry.source === "unresolved") {
+      return `  ${label}: UNRESOLVED - neither ${entry.wanted} nor any fallback is in the browser`;
+    }
+    if (!entry.chosen) {
+      return `  ${label}: no role, loading the spec URI`;
+    }
+    const note = entry.substitute ? ` - substitute for ${entry.wanted}` : "";
+    return `  ${label}: ${entry.chosen.name} [${entry.source}] ${entry.chosen.path}${note}`;
+  }).join("\n");
+}
+
+module.exports = {
+  INSTRUMENT_ROLES,
+  createBrowserSearch,
+  resolveInstruments,
+  assertInstrumentsResolved,
+  formatInstrumentReport
+};
@@ -0,0 +1,324 @@
+/**
+ * Rotating galaxy live mode
+ *
+ * An endless, generative performance for installations. A scheduler advances
+ * the galaxy's rotation angle with the clock and, a few bars ahead of the
+ * playhead, generates the next chunk of every voice from the current state of
+ * the spiral (spiral.js), shaped by the density wave (density-wave.js). Every
+ * track alternates between two clip slots: while one plays, the other is
+ * rewritten with the chunk that follows and launched at the chunk boundary.
+ *
+ * Voices follow one logarithmic spiral a rotation of 2π/N apart, like the arms
+ * of the spiral generator, each in the register and at the note density its
+ * track has in the composition. The curve restarts from the core every
+ * cycleTurns turns, so the pitches stay bounded however long it runs.
+ *
+ * The scheduler only talks to a clock, so it can run against the system
+ * clock or a simulated one that is advanced by hand; uploads that are retried
+ * back off on the same clock. An upload that still fails stops the
+ * performance.
+ */
+
+const { generateSpiralNotes } = require("./spiral");
+const { applyDensityWave, pitchToRadius } = require("./density-wave");
+const { setupSession, addNotesInBatches } = require("./composition");
+
+const TWO_PI = 2 * Math.PI;
+
+const DEFAULT_LIVE_MODE = {
+  chunkBars: 2,         // Bars generated per clip
+  beatsPerBar: 4,
+  beatsPerTurn: 16,     // Beats per full rotation of the galaxy
+  clipSlots: [0, 1],    // The two clip slots every track alternates between
+  leadBeats: 1,         // Clips are launched this long before their boundary
+  spiral: { a: 2, b: 0.2, cycleTurns: 3 },
+  grid: 0.25,
+  densityWave: {},
+  setup: true           // Create the tracks and load the instruments first
+};
+
+// Function to create a clock reading the system time
+function createSystemClock() {
+  return {
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: timer => clearTimeout(timer)
+  };
+}
+
+// Function to create a clock that only moves when advanced, for tests and dry runs
+function createSimulatedClock(startTime = 0) {
+  let time = startTime;
+  let nextId = 1;
+  const timers = new Map();
+
+  return {
+    now: () => time,
+    setTimeout(callback, delay) {
+      const id = nextId++;
+      timers.set(id, { callback, at: time + Math.max(0, delay), id });
+      return id;
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    // Function to move the clock forward, running every timer that falls due
+    // in order, including timers those timers set
+    advance(ms) {
+      const end = time + ms;
+      for (;;) {
+        const due = [...timers.values()]
+          .filter(timer => timer.at <= end)
+          .sort((x, y) => x.at - y.at || x.id - y.id)[0];
+        if (!due) break;
+        timers.delete(due.id);
+        time = due.at;
+        due.callback();
+      }
+      time = end;
+    },
+    pending: () => timers.size
+  };
+}
+
+// Function to describe each voice from its track: register and note density
+function describeVoices(composition) {
+  return composition.tracks.map((track, index) => {
+    const pitches = track.notes.filter(note => !note.mute).map(note => note.pitch).sort((x, y) => x - y);
+    const low = pitches.length > 0 ? pitches[0] : 48 + 6 * index;
+    const high = pitches.length > 0 ? pitches[pitches.length - 1] : low + 24;
+    return {
+      name: track.name,
+      base: pitches.length > 0 ? pitches[Math.floor(pitches.length / 4)] : low,
+      min: low,
+      max: Math.max(high, low + 12),
+      notesPerBeat: Math.max(track.notes.length / composition.form.totalLength, 0.125)
+    };
+  });
+}
+
+// Function to generate one chunk of one voice, starting at a rotation angle
+// Notes start at 0, the start of the clip they are written to
+function generateVoiceChunk(voice, voiceIndex, voiceCount, angle, chunkIndex, settings) {
+  const chunkBeats = settings.chunkBars * settings.beatsPerBar;
+  const chunkAngle = (TWO_PI * chunkBeats) / settings.beatsPerTurn;
+  const cycle = TWO_PI * settings.spiral.cycleTurns;
+  // Later voices trail the first by 2π/N, and the curve restarts every cycle
+  const thetaStart = ((angle - (TWO_PI * voiceIndex) / voiceCount) % cycle + cycle) % cycle;
+  const notesPerArm = Math.max(1, Math.round(voice.notesPerBeat * chunkBeats));
+
+  const notes = generateSpiralNotes({
+    a: settings.spiral.a,
+    b: settings.spiral.b,
+    arms: 1,
+    thetaStart,
+    thetaEnd: thetaStart + (chunkAngle * notesPerArm) / (notesPerArm + 1),
+    notesPerArm,
+    pitch: { base: voice.base, min: voice.min, max: voice.max },
+    time: { start: 0, beatsPerTurn: settings.beatsPerTurn, grid: settings.grid }
+  }).filter(note => note.start_time < chunkBeats);
+
+  // Shape on the absolute timeline, so the density wave keeps rotating
+  const offset = chunkIndex * chunkBeats;
+  const shaped = applyDensityWave(
+    notes.map(note => ({ ...note, start_time: note.start_time + offset })),
+    settings.densityWave,
+    { radius: pitchToRadius(voice.base), beatsPerBar: settings.beatsPerBar }
+  );
+  return shaped.map(note => ({
+    ...note,
+    start_time: note.start_time - offset,
+    duration: Math.min(note.duration, chunkBeats - (note.start_time - offset))
+  }));
+}
+
+// Function to check that a backend can rewrite and stop clips for live mode
+function assertLiveModeAvailable(backend) {
+  const missing = ["deleteClip", "stopClip"].filter(method => typeof backend[method] !== "function");
+  if (missing.length > 0) {
+    throw new Error(`The ${backend.name || "given"} backend cannot run live mode (missing: ${missing.join(", ")})`);
+  }
+}
+
+// Function to create a live galaxy performance over a resolved composition
+// Returns a controller with start(), pause(), resume(), stop() and state().
+//
+// options (see DEFAULT_LIVE_MODE):
+// - clock: system clock by default, or createSimulatedClock()
+// - chunkBars, beatsPerBar, beatsPerTurn, clipSlots, leadBeats, grid
+// - spiral: {a, b, cycleTurns}; densityWave: density-wave options
+// - setup: create tracks and load instruments before starting
+// - instruments: resolution report to load (see instruments.js)
+// - onChunk: called with {chunk, slot, angle, beat, notes} for every chunk written
+// - onError: called with the error of an upload that failed after its retries,
+//   once live mode has stopped because of it (state() also reports it)
+function createLiveGalaxy(composition, backend, options = {}) {
+  const settings = {
+    ...DEFAULT_LIVE_MODE,
+    ...options,
+    spiral: { ...DEFAULT_LIVE_MODE.spiral, ...(options.spiral || {}) }
+  };
+  const clock = options.clock || createSystemClock();
+  const onChunk = options.onChunk || (() => {});
+  const onError = options.onError || (() => {});
+  assertLiveModeAvailable(backend);
+
+  const voices = describeVoices(composition);
+  const chunkBeats = settings.chunkBars * settings.beatsPerBar;
+  const msPerBeat = 60000 / composition.tempo;
+  const chunkMs = chunkBeats * msPerBeat;
+  const leadMs = settings.leadBeats * msPerBeat;
+
+  let status = "idle";
+  let chunk = 0;        // Chunk playing now
+  let chunkStart = 0;   // Clock time at which it started
+  let timer = null;
+  let failure = null;
+  const written = new Set();
+  // Retried uploads back off on the live clock; stopping drops their retries
+  const retries = new Set();
+  const upload = {
+    wait: ms => new Promise(resolve => {
+      if (status === "stopped") return;
+      const retry = clock.setTimeout(() => {
+        retries.delete(retry);
+        resolve();
+      }, ms);
+      retries.add(retry);
+    })
+  };
+
+  const slotOf = index => settings.clipSlots[index % settings.clipSlots.length];
+  const angleOf = index => (TWO_PI * index * chunkBeats) / settings.beatsPerTurn;
+
+  // Function to write one chunk of every voice into its clip slot
+  // Uploads only wait when a batch is retried, so the clips are written by the
+  // time it returns unless the bridge failed a call
+  function writeChunk(index) {
+    const slot = slotOf(index);
+    const angle = angleOf(index);
+    let noteCount = 0;
+    voices.forEach((voice, trackIndex) => {
+      const key = `${trackIndex}/${slot}`;
+      if (written.has(key)) backend.deleteClip(trackIndex, slot);
+      backend.createClip(trackIndex, slot, chunkBeats);
+      backend.setClipName(trackIndex, slot, `${voice.name} ${index % 2 === 0 ? "A" : "B"}`);
+      written.add(key);
+      const notes = generateVoiceChunk(voice, trackIndex, voices.length, angle, index, settings);
+      addNotesInBatches(backend, trackIndex, slot, notes, upload).catch(fail);
+      noteCount += notes.length;
+    });
+    onChunk({ chunk: index, slot, angle, beat: index * chunkBeats, notes: noteCount });
+  }
+
+  // Function to stop the scheduler and the uploads waiting to retry
+  function halt() {
+    clock.clearTimeout(timer);
+    retries.forEach(retry => clock.clearTimeout(retry));
+    retries.clear();
+  }
+
+  // Function to stop the performance after an upload failed for good
+  function fail(error) {
+    if (failure || status === "stopped") return;
+    failure = error;
+    halt();
+    stopClips();
+    status = "stopped";
+    onError(error);
+  }
+
+  // Function to launch a chunk's clips on every track
+  function fireChunk(index) {
+    voices.forEach((voice, trackIndex) => backend.fireClip(trackIndex, slotOf(index)));
+  }
+
+  // Function to stop both slots of every track, including a launch in progress
+  function stopClips() {
+    voices.forEach((voice, trackIndex) => {
+      settings.clipSlots.forEach(slot => backend.stopClip(trackIndex, slot));
+    });
+  }
+
+  // Function to schedule the launch of the next chunk, just before its boundary
+  function scheduleLaunch() {
+    const launchAt = chunkStart + chunkMs - leadMs;
+    timer = clock.setTimeout(() => {
+      fireChunk(chunk + 1);
+      scheduleRefill();
+    }, launchAt - clock.now());
+  }
+
+  // Function to schedule the rewrite of the slot that just stopped playing,
+  // once the next chunk is under way
+  function scheduleRefill() {
+    const refillAt = chunkStart + chunkMs + leadMs;
+    timer = clock.setTimeout(() => {
+      chunk += 1;
+      chunkStart += chunkMs;
+      writeChunk(chunk + 1);
+      scheduleLaunch();
+    }, refillAt - clock.now());
+  }
+
+  return {
+    start() {
+      if (status !== "idle") throw new Error(`Live mode already ${status}`);
+      if (settings.setup) setupSession(backend, composition, options.instruments);
+      writeChunk(0);
+      writeChunk(1);
+      fireChunk(0);
+      chunk = 0;
+      chunkStart = clock.now();
+      status = "playing";
+      scheduleLaunch();
+    },
+
+    // Stops the clips and the scheduler; resume() restarts the current chunk
+    pause() {
+      if (status !== "playing") return;
+      clock.clearTimeout(timer);
+      stopClips();
+      status = "paused";
+    },
+
+    resume() {
+      if (status !== "paused") return;
+      // The other slot may have been launched already: write the next chunk again
+      writeChunk(chunk + 1);
+      fireChunk(chunk);
+      chunkStart = clock.now();
+      status = "playing";
+      scheduleLaunch();
+    },
+
+    stop() {
+      if (status === "stopped" || status === "idle") {
+        status = "stopped";
+        return;
+      }
+      halt();
+      stopClips();
+      status = "stopped";
+    },
+
+    state() {
+      return {
+        status,
+        chunk,
+        beat: chunk * chunkBeats,
+        angle: angleOf(chunk),
+        turns: (chunk * chunkBeats) / settings.beatsPerTurn,
+        error: failure
+      };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_LIVE_MODE,
+  createSystemClock,
+  createSimulatedClock,
+  generateVoiceChunk,
+  createLiveGalaxy
+};
@@ -0,0 +1,299 @@
+/**
+ * Standard MIDI File writer and reader
+ *
+ * Encodes tracks of MCP-style notes ({pitch, start_time, duration, velocity, mute},
+ * times in beats) as a type-1 Standard MIDI File. Track 0 is a conductor track
+ * holding tempo and time signature; every composition track follows on its own
+ * MIDI channel.
+ *
+ * The reader decodes type 0, 1 and 2 files back into the same note shape, per
+ * track and with the MIDI channel of every note, plus the tempo and time
+ * signature changes, so a subject written in any sequencer can be imported.
+ */
+
+const fs = require("fs");
+const { sortNotes } = require("./note-utils");
+
+const DEFAULT_TICKS_PER_BEAT = 480;
+
+// Function to encode a number as a MIDI variable-length quantity
+function encodeVariableLength(value) {
+  const bytes = [value & 0x7f];
+  let remaining = value >> 7;
+  while (remaining > 0) {
+    bytes.unshift((remaining & 0x7f) | 0x80);
+    remaining >>= 7;
+  }
+  return bytes;
+}
+
+// Function to clamp a value into the 7-bit MIDI data range
+function toDataByte(value, min = 0) {
+  return Math.max(min, Math.min(127, Math.round(value)));
+}
+
+// Function to build a meta event (type byte plus raw data)
+function metaEvent(type, data) {
+  return [0xff, type, ...encodeVariableLength(data.length), ...data];
+}
+
+// Function to encode a text meta event such as a track name
+function textMetaEvent(type, text) {
+  return metaEvent(type, [...Buffer.from(text, "utf8")]);
+}
+
+// Function to turn timed events into a complete MTrk chunk
+function buildTrackChunk(events) {
+  // Note-offs sort before note-ons on the same tick so repeated pitches retrigger
+  const sorted = events
+    .map((event, order) => ({ ...event, order }))
+    .sort((a, b) => a.tick - b.tick || a.priority - b.priority || a.order - b.order);
+
+  const body = [];
+  let lastTick = 0;
+  sorted.forEach(event => {
+    body.push(...encodeVariableLength(event.tick - lastTick), ...event.bytes);
+    lastTick = event.tick;
+  });
+  body.push(...encodeVariableLength(0), ...metaEvent(0x2f, []));
+
+  const header = Buffer.from("MTrk", "ascii");
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(body.length);
+  return Buffer.concat([header, length, Buffer.from(body)]);
+}
+
+// Function to build the conductor track with tempo and time signature
+function buildConductorTrack(name, tempo, timeSignature) {
+  const microsecondsPerBeat = Math.round(60000000 / tempo);
+  const [numerator, denominator] = timeSignature;
+  return buildTrackChunk([
+    { tick: 0, priority: 0, bytes: textMetaEvent(0x03, name) },
+    {
+      tick: 0,
+      priority: 0,
+      bytes: metaEvent(0x51, [
+        (microsecondsPerBeat >> 16) & 0xff,
+        (microsecondsPerBeat >> 8) & 0xff,
+        microsecondsPerBeat & 0xff
+      ])
+    },
+    {
+      tick: 0,
+      priority: 0,
+      bytes: metaEvent(0x58, [numerator, Math.log2(denominator), 24, 8])
+    }
+  ]);
+}
+
+// Function to build one note track on the given channel
+function buildNoteTrack(track, channel, ticksPerBeat) {
+  const events = [{ tick: 0, priority: 0, bytes: textMetaEvent(0x03, track.name) }];
+
+  if (track.program !== undefined) {
+    events.push({ tick: 0, priority: 0, bytes: [0xc0 | channel, toDataByte(track.program)] });
+  }
+
+  track.notes
+    .filter(note => !note.mute)
+    .forEach(note => {
+      const pitch = toDataByte(note.pitch);
+      const startTick = Math.round(note.start_time * ticksPerBeat);
+      const endTick = Math.max(startTick + 1, Math.round((note.start_time + note.duration) * ticksPerBeat));
+      events.push({ tick: startTick, priority: 2, bytes: [0x90 | channel, pitch, toDataByte(note.velocity, 1)] });
+      events.push({ tick: endTick, priority: 1, bytes: [0x80 | channel, pitch, 0] });
+    });
+
+  return buildTrackChunk(events);
+}
+
+// Function to encode tracks ([{name, notes, program?}]) as a type-1 MIDI file buffer
+function encodeMidiFile(tracks, options = {}) {
+  const {
+    tempo = 120,
+    ticksPerBeat = DEFAULT_TICKS_PER_BEAT,
+    timeSignature = [4, 4],
+    title = "Spiral Galaxy as Bach's Canon"
+  } = options;
+
+  if (tracks.length > 15) {
+    throw new Error(`A MIDI file can hold at most 15 melodic channels, got ${tracks.length} tracks`);
+  }
+
+  const header = Buffer.alloc(14);
+  header.write("MThd", 0, "ascii");
+  header.writeUInt32BE(6, 4);
+  header.writeUInt16BE(1, 8);
+  header.writeUInt16BE(tracks.length + 1, 10);
+  header.writeUInt16BE(ticksPerBeat, 12);
+
+  return Buffer.concat([
+    header,
+    buildConductorTrack(title, tempo, timeSignature),
+    // Channel 10 (index 9) is reserved for General MIDI percussion
+    ...tracks.map((track, index) => buildNoteTrack(track, index < 9 ? index : index + 1, ticksPerBeat))
+  ]);
+}
+
+// Function to encode tracks and write them to disk
+function writeMidiFile(filePath, tracks, options = {}) {
+  fs.writeFileSync(filePath, encodeMidiFile(tracks, options));
+}
+
+// Function to read a MIDI variable-length quantity
+// Returns {value, offset} with the offset just past the quantity
+function readVariableLength(data, offset) {
+  let value = 0;
+  let position = offset;
+  for (let count = 0; count < 4; count++) {
+    if (position >= data.length) break;
+    const byte = data[position++];
+    value = (value << 7) | (byte & 0x7f);
+    if ((byte & 0x80) === 0) return { value, offset: position };
+  }
+  throw new Error(`Invalid variable-length quantity at byte ${offset}`);
+}
+
+// Data bytes that follow each kind of channel message (by its upper status nibble)
+const CHANNEL_MESSAGE_LENGTHS = { 0x80: 2, 0x90: 2, 0xa0: 2, 0xb0: 2, 0xc0: 1, 0xd0: 1, 0xe0: 2 };
+
+// Function to decode the events of one MTrk chunk
+// Returns {name, notes, tempos, timeSignatures}, times in beats; a note-on
+// without a matching note-off ends with the track
+function decodeTrackChunk(data, ticksPerBeat) {
+  const notes = [];
+  const tempos = [];
+  const timeSignatures = [];
+  const sounding = new Map(); // "channel/pitch" -> note-ons waiting for their note-off, oldest first
+  let name = null;
+  let tick = 0;
+  let offset = 0;
+  let runningStatus = null;
+
+  const endNote = (key, endTick) => {
+    const waiting = sounding.get(key);
+    if (!waiting || waiting.length === 0) return;
+    const { startTick, pitch, velocity, channel } = waiting.shift();
+    notes.push({
+      pitch,
+      start_time: startTick / ticksPerBeat,
+      duration: Math.max(1, endTick - startTick) / ticksPerBeat,
+      velocity,
+      mute: false,
+      channel
+    });
+  };
+
+  while (offset < data.length) {
+    const delta = readVariableLength(data, offset);
+    tick += delta.value;
+    offset = delta.offset;
+
+    let status = data[offset];
+    if (status === 0xff) {
+      const type = data[offset + 1];
+      const length = readVariableLength(data, offset + 2);
+      const body = data.subarray(length.offset, length.offset + length.value);
+      offset = length.offset + length.value;
+      const beat = tick / ticksPerBeat;
+      if (type === 0x03 && name === null) {
+        name = body.toString("utf8");
+      } else if (type === 0x51 && body.length === 3) {
+        tempos.push({ beat, bpm: 60000000 / ((body[0] << 16) | (body[1] << 8) | body[2]) });
+      } else if (type === 0x58 && body.length >= 2) {
+        timeSignatures.push({ beat, numerator: body[0], denominator: 2 ** body[1] });
+      } else if (type === 0x2f) {
+        break;
+      }
+      continue;
+    }
+    if (status === 0xf0 || status === 0xf7) {
+      const length = readVariableLength(data, offset + 1);
+      offset = length.offset + length.value;
+      continue;
+    }
+    if (status < 0x80) {
+      if (runningStatus === null) {
+        throw new Error(`Data byte without a status at byte ${offset}`);
+      }
+      status = runningStatus;
+    } else {
+      runningStatus = status;
+      offset += 1;
+    }
+
+    const kind = status & 0xf0;
+    const channel = (status & 0x0f) + 1;
+    const [pitch, velocity] = [data[offset], data[offset + 1]];
+    offset += CHANNEL_MESSAGE_LENGTHS[kind];
+    const key = `${channel}/${pitch}`;
+    if (kind === 0x90 && velocity > 0) {
+      if (!sounding.has(key)) sounding.set(key, []);
+      sounding.get(key).push({ startTick: tick, pitch, velocity, channel });
+    } else if (kind === 0x80 || kind === 0x90) {
+      endNote(key, tick);
+    }
+  }
+
+  [...sounding.keys()].forEach(key => {
+    while (sounding.get(key).length > 0) endNote(key, tick);
+  });
+  sortNotes(notes);
+  return { name, notes, tempos, timeSignatures };
+}
+
+// Function to decode a Standard MIDI File buffer
+//
+// Returns {format, ticksPerBeat, tracks, tempos, timeSignatures}: every track
+// {index, name, channels, notes} holds its notes with their MIDI channel
+// (1-16), and the tempo ({beat, bpm}) and time signature ({beat, numerator,
+// denominator}) changes of all tracks are merged in time order. Times are in
+// beats (quarter notes), so they do not depend on the tempo.
+function decodeMidiFile(buffer) {
+  if (buffer.length < 14 || buffer.toString("ascii", 0, 4) !== "MThd") {
+    throw new Error("Not a Standard MIDI File (missing: MThd header)");
+  }
+  const headerLength = buffer.readUInt32BE(4);
+  const format = buffer.readUInt16BE(8);
+  const division = buffer.readUInt16BE(12);
+  if (division & 0x8000) {
+    throw new Error("SMPTE time division is not supported (expected ticks per beat)");
+  }
+
+  const tracks = [];
+  let offset = 8 + headerLength;
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString("ascii", offset, offset + 4);
+    const length = buffer.readUInt32BE(offset + 4);
+    const data = buffer.subarray(offset + 8, Math.min(buffer.length, offset + 8 + length));
+    offset += 8 + length;
+    if (type === "MTrk") {
+      tracks.push(decodeTrackChunk(data, division));
+    }
+  }
+
+  return {
+    format,
+    ticksPerBeat: division,
+    tracks: tracks.map(({ name, notes }, index) => ({
+      index,
+      name,
+      channels: [...new Set(notes.map(note => note.channel))].sort((x, y) => x - y),
+      notes
+    })),
+    tempos: tracks.flatMap(track => track.tempos).sort((x, y) => x.beat - y.beat),
+    timeSignatures: tracks.flatMap(track => track.timeSignatures).sort((x, y) => x.beat - y.beat)
+  };
+}
+
+// Function to read and decode a Standard MIDI File
+function readMidiFile(filePath) {
+  return decodeMidiFile(fs.readFileSync(filePath));
+}
+
+module.exports = {
+  encodeMidiFile,
+  writeMidiFile,
+  decodeMidiFile,
+  readMidiFile
+};
@@ -0,0 +1,253 @@
+/**
+ * MIDI subject importer
+ *
+ * Turns a melody from a Standard MIDI File into the canon's subject, so the
+ * thematic material no longer has to be typed into patterns.js. One track or
+ * channel of the file is read (midi-file.js), quantized to a grid, moved to
+ * start on the barline before its first note (by the file's time signature)
+ * and cut to the spec's pattern length.
+ *
+ * subjectToSpec() makes it the Galactic Core's subject and derives every other
+ * voice from it with the canon transforms of canon.js, as a canon whose voices
+ * enter one after another at their own interval:
+ *
+ * - Exposition: the subject, the voices entering a bar apart
+ * - Development: the subject inverted around its first note
+ * - Culmination: the subject in stretto, the entries twice as close
+ *
+ * The Cosmic Background plays it in augmentation, two octaves down. The spec
+ * takes the file's tempo and records the subject under "subject".
+ */
+
+const path = require("path");
+const { readMidiFile } = require("./midi-file");
+const { quantize: snap, sortNotes } = require("./note-utils");
+
+const DEFAULT_QUANTIZE = 0.25;
+
+// Interval of each role's imitation in semitones, and its entry in the canon
+// (in entry gaps after the subject); the pad plays the subject augmented
+const SUBJECT_VOICES = {
+  core: { interval: 0, entry: 0 },
+  strings: { interval: -12, entry: 1 },
+  brass: { interval: -5, entry: 2 },
+  winds: { interval: 12, entry: 3 },
+  mallets: { interval: 19, entry: 4 },
+  pad: { interval: -24, entry: 0, augment: true }
+};
+
+// Form of the subject in each section, in form order, and the spacing of the
+// entries as a fraction of the entry gap
+const SUBJECT_SECTIONS = [
+  { inverted: false, spacing: 1 },
+  { inverted: true, spacing: 1 },
+  { inverted: false, spacing: 0.5 }
+];
+
+// Function to find the time signature in effect at a beat, defaulting to 4/4
+function timeSignatureAt(beat, timeSignatures) {
+  const current = timeSignatures.filter(change => change.beat <= beat + 1e-9).pop();
+  return current || { beat: 0, numerator: 4, denominator: 4 };
+}
+
+// Function to find the barline at or before a beat
+// Time signature changes are taken to fall on barlines
+function barStartBefore(beat, timeSignatures) {
+  const signature = timeSignatureAt(beat, timeSignatures);
+  const barLength = (signature.numerator * 4) / signature.denominator;
+  return signature.beat + Math.floor((beat - signature.beat) / barLength + 1e-9) * barLength;
+}
+
+// Function to pick the notes of one track and/or channel of a decoded file
+// Without either, the first track with notes is used
+function selectMidiNotes(midi, { track, channel } = {}) {
+  const withNotes = midi.tracks.filter(candidate => candidate.notes.length > 0);
+  if (withNotes.length === 0) {
+    throw new Error("The MIDI file has no notes");
+  }
+  const describe = candidate => `${candidate.index}${candidate.name ? `: ${candidate.name}` : ""}`;
+
+  let tracks = withNotes;
+  if (track !== undefined) {
+    const wanted = typeof track === "number" ? null : String(track).toLowerCase();
+    const found = midi.tracks.find(candidate => (wanted === null
+      ? candidate.index === track
+      : (candidate.name || "").toLowerCase() === wanted));
+    if (!found) {
+      throw new Error(`Unknown MIDI track "${track}" (expected ${withNotes.map(describe).join(", ")})`);
+    }
+    tracks = [found];
+  } else if (channel === undefined) {
+    tracks = [withNotes[0]];
+  }
+
+  const notes = sortNotes(tracks
+    .flatMap(candidate => candidate.notes)
+    .filter(note => channel === undefined || note.channel === channel));
+  if (notes.length === 0) {
+    const channels = [...new Set(tracks.flatMap(candidate => candidate.channels))].sort((x, y) => x - y);
+    throw new Error(`No notes on channel ${channel}${track !== undefined ? ` of track ${describe(tracks[0])}` : ""} ` +
+      `(expected ${channels.join(", ")})`);
+  }
+  return {
+    track: tracks.length === 1 ? { index: tracks[0].index, name: tracks[0].name } : null,
+    notes
+  };
+}
+
+// Function to import a subject from a decoded MIDI file
+//
+// options:
+// - track: file track index (0 is the first MTrk chunk) or track name
+// - channel: MIDI channel 1-16
+// - quantize: grid in beats for onsets and ends (default a 16th note, 0 keeps the timing)
+// - patternLength: beats the subject may last, as in the spec's form
+// - name: name of the subject; without it the track's name, else defaultName
+//
+// Returns {name, track, channel, notes, length, tempo, tempoChanges,
+// timeSignature: [numerator, denominator], offset, dropped, quantize}, where
+// offset is the beat of the file the subject starts at and dropped counts the
+// notes cut off after patternLength.
+function importMidiSubject(midi, {
+  track,
+  channel,
+  quantize = DEFAULT_QUANTIZE,
+  patternLength = 32,
+  name,
+  defaultName = "MIDI subject"
+} = {}) {
+  if (channel !== undefined && !(Number.isInteger(channel) && channel >= 1 && channel <= 16)) {
+    throw new Error(`MIDI channel must be a whole number from 1 to 16, got ${channel}`);
+  }
+  if (!(quantize >= 0)) {
+    throw new Error(`Quantization grid must be a number of beats >= 0, got ${quantize}`);
+  }
+  const selected = selectMidiNotes(midi, { track, channel });
+
+  // Quantized notes, one per pitch and onset (the longest when a grid merges two)
+  const merged = new Map();
+  selected.notes.forEach(note => {
+    const start = snap(note.start_time, quantize);
+    const end = snap(note.start_time + note.duration, quantize);
+    const quantized = {
+      pitch: note.pitch,
+      start_time: start,
+      duration: end > start ? end - start : quantize || note.duration,
+      velocity: note.velocity,
+      mute: false
+    };
+    const key = `${note.pitch}/${start}`;
+    if (!merged.has(key) || merged.get(key).duration < quantized.duration) merged.set(key, quantized);
+  });
+  const quantized = sortNotes([...merged.values()]);
+
+  const offset = barStartBefore(quantized[0].start_time, midi.timeSignatures);
+  const notes = quantized
+    .map(note => ({ ...note, start_time: note.start_time - offset }))
+    .filter(note => note.start_time < patternLength)
+    .map(note => ({ ...note, duration: Math.min(note.duration, patternLength - note.start_time) }));
+
+  const signature = timeSignatureAt(offset, midi.timeSignatures);
+  const tempo = midi.tempos.filter(change => change.beat <= offset + 1e-9).pop() || midi.tempos[0];
+  return {
+    name: name || (selected.track && selected.track.name) || defaultName,
+    track: selected.track,
+    channel: channel === undefined ? null : channel,
+    notes,
+    length: Math.max(...notes.map(note => note.start_time + note.duration)),
+    tempo: tempo ? Math.round(tempo.bpm * 100) / 100 : 120,
+    tempoChanges: Math.max(0, midi.tempos.length - 1),
+    timeSignature: [signature.numerator, signature.denominator],
+    offset,
+    dropped: quantized.length - notes.length,
+    quantize
+  };
+}
+
+// Function to read a MIDI file and import its subject
+// A subject from an unnamed track is named after the file
+function loadMidiSubject(filePath, options = {}) {
+  const defaultName = path.basename(filePath, path.extname(filePath));
+  return importMidiSubject(readMidiFile(filePath), { defaultName, ...options });
+}
+
+// Function to build a composition spec whose voices all derive from a subject
+// The base spec gives the form and the tracks (names, instruments, roles); the
+// track with the core role (or the first) plays the subject, and every section
+// of every other track imitates that track's section.
+function subjectToSpec(subject, baseSpec) {
+  const { patternLength, sections: sectionNames } = baseSpec.form;
+  const coreTrack = baseSpec.tracks.find(track => track.role === "core") || baseSpec.tracks[0];
+  const voices = baseSpec.tracks.map((track, trackIndex) =>
+    SUBJECT_VOICES[track.role] || { interval: 0, entry: trackIndex });
+
+  // Entries a bar apart, closer when the subject leaves less room before the
+  // end of the pattern; the last voice enters at most patternLength - length in
+  const [numerator, denominator] = subject.timeSignature;
+  const grid = subject.quantize || DEFAULT_QUANTIZE;
+  const lastEntry = Math.max(1, ...voices.filter(voice => !voice.augment).map(voice => voice.entry));
+  const room = Math.max(0, patternLength - subject.length);
+  const gap = Math.min((numerator * 4) / denominator, Math.floor(room / lastEntry / grid) * grid);
+  const augmentation = Math.round(Math.min(2, patternLength / subject.length) * 1000) / 1000;
+  const axis = subject.notes[0].pitch;
+
+  const tracks = baseSpec.tracks.map((track, trackIndex) => {
+    const voice = voices[trackIndex];
+    const sections = {};
+    sectionNames.forEach((sectionName, sectionIndex) => {
+      const form = SUBJECT_SECTIONS[Math.min(sectionIndex, SUBJECT_SECTIONS.length - 1)];
+      if (track === coreTrack) {
+        sections[sectionName] = sectionIndex === 0
+          ? { notes: subject.notes }
+          : {
+            from: { track: coreTrack.name, section: sectionNames[0] },
+            ...(form.inverted ? { transforms: [{ type: "invert", axis }] } : {})
+          };
+        return;
+      }
+      const delay = snap(voice.entry * gap * form.spacing, grid);
+      sections[sectionName] = {
+        from: { track: coreTrack.name, section: sectionName },
+        transforms: voice.augment
+          ? [{ type: "augment", ratio: augmentation, origin: 0, grid }, { type: "transpose", semitones: voice.interval }]
+          : [{ type: "imitate", interval: voice.interval, delay }]
+      };
+    });
+    return { ...track, sections };
+  });
+
+  const { notes, ...summary } = subject;
+  return {
+    ...baseSpec,
+    title: `${baseSpec.title || "Untitled Composition"} on ${subject.name}`,
+    // The imitations enter at the delays written above
+    form: { ...baseSpec.form, entries: "written" },
+    tempo: subject.tempo,
+    subject: { ...summary, noteCount: notes.length },
+    tracks
+  };
+}
+
+// Function to describe an imported subject, or the subject recorded in a spec,
+// in one line
+function formatSubject(subject) {
+  const from = [
+    subject.track ? `track ${subject.track.index}${subject.track.name ? ` (${subject.track.name})` : ""}` : null,
+    subject.channel !== null ? `channel ${subject.channel}` : null
+  ].filter(Boolean).join(", ");
+  const count = subject.noteCount !== undefined ? subject.noteCount : subject.notes.length;
+  const grid = subject.quantize > 0 ? `quantized to ${subject.quantize} beats` : "not quantized";
+  return `${subject.name}: ${count} notes over ${subject.length} beats${from ? ` from ${from}` : ""}, ` +
+    `${subject.timeSignature.join("/")} at ${subject.tempo} BPM, ${grid}` +
+    `${subject.tempoChanges > 0 ? `, ${subject.tempoChanges} tempo change(s) ignored` : ""}` +
+    `${subject.dropped > 0 ? `, ${subject.dropped} note(s) after the pattern length dropped` : ""}`;
+}
+
+module.exports = {
+  DEFAULT_QUANTIZE,
+  SUBJECT_VOICES,
+  importMidiSubject,
+  loadMidiSubject,
+  subjectToSpec,
+  formatSubject
+};
@@ -0,0 +1,321 @@
+/**
+ * MusicXML score export
+ *
+ * Writes a resolved composition as a MusicXML 4.0 partwise score that
+ * notation software can open and print: one part per track with its part name
+ * and instrument, 4/4 measures, notes starting and ending together written as
+ * chords, overlapping lines split into voices, notes crossing a barline tied,
+ * rehearsal marks at each section boundary and pitches spelled for the key
+ * implied by the notes.
+ *
+ * Times are quantized to a 32nd-note grid so every duration has a notated value.
+ */
+
+const fs = require("fs");
+const { escapeXml } = require("./xml");
+
+// Divisions per quarter note: one division is a 32nd note
+const DIVISIONS = 8;
+const BEATS_PER_MEASURE = 4;
+
+// Notated values in divisions, longest first, with their type and dots
+const NOTE_VALUES = [
+  { length: 32, type: "whole", dots: 0 },
+  { length: 24, type: "half", dots: 1 },
+  { length: 16, type: "half", dots: 0 },
+  { length: 12, type: "quarter", dots: 1 },
+  { length: 8, type: "quarter", dots: 0 },
+  { length: 6, type: "eighth", dots: 1 },
+  { length: 4, type: "eighth", dots: 0 },
+  { length: 3, type: "16th", dots: 1 },
+  { length: 2, type: "16th", dots: 0 },
+  { length: 1, type: "32nd", dots: 0 }
+];
+
+// Letters in circle-of-fifths order, from F (one flat of C) upwards
+const FIFTHS_STEPS = ["F", "C", "G", "D", "A", "E", "B"];
+const SHARP_SPELLINGS = [
+  ["C", 0], ["C", 1], ["D", 0], ["D", 1], ["E", 0], ["F", 0],
+  ["F", 1], ["G", 0], ["G", 1], ["A", 0], ["A", 1], ["B", 0]
+];
+const FLAT_SPELLINGS = [
+  ["C", 0], ["D", -1], ["D", 0], ["E", -1], ["E", 0], ["F", 0],
+  ["G", -1], ["G", 0], ["A", -1], ["A", 0], ["B", -1], ["B", 0]
+];
+
+// Key profiles (Krumhansl and Kessler): how well each scale degree fits a
+// major or minor key, from the tonic upwards
+const KEY_PROFILES = {
+  major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+  minor: [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+};
+
+// Position on the circle of fifths of each major key, by tonic pitch class
+const MAJOR_KEY_FIFTHS = [0, -5, 2, -3, 4, -1, 6, 1, -4, 3, -2, 5];
+
+// Function to correlate two equally long lists of numbers
+function correlate(a, b) {
+  const mean = list => list.reduce((total, value) => total + value, 0) / list.length;
+  const meanA = mean(a);
+  const meanB = mean(b);
+  let product = 0;
+  let squaresA = 0;
+  let squaresB = 0;
+  a.forEach((value, index) => {
+    product += (value - meanA) * (b[index] - meanB);
+    squaresA += (value - meanA) ** 2;
+    squaresB += (b[index] - meanB) ** 2;
+  });
+  return squaresA === 0 || squaresB === 0 ? 0 : product / Math.sqrt(squaresA * squaresB);
+}
+
+// Function to estimate the key implied by the notes
+// Every major and minor key is scored by how well the sounding time per pitch
+// class matches its key profile; returns {fifths, mode}, where fifths is the
+// key signature (a minor key shares its relative major's)
+function estimateKey(tracks) {
+  const weights = new Array(12).fill(0);
+  tracks.forEach(track => track.notes
+    .filter(note => !note.mute)
+    .forEach(note => { weights[((note.pitch % 12) + 12) % 12] += note.duration; }));
+
+  let best = { tonic: 0, mode: "major", score: -Infinity };
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const rotated = weights.map((_, degree) => weights[(tonic + degree) % 12]);
+    Object.entries(KEY_PROFILES).forEach(([mode, profile]) => {
+      const score = correlate(rotated, profile);
+      if (score > best.score) best = { tonic, mode, score };
+    });
+  }
+  const relativeMajor = best.mode === "minor" ? (best.tonic + 3) % 12 : best.tonic;
+  return { fifths: MAJOR_KEY_FIFTHS[relativeMajor], mode: best.mode };
+}
+
+// Function to estimate the key signature (in fifths) implied by the notes
+function estimateKeyFifths(tracks) {
+  return estimateKey(tracks).fifths;
+}
+
+// Function to spell a MIDI pitch as step, alter and octave for a key
+// Each pitch class takes the one spelling that lies in a window of twelve
+// fifths around the key: the scale degrees as the signature spells them, and
+// the chromatic ones as their usual alterations (Bb and Ab in C major, G# and
+// D# in A minor). Double sharps and flats fall back to the plain enharmonic.
+function spellPitch(pitch, fifths, mode = "major") {
+  const pitchClass = ((pitch % 12) + 12) % 12;
+  const lowest = fifths - (mode === "minor" ? 2 : 4);
+  let position = lowest;
+  while (((position * 7) % 12 + 12) % 12 !== pitchClass) position++;
+
+  let step = FIFTHS_STEPS[(((position + 1) % 7) + 7) % 7];
+  let alter = Math.floor((position + 1) / 7);
+  if (Math.abs(alter) > 1) [step, alter] = (alter > 0 ? SHARP_SPELLINGS : FLAT_SPELLINGS)[pitchClass];
+
+  // B# belongs to the octave below its pitch, Cb to the one above
+  const natural = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 }[step];
+  return { step, alter, octave: (pitch - alter - natural) / 12 - 1 };
+}
+
+// Function to group notes into chords and assign the chords to voices
+// Notes sharing onset and release form a chord; a chord goes to the first
+// voice that is free by its onset
+function buildVoices(notes, divisionsPerBeat) {
+  const chords = new Map();
+  notes
+    .filter(note => !note.mute)
+    .forEach(note => {
+      const start = Math.round(note.start_time * divisionsPerBeat);
+      const end = Math.max(start + 1, Math.round((note.start_time + note.duration) * divisionsPerBeat));
+      const key = `${start}/${end}`;
+      if (!chords.has(key)) chords.set(key, { start, end, pitches: [], velocity: 0 });
+      const chord = chords.get(key);
+      if (!chord.pitches.includes(note.pitch)) chord.pitches.push(note.pitch);
+      chord.velocity = Math.max(chord.velocity, note.velocity);
+    });
+
+  const voices = [];
+  [...chords.values()]
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .forEach(chord => {
+      chord.pitches.sort((a, b) => a - b);
+      let voice = voices.find(candidate => candidate.end <= chord.start);
+      if (!voice) {
+        voice = { end: 0, chords: [] };
+        voices.push(voice);
+      }
+      voice.chords.push(chord);
+      voice.end = chord.end;
+    });
+  return voices;
+}
+
+// Function to split a length into notated values, longest first
+function splitIntoValues(length) {
+  const values = [];
+  let remaining = length;
+  while (remaining > 0) {
+    const value = NOTE_VALUES.find(candidate => candidate.length <= remaining);
+    values.push(value);
+    remaining -= value.length;
+  }
+  return values;
+}
+
+// Function to lay one voice out as events per measure
+// Each event is a rest or chord piece with its notated value and tie flags
+function layoutVoice(voice, measureLength, measureCount) {
+  const measures = Array.from({ length: measureCount }, () => []);
+
+  // Function to add a span, cut at barlines and into notated values
+  function addSpan(start, end, chord) {
+    let position = start;
+    while (position < end) {
+      const measure = Math.floor(position / measureLength);
+      const measureEnd = Math.min(end, (measure + 1) * measureLength);
+      splitIntoValues(measureEnd - position).forEach(value => {
+        measures[measure].push({
+          chord,
+          value,
+          tieStop: Boolean(chord) && position > start,
+          tieStart: Boolean(chord) && position + value.length < end
+        });
+        position += value.length;
+      });
+    }
+  }
+
+  let cursor = 0;
+  voice.chords.forEach(chord => {
+    if (chord.start > cursor) addSpan(cursor, chord.start, null);
+    addSpan(chord.start, chord.end, chord);
+    cursor = chord.end;
+  });
+  if (cursor < measureCount * measureLength) addSpan(cursor, measureCount * measureLength, null);
+  return measures;
+}
+
+// Function to write one rest or chord event as <note> elements
+function noteXml(event, voiceNumber, key) {
+  const { value, chord } = event;
+  const dots = "<dot/>".repeat(value.dots);
+  if (!chord) {
+    return `<note><rest/><duration>${value.length}</duration><voice>${voiceNumber}</voice>` +
+      `<type>${value.type}</type>${dots}</note>`;
+  }
+  return chord.pitches.map((pitch, index) => {
+    const { step, alter, octave } = spellPitch(pitch, key.fifths, key.mode);
+    const ties = (event.tieStop ? '<tie type="stop"/>' : "") + (event.tieStart ? '<tie type="start"/>' : "");
+    const tied = (event.tieStop ? '<tied type="stop"/>' : "") + (event.tieStart ? '<tied type="start"/>' : "");
+    // Velocity as a percentage of forte (velocity 90), on the attack only
+    const dynamics = event.tieStop ? "" : ` dynamics="${((chord.velocity / 90) * 100).toFixed(2)}"`;
+    return `<note${dynamics}>${index > 0 ? "<chord/>" : ""}` +
+      `<pitch><step>${step}</step>${alter ? `<alter>${alter}</alter>` : ""}<octave>${octave}</octave></pitch>` +
+      `<duration>${value.length}</duration>${ties}<voice>${voiceNumber}</voice>` +
+      `<type>${value.type}</type>${dots}${tied ? `<notations>${tied}</notations>` : ""}</note>`;
+  }).join("");
+}
+
+// Function to pick a clef from the middle of a part's register
+function chooseClef(notes) {
+  const pitches = notes.filter(note => !note.mute).map(note => note.pitch).sort((a, b) => a - b);
+  const median = pitches.length > 0 ? pitches[Math.floor(pitches.length / 2)] : 60;
+  return median < 57 ? { sign: "F", line: 4 } : { sign: "G", line: 2 };
+}
+
+// Function to write the measures of one part
+function partXml(track, partIndex, context) {
+  const { measureLength, measureCount, key, composition } = context;
+  const voices = buildVoices(track.notes, DIVISIONS).map(voice => layoutVoice(voice, measureLength, measureCount));
+  if (voices.length === 0) voices.push(layoutVoice({ chords: [] }, measureLength, measureCount));
+  const clef = chooseClef(track.notes);
+  const measures = [];
+
+  for (let measure = 0; measure < measureCount; measure++) {
+    let xml = `<measure number="${measure + 1}">`;
+    if (measure === 0) {
+      xml += `<attributes><divisions>${DIVISIONS}</divisions>` +
+        `<key><fifths>${key.fifths}</fifths><mode>${key.mode}</mode></key>` +
+        `<time><beats>${BEATS_PER_MEASURE}</beats><beat-type>4</beat-type></time>` +
+        `<clef><sign>${clef.sign}</sign><line>${clef.line}</line></clef></attributes>`;
+      if (partIndex === 0) {
+        xml += '<direction placement="above"><direction-type><metronome><beat-unit>quarter</beat-unit>' +
+          `<per-minute>${composition.tempo}</per-minute></metronome></direction-type>` +
+          `<sound tempo="${composition.tempo}"/></direction>`;
+      }
+    }
+
+    // Rehearsal marks for the sections starting in this measure, on the top part
+    if (partIndex === 0) {
+      composition.sections
+        .filter(section => Math.floor((section.start * DIVISIONS) / measureLength) === measure)
+        .forEach(section => {
+          const offset = section.start * DIVISIONS - measure * measureLength;
+          xml += '<direction placement="above"><direction-type>' +
+            `<rehearsal>${escapeXml(section.name)}</rehearsal></direction-type>` +
+            `${offset > 0 ? `<offset>${offset}</offset>` : ""}</direction>`;
+        });
+    }
+
+    voices.forEach((voice, voiceIndex) => {
+      if (voiceIndex > 0) {
+        // Skip voices with nothing but rests in this measure
+        if (voice[measure].every(event => !event.chord)) return;
+        xml += `<backup><duration>${measureLength}</duration></backup>`;
+      }
+      xml += voice[measure].map(event => noteXml(event, voiceIndex + 1, key)).join("");
+    });
+
+    measures.push(`${xml}</measure>`);
+  }
+
+  return `<part id="P${partIndex + 1}">\n${measures.join("\n")}\n</part>`;
+}
+
+// Function to build a MusicXML score from a resolved composition
+//
+// options:
+// - key: {fifths, mode} to write and spell for (default: estimated from the notes)
+function buildMusicXml(composition, { key = estimateKey(composition.tracks) } = {}) {
+  const measureLength = BEATS_PER_MEASURE * DIVISIONS;
+  const lastEnd = Math.max(
+    composition.form.totalLength,
+    ...composition.tracks.flatMap(track => track.notes.map(note => note.start_time + note.duration))
+  );
+  const measureCount = Math.ceil(Math.round(lastEnd * DIVISIONS) / measureLength);
+  const context = { measureLength, measureCount, key, composition };
+
+  const partList = composition.tracks.map((track, index) => {
+    const id = `P${index + 1}`;
+    const instrument = escapeXml(track.instrumentName || track.name);
+    const program = track.gmProgram === undefined ? "" : `<midi-program>${track.gmProgram + 1}</midi-program>`;
+    return `<score-part id="${id}"><part-name>${escapeXml(track.name)}</part-name>` +
+      `<score-instrument id="${id}-I1"><instrument-name>${instrument}</instrument-name></score-instrument>` +
+      `<midi-instrument id="${id}-I1"><midi-channel>${index < 9 ? index + 1 : index + 2}</midi-channel>` +
+      `${program}</midi-instrument></score-part>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" ' +
+      '"http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="4.0">',
+    `<work><work-title>${escapeXml(composition.title)}</work-title></work>`,
+    `<part-list>\n${partList.join("\n")}\n</part-list>`,
+    ...composition.tracks.map((track, index) => partXml(track, index, context)),
+    "</score-partwise>",
+    ""
+  ].join("\n");
+}
+
+// Function to write a resolved composition as a MusicXML file
+function writeCompositionMusicXml(composition, filePath, options = {}) {
+  fs.writeFileSync(filePath, buildMusicXml(composition, options));
+}
+
+module.exports = {
+  estimateKey,
+  estimateKeyFifths,
+  spellPitch,
+  buildMusicXml,
+  writeCompositionMusicXml
+};
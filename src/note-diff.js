@@ -0,0 +1,255 @@
+/**
+ * Note-level diff
+ *
+ * Compares two versions of a composition note by note, so a change to a
+ * get*Notes function or a spec can be reviewed for what it does musically
+ * rather than only by listening. Notes are aligned per track and section in
+ * passes, from the closest match to the loosest:
+ *
+ * 1. same pitch, onset and duration: unchanged, or re-velocitied
+ * 2. same pitch and onset: re-timed (its duration changed)
+ * 3. same onset and duration: re-pitched, pairing the nearest pitches
+ * 4. same pitch, onset moved by at most maxShift beats: re-timed
+ *
+ * Notes left over are removed (only in the first version) or added (only in
+ * the second). A pair can change in more than one way, e.g. re-timed and
+ * re-velocitied; muting or unmuting a note counts as a velocity change.
+ */
+
+// Beats an onset may move and still be matched as the same note
+const DEFAULT_MAX_SHIFT = 1;
+
+const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+// Function to name a MIDI pitch (60 is C4)
+function pitchName(pitch) {
+  return `${NOTE_NAMES[((pitch % 12) + 12) % 12]}${Math.floor(pitch / 12) - 1}`;
+}
+
+// Function to compare times without floating-point noise
+function sameTime(x, y) {
+  return Math.abs(x - y) < 1e-6;
+}
+
+// Function to format a beat compactly
+function formatBeat(beat) {
+  return String(Number(beat.toFixed(3)));
+}
+
+// Function to describe a composition version as {title, sections, tracks}
+// Takes a resolved composition (tracks with sectionNotes) or its JSON export
+// (tracks with sections holding the notes), as written by `export --format json`.
+function compositionVersion(composition) {
+  const sectionNames = (composition.sections || composition.form.sections).map(section => section.name);
+  return {
+    title: composition.title,
+    sections: sectionNames,
+    tracks: composition.tracks.map(track => ({
+      name: track.name,
+      sectionNotes: track.sectionNotes || track.sections
+    }))
+  };
+}
+
+// Function to tell whether a JSON document is a composition export rather than a spec
+function isCompositionExport(document) {
+  return Boolean(document && Array.isArray(document.tracks) && document.tracks.length > 0 &&
+    document.tracks.every(track => track.sections &&
+      Object.values(track.sections).every(notes => Array.isArray(notes))));
+}
+
+// Function to list what changed between two aligned notes
+function noteChanges(before, after) {
+  const changes = [];
+  if (before.pitch !== after.pitch) changes.push("pitch");
+  if (!sameTime(before.start_time, after.start_time) || !sameTime(before.duration, after.duration)) {
+    changes.push("timing");
+  }
+  if (before.velocity !== after.velocity || Boolean(before.mute) !== Boolean(after.mute)) {
+    changes.push("velocity");
+  }
+  return changes;
+}
+
+// Function to align the notes of one track section
+// Returns {unchanged, added, removed, changed: [{before, after, changes}]}
+function diffNotes(beforeNotes, afterNotes, { maxShift = DEFAULT_MAX_SHIFT } = {}) {
+  const removed = [...beforeNotes];
+  const added = [...afterNotes];
+  const pairs = [];
+
+  // Function to pair the notes left over that a pass accepts, closest first
+  const matchPass = (accepts, distance) => {
+    const candidates = [];
+    removed.forEach((before, beforeIndex) => {
+      added.forEach((after, afterIndex) => {
+        if (accepts(before, after)) {
+          candidates.push({ beforeIndex, afterIndex, distance: distance(before, after) });
+        }
+      });
+    });
+    candidates.sort((x, y) => x.distance - y.distance || x.beforeIndex - y.beforeIndex || x.afterIndex - y.afterIndex);
+    const usedBefore = new Set();
+    const usedAfter = new Set();
+    candidates.forEach(({ beforeIndex, afterIndex }) => {
+      if (usedBefore.has(beforeIndex) || usedAfter.has(afterIndex)) return;
+      usedBefore.add(beforeIndex);
+      usedAfter.add(afterIndex);
+      pairs.push({ before: removed[beforeIndex], after: added[afterIndex] });
+    });
+    [...usedBefore].sort((x, y) => y - x).forEach(index => removed.splice(index, 1));
+    [...usedAfter].sort((x, y) => y - x).forEach(index => added.splice(index, 1));
+  };
+
+  matchPass(
+    (x, y) => x.pitch === y.pitch && sameTime(x.start_time, y.start_time) && sameTime(x.duration, y.duration),
+    (x, y) => Math.abs(x.velocity - y.velocity)
+  );
+  matchPass(
+    (x, y) => x.pitch === y.pitch && sameTime(x.start_time, y.start_time),
+    (x, y) => Math.abs(x.duration - y.duration)
+  );
+  matchPass(
+    (x, y) => sameTime(x.start_time, y.start_time) && sameTime(x.duration, y.duration),
+    (x, y) => Math.abs(x.pitch - y.pitch)
+  );
+  matchPass(
+    (x, y) => x.pitch === y.pitch && Math.abs(x.start_time - y.start_time) <= maxShift,
+    (x, y) => Math.abs(x.start_time - y.start_time)
+  );
+
+  const byTime = (x, y) => x.start_time - y.start_time || x.pitch - y.pitch;
+  const changed = pairs
+    .map(pair => ({ ...pair, changes: noteChanges(pair.before, pair.after) }))
+    .filter(pair => pair.changes.length > 0)
+    .sort((x, y) => byTime(x.before, y.before));
+  return {
+    unchanged: pairs.length - changed.length,
+    added: added.sort(byTime),
+    removed: removed.sort(byTime),
+    changed
+  };
+}
+
+// Function to count the differences of one or more section diffs
+function summarize(diffs) {
+  const count = change => diffs.reduce((sum, diff) => sum + diff.changed.filter(pair => pair.changes.includes(change)).length, 0);
+  return {
+    unchanged: diffs.reduce((sum, diff) => sum + diff.unchanged, 0),
+    added: diffs.reduce((sum, diff) => sum + diff.added.length, 0),
+    removed: diffs.reduce((sum, diff) => sum + diff.removed.length, 0),
+    repitched: count("pitch"),
+    retimed: count("timing"),
+    revelocitied: count("velocity")
+  };
+}
+
+// Function to diff two composition versions per track and section
+//
+// Tracks are matched by name, sections by name; a track or section found in
+// only one version has all its notes added or removed. Returns
+// {before, after, identical, summary, tracks: [{name, status, summary, sections}]},
+// status being "added", "removed", "changed" or "unchanged", and every
+// section holding {name, summary, added, removed, changed}.
+function diffCompositions(beforeComposition, afterComposition, options = {}) {
+  const before = compositionVersion(beforeComposition);
+  const after = compositionVersion(afterComposition);
+  const sectionNames = [...before.sections, ...after.sections.filter(name => !before.sections.includes(name))];
+  const trackNames = [
+    ...before.tracks.map(track => track.name),
+    ...after.tracks.map(track => track.name).filter(name => !before.tracks.some(track => track.name === name))
+  ];
+
+  const tracks = trackNames.map(name => {
+    const beforeTrack = before.tracks.find(track => track.name === name);
+    const afterTrack = after.tracks.find(track => track.name === name);
+    const sections = sectionNames.map(sectionName => {
+      const diff = diffNotes(
+        (beforeTrack && beforeTrack.sectionNotes[sectionName]) || [],
+        (afterTrack && afterTrack.sectionNotes[sectionName]) || [],
+        options
+      );
+      return { name: sectionName, summary: summarize([diff]), ...diff };
+    });
+    const summary = summarize(sections);
+    const differs = summary.added + summary.removed + sections.reduce((sum, section) => sum + section.changed.length, 0) > 0;
+    return {
+      name,
+      status: !beforeTrack ? "added" : !afterTrack ? "removed" : differs ? "changed" : "unchanged",
+      summary,
+      sections
+    };
+  });
+
+  const summary = summarize(tracks.flatMap(track => track.sections));
+  return {
+    before: before.title,
+    after: after.title,
+    identical: tracks.every(track => track.status === "unchanged"),
+    summary,
+    tracks
+  };
+}
+
+// Function to describe one note for the text diff
+function formatNote(note) {
+  return `${pitchName(note.pitch)} (${note.pitch}) for ${formatBeat(note.duration)}, velocity ${note.velocity}${note.mute ? ", muted" : ""}`;
+}
+
+// Function to describe what changed between two aligned notes
+function formatChange({ before, after, changes }) {
+  const parts = [];
+  if (changes.includes("pitch")) {
+    parts.push(`${pitchName(before.pitch)} -> ${pitchName(after.pitch)} (${after.pitch - before.pitch > 0 ? "+" : ""}${after.pitch - before.pitch})`);
+  }
+  if (changes.includes("timing")) {
+    if (!sameTime(before.start_time, after.start_time)) {
+      parts.push(`onset ${formatBeat(before.start_time)} -> ${formatBeat(after.start_time)}`);
+    }
+    if (!sameTime(before.duration, after.duration)) {
+      parts.push(`duration ${formatBeat(before.duration)} -> ${formatBeat(after.duration)}`);
+    }
+  }
+  if (changes.includes("velocity")) {
+    const describe = note => `${note.velocity}${note.mute ? " muted" : ""}`;
+    parts.push(`velocity ${describe(before)} -> ${describe(after)}`);
+  }
+  return `${pitchName(before.pitch)} (${before.pitch}): ${parts.join(", ")}`;
+}
+
+// Function to describe a summary in one line
+function formatSummary(summary) {
+  return `${summary.added} added, ${summary.removed} removed, ${summary.repitched} re-pitched, ` +
+    `${summary.retimed} re-timed, ${summary.revelocitied} re-velocitied, ${summary.unchanged} unchanged`;
+}
+
+// Function to describe a composition diff as text, every changed note by beat
+function formatDiff(diff, { labels = ["before", "after"] } = {}) {
+  const lines = [`--- ${labels[0]}: ${diff.before}`, `+++ ${labels[1]}: ${diff.after}`];
+  diff.tracks.filter(track => track.status !== "unchanged").forEach(track => {
+    lines.push("", `${track.name}${track.status === "changed" ? "" : ` (${track.status})`}: ${formatSummary(track.summary)}`);
+    track.sections
+      .filter(section => section.added.length + section.removed.length + section.changed.length > 0)
+      .forEach(section => {
+        lines.push(`  ${section.name}: ${formatSummary(section.summary)}`);
+        const entries = [
+          ...section.removed.map(note => ({ beat: note.start_time, order: 0, text: `- beat ${formatBeat(note.start_time)}  ${formatNote(note)}` })),
+          ...section.added.map(note => ({ beat: note.start_time, order: 1, text: `+ beat ${formatBeat(note.start_time)}  ${formatNote(note)}` })),
+          ...section.changed.map(pair => ({ beat: pair.before.start_time, order: 2, text: `~ beat ${formatBeat(pair.before.start_time)}  ${formatChange(pair)}` }))
+        ];
+        entries
+          .sort((x, y) => x.beat - y.beat || x.order - y.order)
+          .forEach(entry => lines.push(`    ${entry.text}`));
+      });
+  });
+  lines.push("", diff.identical ? "No musical changes" : `Total: ${formatSummary(diff.summary)}`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  DEFAULT_MAX_SHIFT,
+  isCompositionExport,
+  diffNotes,
+  diffCompositions,
+  formatDiff
+};
@@ -0,0 +1,22 @@
+/**
+ * Note helpers
+ *
+ * Small helpers over {pitch, start_time, duration, velocity, mute} note arrays
+ * and their times, shared by the generators, transformations and importers.
+ */
+
+// Function to round a value to the nearest multiple of a grid step
+// (no grid leaves it as it is)
+function quantize(value, grid) {
+  return grid > 0 ? Math.round(value / grid) * grid : value;
+}
+
+// Function to sort notes in place by onset, then by pitch
+function sortNotes(notes) {
+  return notes.sort((x, y) => x.start_time - y.start_time || x.pitch - y.pitch);
+}
+
+module.exports = {
+  quantize,
+  sortNotes
+};
@@ -0,0 +1,120 @@
+/**
+ * Open Sound Control messages over UDP
+ *
+ * Encodes and decodes OSC 1.0 messages with int32 (i), float32 (f) and string
+ * (s) arguments, the types SuperCollider, Max/MSP, TouchDesigner and most
+ * visualizers read, and listens for them on a local UDP port so the OSC
+ * backend (backends/osc.js) can be checked without a synth.
+ *
+ * Arguments are given as numbers or strings; whole numbers are sent as int32
+ * unless wrapped as { type: "f", value } to force a float.
+ */
+
+const dgram = require("dgram");
+
+// Function to encode a string as an OSC string: null-terminated, padded to 4 bytes
+function encodeOscString(text) {
+  const bytes = Buffer.from(`${text}\0`, "utf8");
+  return Buffer.concat([bytes, Buffer.alloc((4 - (bytes.length % 4)) % 4)]);
+}
+
+// Function to read an OSC string at an offset
+// Returns {value, offset} with the offset past its padding
+function decodeOscString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  if (end < 0) throw new Error(`Unterminated OSC string at byte ${offset}`);
+  return { value: buffer.toString("utf8", offset, end), offset: end + 1 + ((4 - ((end + 1) % 4)) % 4) };
+}
+
+// Function to give an argument its OSC type tag and value
+function typeArgument(arg) {
+  if (arg !== null && typeof arg === "object") return arg;
+  if (typeof arg === "string") return { type: "s", value: arg };
+  if (typeof arg === "number") return { type: Number.isInteger(arg) ? "i" : "f", value: arg };
+  throw new Error(`Unsupported OSC argument ${JSON.stringify(arg)} (expected a number or a string)`);
+}
+
+// Function to encode an OSC message
+function encodeOscMessage(address, args = []) {
+  if (!address.startsWith("/")) {
+    throw new Error(`OSC addresses start with "/", got "${address}"`);
+  }
+  const typed = args.map(typeArgument);
+  const data = typed.map(({ type, value }) => {
+    if (type === "s") return encodeOscString(value);
+    const bytes = Buffer.alloc(4);
+    if (type === "i") {
+      bytes.writeInt32BE(Math.round(value));
+    } else if (type === "f") {
+      bytes.writeFloatBE(value);
+    } else {
+      throw new Error(`Unknown OSC type tag "${type}" (expected i, f, s)`);
+    }
+    return bytes;
+  });
+  return Buffer.concat([
+    encodeOscString(address),
+    encodeOscString(`,${typed.map(arg => arg.type).join("")}`),
+    ...data
+  ]);
+}
+
+// Function to decode an OSC message into {address, args}
+function decodeOscMessage(buffer) {
+  const address = decodeOscString(buffer, 0);
+  if (!address.value.startsWith("/")) {
+    throw new Error(`Not an OSC message (address "${address.value}")`);
+  }
+  if (address.offset >= buffer.length) return { address: address.value, args: [] };
+  const tags = decodeOscString(buffer, address.offset);
+  let offset = tags.offset;
+  const args = [...tags.value.replace(/^,/, "")].map(type => {
+    if (type === "s") {
+      const text = decodeOscString(buffer, offset);
+      offset = text.offset;
+      return text.value;
+    }
+    if (type === "i" || type === "f") {
+      const value = type === "i" ? buffer.readInt32BE(offset) : buffer.readFloatBE(offset);
+      offset += 4;
+      return value;
+    }
+    throw new Error(`Unsupported OSC type tag "${type}" in ${address.value}`);
+  });
+  return { address: address.value, args };
+}
+
+// Function to listen for OSC messages on a local UDP port
+// Calls onMessage({address, args}, sender) for every message received and
+// onError(error, sender) for packets that are not OSC messages. A socket error,
+// such as the port being in use (EADDRINUSE), closes the socket and is passed
+// to onError without a sender.
+// Returns the socket; close() stops listening.
+function createOscListener({ port, host = "127.0.0.1", onMessage, onError, onListening = () => {} }) {
+  if (typeof onError !== "function") {
+    throw new Error("An OSC listener needs onError to report socket errors such as a port in use");
+  }
+  const socket = dgram.createSocket("udp4");
+  socket.on("error", error => {
+    socket.close();
+    onError(error, null);
+  });
+  socket.on("message", (packet, sender) => {
+    let message;
+    try {
+      message = decodeOscMessage(packet);
+    } catch (error) {
+      onError(error, sender);
+      return;
+    }
+    onMessage(message, sender);
+  });
+  socket.bind(port, host, () => onListening(socket.address()));
+  return socket;
+}
+
+module.exports = {
+  encodeOscMessage,
+  decodeOscMessage,
+  createOscListener
+};
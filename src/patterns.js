@@ -0,0 +1,712 @@
+/**
+ * Spiral Galaxy as Bach's Canon - Note Patterns
+ *
+ * The hand-written note patterns of the original composition, one function per
+ * track and section, in Ableton MCP note format. Each section's pattern is
+ * written over 32 beats starting at beat 0; the composition engine places it
+ * in the form.
+ *
+ * Composition specs refer to these patterns by name through PATTERNS.
+ */
+
+// ======= NOTE PATTERN DEFINITIONS =======
+// These functions contain the exact note patterns from the original composition
+// to maintain Bach's canonical structure, while allowing for code optimization
+
+// --- GALACTIC CORE (PIANO) NOTE PATTERNS ---
+
+// Exposition section for Galactic Core
+function getGalacticCoreExpositionNotes() {
+  return [
+    {"mute": false, "pitch": 60, "duration": 2, "velocity": 90, "start_time": 0},
+    {"mute": false, "pitch": 64, "duration": 2, "velocity": 75, "start_time": 1},
+    {"mute": false, "pitch": 67, "duration": 2, "velocity": 80, "start_time": 2},
+    {"mute": false, "pitch": 72, "duration": 1, "velocity": 70, "start_time": 3},
+    {"mute": false, "pitch": 67, "duration": 2, "velocity": 85, "start_time": 4},
+    {"mute": false, "pitch": 64, "duration": 2, "velocity": 75, "start_time": 5},
+    {"mute": false, "pitch": 60, "duration": 2, "velocity": 83, "start_time": 6},
+    {"mute": false, "pitch": 62, "duration": 2, "velocity": 88, "start_time": 8},
+    {"mute": false, "pitch": 65, "duration": 2, "velocity": 75, "start_time": 9},
+    {"mute": false, "pitch": 69, "duration": 2, "velocity": 80, "start_time": 10},
+    {"mute": false, "pitch": 74, "duration": 1, "velocity": 70, "start_time": 11},
+    {"mute": false, "pitch": 69, "duration": 2, "velocity": 85, "start_time": 12},
+    {"mute": false, "pitch": 65, "duration": 2, "velocity": 75, "start_time": 13},
+    {"mute": false, "pitch": 62, "duration": 2, "velocity": 83, "start_time": 14},
+    {"mute": false, "pitch": 64, "duration": 2, "velocity": 90, "start_time": 16},
+    {"mute": false, "pitch": 67, "duration": 2, "velocity": 75, "start_time": 17},
+    {"mute": false, "pitch": 71, "duration": 2, "velocity": 80, "start_time": 18},
+    {"mute": false, "pitch": 76, "duration": 1, "velocity": 70, "start_time": 19},
+    {"mute": false, "pitch": 71, "duration": 2, "velocity": 85, "start_time": 20},
+    {"mute": false, "pitch": 67, "duration": 2, "velocity": 75, "start_time": 21},
+    {"mute": false, "pitch": 64, "duration": 2, "velocity": 83, "start_time": 22},
+    {"mute": false, "pitch": 60, "duration": 2, "velocity": 95, "start_time": 24},
+    {"mute": false, "pitch": 64, "duration": 2, "velocity": 80, "start_time": 25},
+    {"mute": false, "pitch": 67, "duration": 2, "velocity": 85, "start_time": 26},
+    {"mute": false, "pitch": 72, "duration": 1, "velocity": 75, "start_time": 27},
+    {"mute": false, "pitch": 76, "duration": 2, "velocity": 90, "start_time": 28},
+    {"mute": false, "pitch": 72, "duration": 2, "velocity": 80, "start_time": 29},
+    {"mute": false, "pitch": 67, "duration": 2, "velocity": 88, "start_time": 30}
+  ];
+}
+
+// Development section for Galactic Core
+function getGalacticCoreDevelopmentNotes() {
+  return [
+    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 90, "start_time": 0},
+    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 80, "start_time": 0.5},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 85, "start_time": 1},
+    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 75, "start_time": 1.5},
+    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 90, "start_time": 2},
+    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 80, "start_time": 2.5},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 85, "start_time": 3},
+    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 75, "start_time": 3.5},
+    {"mute": false, "pitch": 62, "duration": 0.5, "velocity": 90, "start_time": 4},
+    {"mute": false, "pitch": 69, "duration": 0.5, "velocity": 80, "start_time": 4.5},
+    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 85, "start_time": 5},
+    {"mute": false, "pitch": 69, "duration": 0.5, "velocity": 75, "start_time": 5.5},
+    {"mute": false, "pitch": 62, "duration": 0.5, "velocity": 90, "start_time": 6},
+    {"mute": false, "pitch": 69, "duration": 0.5, "velocity": 80, "start_time": 6.5},
+    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 85, "start_time": 7},
+    {"mute": false, "pitch": 69, "duration": 0.5, "velocity": 75, "start_time": 7.5},
+    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 90, "start_time": 8},
+    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 80, "start_time": 8.5},
+    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 85, "start_time": 9},
+    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 75, "start_time": 9.5},
+    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 90, "start_time": 10},
+    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 80, "start_time": 10.5},
+    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 85, "start_time": 11},
+    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 75, "start_time": 11.5},
+    {"mute": false, "pitch": 65, "duration": 0.5, "velocity": 90, "start_time": 12},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 80, "start_time": 12.5},
+    {"mute": false, "pitch": 77, "duration": 0.5, "velocity": 85, "start_time": 13},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 75, "start_time": 13.5},
+    {"mute": false, "pitch": 65, "duration": 0.5, "velocity": 90, "start_time": 14},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 80, "start_time": 14.5},
+    {"mute": false, "pitch": 77, "duration": 0.5, "velocity": 85, "start_time": 15},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 75, "start_time": 15.5},
+    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 95, "start_time": 16},
+    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 85, "start_time": 16.5},
+    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 90, "start_time": 17},
+    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 80, "start_time": 17.5},
+    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 95, "start_time": 18},
+    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 85, "start_time": 18.5},
+    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 90, "start_time": 19},
+    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 80, "start_time": 19.5},
+    {"mute": false, "pitch": 65, "duration": 0.5, "velocity": 90, "start_time": 20},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 80, "start_time": 20.5},
+    {"mute": false, "pitch": 77, "duration": 0.5, "velocity": 85, "start_time": 21},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 75, "start_time": 21.5},
+    {"mute": false, "pitch": 65, "duration": 0.5, "velocity": 90, "start_time": 22},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 80, "start_time": 22.5},
+    {"mute": false, "pitch": 77, "duration": 0.5, "velocity": 85, "start_time": 23},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 75, "start_time": 23.5},
+    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 95, "start_time": 24},
+    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 85, "start_time": 24.5},
+    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 90, "start_time": 25},
+    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 80, "start_time": 25.5},
+    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 95, "start_time": 26},
+    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 85, "start_time": 26.5},
+    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 90, "start_time": 27},
+    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 80, "start_time": 27.5},
+    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 100, "start_time": 28},
+    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 90, "start_time": 28.5},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 95, "start_time": 29},
+    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 85, "start_time": 29.5},
+    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 100, "start_time": 30},
+    {"mute": false, "pitch": 84, "duration": 1.5, "velocity": 90, "start_time": 30.5}
+  ];
+}
+
+// Culmination section for Galactic Core
+function getGalacticCoreCulminationNotes() {
+  return [
+    {"mute": false, "pitch": 48, "duration": 4, "velocity": 100, "start_time": 0},
+    {"mute": false, "pitch": 55, "duration": 4, "velocity": 95, "start_time": 0},
+    {"mute": false, "pitch": 60, "duration": 4, "velocity": 95, "start_time": 0},
+    {"mute": false, "pitch": 64, "duration": 4, "velocity": 95, "start_time": 0},
+    {"mute": false, "pitch": 50, "duration": 4, "velocity": 95, "start_time": 4},
+    {"mute": false, "pitch": 57, "duration": 4, "velocity": 90, "start_time": 4},
+    {"mute": false, "pitch": 62, "duration": 4, "velocity": 90, "start_time": 4},
+    {"mute": false, "pitch": 65, "duration": 4, "velocity": 90, "start_time": 4},
+    {"mute": false, "pitch": 52, "duration": 4, "velocity": 100, "start_time": 8},
+    {"mute": false, "pitch": 59, "duration": 4, "velocity": 95, "start_time": 8},
+    {"mute": false, "pitch": 64, "duration": 4, "velocity": 95, "start_time": 8},
+    {"mute": false, "pitch": 67, "duration": 4, "velocity": 95, "start_time": 8},
+    {"mute": false, "pitch": 53, "duration": 4, "velocity": 95, "start_time": 12},
+    {"mute": false, "pitch": 60, "duration": 4, "velocity": 90, "start_time": 12},
+    {"mute": false, "pitch": 65, "duration": 4, "velocity": 90, "start_time": 12},
+    {"mute": false, "pitch": 69, "duration": 4, "velocity": 90, "start_time": 12},
+    {"mute": false, "pitch": 55, "duration": 4, "velocity": 105, "start_time": 16},
+    {"mute": false, "pitch": 62, "duration": 4, "velocity": 100, "start_time": 16},
+    {"mute": false, "pitch": 67, "duration": 4, "velocity": 100, "start_time": 16},
+    {"mute": false, "pitch": 71, "duration": 4, "velocity": 100, "start_time": 16},
+    {"mute": false, "pitch": 53, "duration": 4, "velocity": 100, "start_time": 20},
+    {"mute": false, "pitch": 60, "duration": 4, "velocity": 95, "start_time": 20},
+    {"mute": false, "pitch": 65, "duration": 4, "velocity": 95, "start_time": 20},
+    {"mute": false, "pitch": 69, "duration": 4, "velocity": 95, "start_time": 20},
+    {"mute": false, "pitch": 52, "duration": 4, "velocity": 100, "start_time": 24},
+    {"mute": false, "pitch": 59, "duration": 4, "velocity": 95, "start_time": 24},
+    {"mute": false, "pitch": 64, "duration": 4, "velocity": 95, "start_time": 24},
+    {"mute": false, "pitch": 67, "duration": 4, "velocity": 95, "start_time": 24},
+    {"mute": false, "pitch": 48, "duration": 8, "velocity": 110, "start_time": 28},
+    {"mute": false, "pitch": 55, "duration": 8, "velocity": 105, "start_time": 28},
+    {"mute": false, "pitch": 60, "duration": 8, "velocity": 105, "start_time": 28},
+    {"mute": false, "pitch": 64, "duration": 8, "velocity": 105, "start_time": 28},
+    {"mute": false, "pitch": 67, "duration": 8, "velocity": 105, "start_time": 28},
+    {"mute": false, "pitch": 72, "duration": 8, "velocity": 105, "start_time": 28}
+  ];
+}
+
+// --- INNER SPIRAL (STRINGS) NOTE PATTERNS ---
+
+// Exposition section for Inner Spiral
+function getInnerSpiralExpositionNotes() {
+  return [
+    {"mute": false, "pitch": 48, "duration": 8, "velocity": 60, "start_time": 0},
+    {"mute": false, "pitch": 52, "duration": 8, "velocity": 60, "start_time": 0},
+    {"mute": false, "pitch": 55, "duration": 8, "velocity": 60, "start_time": 0},
+    {"mute": false, "pitch": 50, "duration": 8, "velocity": 65, "start_time": 8},
+    {"mute": false, "pitch": 53, "duration": 8, "velocity": 65, "start_time": 8},
+    {"mute": false, "pitch": 57, "duration": 8, "velocity": 65, "start_time": 8},
+    {"mute": false, "pitch": 52, "duration": 8, "velocity": 70, "start_time": 16},
+    {"mute": false, "pitch": 55, "duration": 8, "velocity": 70, "start_time": 16},
+    {"mute": false, "pitch": 59, "duration": 8, "velocity": 70, "start_time": 16},
+    {"mute": false, "pitch": 48, "duration": 8, "velocity": 75, "start_time": 24},
+    {"mute": false, "pitch": 55, "duration": 8, "velocity": 75, "start_time": 24},
+    {"mute": false, "pitch": 60, "duration": 8, "velocity": 75, "start_time": 24}
+  ];
+}
+
+// Development section for Inner Spiral
+function getInnerSpiralDevelopmentNotes() {
+  return [
+    {"mute": false, "pitch": 36, "duration": 4, "velocity": 70, "start_time": 0},
+    {"mute": false, "pitch": 48, "duration": 4, "velocity": 65, "start_time": 0},
+    {"mute": false, "pitch": 55, "duration": 4, "velocity": 65, "start_time": 0},
+    {"mute": false, "pitch": 38, "duration": 4, "velocity": 70, "start_time": 4},
+    {"mute": false, "pitch": 50, "duration": 4, "velocity": 65, "start_time": 4},
+    {"mute": false, "pitch": 57, "duration": 4, "velocity": 65, "start_time": 4},
+    {"mute": false, "pitch": 40, "duration": 4, "velocity": 70, "start_time": 8},
+    {"mute": false, "pitch": 52, "duration": 4, "velocity": 65, "start_time": 8},
+    {"mute": false, "pitch": 59, "duration": 4, "velocity": 65, "start_time": 8},
+    {"mute": false, "pitch": 41, "duration": 4, "velocity": 70, "start_time": 12},
+    {"mute": false, "pitch": 53, "duration": 4, "velocity": 65, "start_time": 12},
+    {"mute": false, "pitch": 60, "duration": 4, "velocity": 65, "start_time": 12},
+    {"mute": false, "pitch": 43, "duration": 4, "velocity": 75, "start_time": 16},
+    {"mute": false, "pitch": 55, "duration": 4, "velocity": 70, "start_time": 16},
+    {"mute": false, "pitch": 62, "duration": 4, "velocity": 70, "start_time": 16},
+    {"mute": false, "pitch": 41, "duration": 4, "velocity": 75, "start_time": 20},
+    {"mute": false, "pitch": 53, "duration": 4, "velocity": 70, "start_time": 20},
+    {"mute": false, "pitch": 60, "duration": 4, "velocity": 70, "start_time": 20},
+    {"mute": false, "pitch": 40, "duration": 4, "velocity": 75, "start_time": 24},
+    {"mute": false, "pitch": 52, "duration": 4, "velocity": 70, "start_time": 24},
+    {"mute": false, "pitch": 59, "duration": 4, "velocity": 70, "start_time": 24},
+    {"mute": false, "pitch": 36, "duration": 4, "velocity": 80, "start_time": 28},
+    {"mute": false, "pitch": 48, "duration": 4, "velocity": 75, "start_time": 28},
+    {"mute": false, "pitch": 55, "duration": 4, "velocity": 75, "start_time": 28},
+    {"mute": false, "pitch": 60, "duration": 4, "velocity": 75, "start_time": 28}
+  ];
+}
+
+// Culmination section for Inner Spiral
+function getInnerSpiralCulminationNotes() {
+  return [
+    {"mute": false, "pitch": 36, "duration": 8, "velocity": 80, "start_time": 0},
+    {"mute": false, "pitch": 43, "duration": 8, "velocity": 75, "start_time": 0},
+    {"mute": false, "pitch": 48, "duration": 8, "velocity": 75, "start_time": 0},
+    {"mute": false, "pitch": 38, "duration": 8, "velocity": 80, "start_time": 8},
+    {"mute": false, "pitch": 45, "duration": 8, "velocity": 75, "start_time": 8},
+    {"mute": false, "pitch": 50, "duration": 8, "velocity": 75, "start_time": 8},
+    {"mute": false, "pitch": 40, "duration": 8, "velocity": 85, "start_time": 16},
+    {"mute": false, "pitch": 47, "duration": 8, "velocity": 80, "start_time": 16},
+    {"mute": false, "pitch": 52, "duration": 8, "velocity": 80, "start_time": 16},
+    {"mute": false, "pitch": 36, "duration": 4, "velocity": 90, "start_time": 24},
+    {"mute": false, "pitch": 43, "duration": 4, "velocity": 85, "start_time": 24},
+    {"mute": false, "pitch": 48, "duration": 4, "velocity": 85, "start_time": 24},
+    {"mute": false, "pitch": 38, "duration": 2, "velocity": 90, "start_time": 28},
+    {"mute": false, "pitch": 45, "duration": 2, "velocity": 85, "start_time": 28},
+    {"mute": false, "pitch": 50, "duration": 2, "velocity": 85, "start_time": 28},
+    {"mute": false, "pitch": 36, "duration": 2, "velocity": 95, "start_time": 30},
+    {"mute": false, "pitch": 43, "duration": 2, "velocity": 90, "start_time": 30},
+    {"mute": false, "pitch": 48, "duration": 2, "velocity": 90, "start_time": 30},
+    {"mute": false, "pitch": 55, "duration": 2, "velocity": 90, "start_time": 30}
+  ];
+}
+
+// --- MIDDLE SPIRAL (TRUMPETS) NOTE PATTERNS ---
+
+// Exposition section for Middle Spiral
+function getMiddleSpiralExpositionNotes() {
+  return [
+    {"mute": false, "pitch": 67, "duration": 1, "velocity": 85, "start_time": 4},
+    {"mute": false, "pitch": 64, "duration": 1, "velocity": 80, "start_time": 6},
+    {"mute": false, "pitch": 60, "duration": 1.5, "velocity": 90, "start_time": 8},
+    {"mute": false, "pitch": 69, "duration": 1, "velocity": 85, "start_time": 12},
+    {"mute": false, "pitch": 65, "duration": 1, "velocity": 80, "start_time": 14},
+    {"mute": false, "pitch": 62, "duration": 1.5, "velocity": 90, "start_time": 16},
+    {"mute": false, "pitch": 71, "duration": 1, "velocity": 85, "start_time": 20},
+    {"mute": false, "pitch": 67, "duration": 1, "velocity": 80, "start_time": 22},
+    {"mute": false, "pitch": 64, "duration": 1.5, "velocity": 95, "start_time": 24},
+    {"mute": false, "pitch": 72, "duration": 1, "velocity": 90, "start_time": 28},
+    {"mute": false, "pitch": 67, "duration": 1, "velocity": 85, "start_time": 30}
+  ];
+}
+
+// Development section for Middle Spiral
+function getMiddleSpiralDevelopmentNotes() {
+  return [
+    {"mute": false, "pitch": 55, "duration": 2, "velocity": 85, "start_time": 0},
+    {"mute": false, "pitch": 57, "duration": 2, "velocity": 80, "start_time": 2},
+    {"mute": false, "pitch": 55, "duration": 1, "velocity": 85, "start_time": 4},
+    {"mute": false, "pitch": 60, "duration": 3, "velocity": 90, "start_time": 5},
+    {"mute": false, "pitch": 57, "duration": 2, "velocity": 85, "start_time": 8},
+    {"mute": false, "pitch": 59, "duration": 2, "velocity": 80, "start_time": 10},
+    {"mute": false, "pitch": 57, "duration": 1, "velocity": 85, "start_time": 12},
+    {"mute": false, "pitch": 62, "duration": 3, "velocity": 90, "start_time": 13},
+    {"mute": false, "pitch": 59, "duration": 2, "velocity": 85, "start_time": 16},
+    {"mute": false, "pitch": 62, "duration": 2, "velocity": 85, "start_time": 18},
+    {"mute": false, "pitch": 59, "duration": 1, "velocity": 90, "start_time": 20},
+    {"mute": false, "pitch": 64, "duration": 3, "velocity": 95, "start_time": 21},
+    {"mute": false, "pitch": 62, "duration": 1, "velocity": 90, "start_time": 24},
+    {"mute": false, "pitch": 67, "duration": 1, "velocity": 95, "start_time": 25},
+    {"mute": false, "pitch": 64, "duration": 1, "velocity": 90, "start_time": 26},
+    {"mute": false, "pitch": 60, "duration": 1, "velocity": 85, "start_time": 27},
+    {"mute": false, "pitch": 55, "duration": 0.75, "velocity": 95, "start_time": 28},
+    {"mute": false, "pitch": 60, "duration": 0.75, "velocity": 95, "start_time": 28.75},
+    {"mute": false, "pitch": 64, "duration": 0.75, "velocity": 95, "start_time": 29.5},
+    {"mute": false, "pitch": 67, "duration": 1.75, "velocity": 100, "start_time": 30.25}
+  ];
+}
+
+// Culmination section for Middle Spiral
+function getMiddleSpiralCulminationNotes() {
+  return [
+    {"mute": false, "pitch": 60, "duration": 2, "velocity": 100, "start_time": 0},
+    {"mute": false, "pitch": 64, "duration": 2, "velocity": 95, "start_time": 0},
+    {"mute": false, "pitch": 67, "duration": 2, "velocity": 95, "start_time": 0},
+    {"mute": false, "pitch": 60, "duration": 2, "velocity": 95, "start_time": 4},
+    {"mute": false, "pitch": 64, "duration": 2, "velocity": 90, "start_time": 4},
+    {"mute": false, "pitch": 67, "duration": 2, "velocity": 90, "start_time": 4},
+    {"mute": false, "pitch": 62, "duration": 2, "velocity": 100, "start_time": 8},
+    {"mute": false, "pitch": 65, "duration": 2, "velocity": 95, "start_time": 8},
+    {"mute": false, "pitch": 69, "duration": 2, "velocity": 95, "start_time": 8},
+    {"mute": false, "pitch": 62, "duration": 2, "velocity": 95, "start_time": 12},
+    {"mute": false, "pitch": 65, "duration": 2, "velocity": 90, "start_time": 12},
+    {"mute": false, "pitch": 69, "duration": 2, "velocity": 90, "start_time": 12},
+    {"mute": false, "pitch": 64, "duration": 2, "velocity": 105, "start_time": 16},
+    {"mute": false, "pitch": 67, "duration": 2, "velocity": 100, "start_time": 16},
+    {"mute": false, "pitch": 71, "duration": 2, "velocity": 100, "start_time": 16},
+    {"mute": false, "pitch": 64, "duration": 2, "velocity": 100, "start_time": 20},
+    {"mute": false, "pitch": 67, "duration": 2, "velocity": 95, "start_time": 20},
+    {"mute": false, "pitch": 71, "duration": 2, "velocity": 95, "start_time": 20},
+    {"mute": false, "pitch": 60, "duration": 1, "velocity": 105, "start_time": 24},
+    {"mute": false, "pitch": 64, "duration": 1, "velocity": 100, "start_time": 24},
+    {"mute": false, "pitch": 67, "duration": 1, "velocity": 100, "start_time": 24},
+    {"mute": false, "pitch": 60, "duration": 1, "velocity": 95, "start_time": 26},
+    {"mute": false, "pitch": 64, "duration": 1, "velocity": 90, "start_time": 26},
+    {"mute": false, "pitch": 67, "duration": 1, "velocity": 90, "start_time": 26},
+    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 110, "start_time": 28},
+    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 105, "start_time": 28},
+    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 105, "start_time": 28},
+    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 105, "start_time": 29},
+    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 100, "start_time": 29},
+    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 100, "start_time": 29},
+    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 110, "start_time": 30},
+    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 105, "start_time": 30},
+    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 105, "start_time": 30},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 105, "start_time": 30},
+    {"mute": false, "pitch": 60, "duration": 1.5, "velocity": 115, "start_time": 30.5},
+    {"mute": false, "pitch": 64, "duration": 1.5, "velocity": 110, "start_time": 30.5},
+    {"mute": false, "pitch": 67, "duration": 1.5, "velocity": 110, "start_time": 30.5},
+    {"mute": false, "pitch": 72, "duration": 1.5, "velocity": 110, "start_time": 30.5}
+  ];
+}
+
+// --- OUTER SPIRAL (WOODWINDS) NOTE PATTERNS ---
+
+// Exposition section for Outer Spiral
+function getOuterSpiralExpositionNotes() {
+  return [
+    {"mute": false, "pitch": 72, "duration": 0.25, "velocity": 75, "start_time": 1},
+    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 75, "start_time": 1.25},
+    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 75, "start_time": 1.5},
+    {"mute": false, "pitch": 84, "duration": 0.5, "velocity": 80, "start_time": 1.75},
+    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 70, "start_time": 2.25},
+    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 70, "start_time": 2.5},
+    {"mute": false, "pitch": 72, "duration": 0.25, "velocity": 70, "start_time": 2.75},
+    {"mute": false, "pitch": 74, "duration": 0.25, "velocity": 75, "start_time": 9},
+    {"mute": false, "pitch": 77, "duration": 0.25, "velocity": 75, "start_time": 9.25},
+    {"mute": false, "pitch": 81, "duration": 0.25, "velocity": 75, "start_time": 9.5},
+    {"mute": false, "pitch": 86, "duration": 0.5, "velocity": 80, "start_time": 9.75},
+    {"mute": false, "pitch": 81, "duration": 0.25, "velocity": 70, "start_time": 10.25},
+    {"mute": false, "pitch": 77, "duration": 0.25, "velocity": 70, "start_time": 10.5},
+    {"mute": false, "pitch": 74, "duration": 0.25, "velocity": 70, "start_time": 10.75},
+    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 75, "start_time": 17},
+    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 75, "start_time": 17.25},
+    {"mute": false, "pitch": 83, "duration": 0.25, "velocity": 75, "start_time": 17.5},
+    {"mute": false, "pitch": 88, "duration": 0.5, "velocity": 80, "start_time": 17.75},
+    {"mute": false, "pitch": 83, "duration": 0.25, "velocity": 70, "start_time": 18.25},
+    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 70, "start_time": 18.5},
+    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 70, "start_time": 18.75},
+    {"mute": false, "pitch": 72, "duration": 0.25, "velocity": 80, "start_time": 25},
+    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 80, "start_time": 25.25},
+    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 80, "start_time": 25.5},
+    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 85, "start_time": 25.75},
+    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 85, "start_time": 26},
+    {"mute": false, "pitch": 91, "duration": 0.5, "velocity": 90, "start_time": 26.25},
+    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 75, "start_time": 26.75},
+    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 27},
+    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 75, "start_time": 27.25},
+    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 75, "start_time": 27.5},
+    {"mute": false, "pitch": 72, "duration": 0.25, "velocity": 75, "start_time": 27.75}
+  ];
+}
+
+// Development section for Outer Spiral
+function getOuterSpiralDevelopmentNotes() {
+  return [
+    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 70, "start_time": 0.5},
+    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 0.75},
+    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 1},
+    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 1.25},
+    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 70, "start_time": 1.5},
+    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 1.75},
+    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 2},
+    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 2.25},
+    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 70, "start_time": 4.5},
+    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 4.75},
+    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 5},
+    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 5.25},
+    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 70, "start_time": 5.5},
+    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 5.75},
+    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 80, "start_time": 6},
+    {"mute": false, "pitch": 82, "duration": 0.25, "velocity": 75, "start_time": 6.25},
+    {"mute": false, "pitch": 81, "duration": 0.25, "velocity": 70, "start_time": 8.5},
+    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 75, "start_time": 8.75},
+    {"mute": false, "pitch": 90, "duration": 0.25, "velocity": 80, "start_time": 9},
+    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 75, "start_time": 9.25},
+    {"mute": false, "pitch": 81, "duration": 0.25, "velocity": 70, "start_time": 9.5},
+    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 75, "start_time": 9.75},
+    {"mute": false, "pitch": 90, "duration": 0.25, "velocity": 80, "start_time": 10},
+    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 75, "start_time": 10.25},
+    {"mute": false, "pitch": 81, "duration": 0.25, "velocity": 70, "start_time": 12.5},
+    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 75, "start_time": 12.75},
+    {"mute": false, "pitch": 90, "duration": 0.25, "velocity": 80, "start_time": 13},
+    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 75, "start_time": 13.25},
+    {"mute": false, "pitch": 81, "duration": 0.25, "velocity": 70, "start_time": 13.5},
+    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 75, "start_time": 13.75},
+    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 14},
+    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 75, "start_time": 14.25},
+    {"mute": false, "pitch": 83, "duration": 0.25, "velocity": 75, "start_time": 16.5},
+    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 16.75},
+    {"mute": false, "pitch": 91, "duration": 0.25, "velocity": 85, "start_time": 17},
+    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 17.25},
+    {"mute": false, "pitch": 83, "duration": 0.25, "velocity": 75, "start_time": 17.5},
+    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 17.75},
+    {"mute": false, "pitch": 91, "duration": 0.25, "velocity": 85, "start_time": 18},
+    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 18.25},
+    {"mute": false, "pitch": 83, "duration": 0.25, "velocity": 75, "start_time": 20.5},
+    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 20.75},
+    {"mute": false, "pitch": 91, "duration": 0.25, "velocity": 85, "start_time": 21},
+    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 21.25},
+    {"mute": false, "pitch": 83, "duration": 0.25, "velocity": 75, "start_time": 21.5},
+    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 80, "start_time": 21.75},
+    {"mute": false, "pitch": 90, "duration": 0.25, "velocity": 85, "start_time": 22},
+    {"mute": false, "pitch": 86, "duration": 0.25, "velocity": 80, "start_time": 22.25},
+    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 80, "start_time": 24.5},
+    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 85, "start_time": 24.75},
+    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 90, "start_time": 25},
+    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 85, "start_time": 25.25},
+    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 80, "start_time": 25.5},
+    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 85, "start_time": 25.75},
+    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 90, "start_time": 26},
+    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 85, "start_time": 26.25},
+    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 85, "start_time": 28.5},
+    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 90, "start_time": 28.625},
+    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 95, "start_time": 28.75},
+    {"mute": false, "pitch": 91, "duration": 0.125, "velocity": 100, "start_time": 28.875},
+    {"mute": false, "pitch": 95, "duration": 0.125, "velocity": 105, "start_time": 29},
+    {"mute": false, "pitch": 91, "duration": 0.125, "velocity": 100, "start_time": 29.125},
+    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 95, "start_time": 29.25},
+    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 90, "start_time": 29.375},
+    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 85, "start_time": 29.5},
+    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 90, "start_time": 29.625},
+    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 95, "start_time": 29.75},
+    {"mute": false, "pitch": 91, "duration": 0.125, "velocity": 100, "start_time": 29.875},
+    {"mute": false, "pitch": 95, "duration": 0.125, "velocity": 105, "start_time": 30},
+    {"mute": false, "pitch": 98, "duration": 0.125, "velocity": 110, "start_time": 30.125},
+    {"mute": false, "pitch": 96, "duration": 0.25, "velocity": 100, "start_time": 30.25},
+    {"mute": false, "pitch": 93, "duration": 0.25, "velocity": 95, "start_time": 30.5},
+    {"mute": false, "pitch": 91, "duration": 0.25, "velocity": 90, "start_time": 30.75},
+    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 85, "start_time": 31},
+    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 80, "start_time": 31.25},
+    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 75, "start_time": 31.5}
+  ];
+}
+
+// Culmination section for Outer Spiral
+function getOuterSpiralCulminationNotes() {
+  return [
+    {"mute": false, "pitch": 72, "duration": 0.125, "velocity": 90, "start_time": 0},
+    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 90, "start_time": 0.125},
+    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 90, "start_time": 0.25},
+    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 95, "start_time": 0.375},
+    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 90, "start_time": 0.5},
+    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 90, "start_time": 0.625},
+    {"mute": false, "pitch": 72, "duration": 0.125, "velocity": 90, "start_time": 0.75},
+    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 90, "start_time": 0.875},
+    {"mute": false, "pitch": 72, "duration": 0.125, "velocity": 90, "start_time": 4},
+    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 90, "start_time": 4.125},
+    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 90, "start_time": 4.25},
+    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 95, "start_time": 4.375},
+    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 90, "start_time": 4.5},
+    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 90, "start_time": 4.625},
+    {"mute": false, "pitch": 72, "duration": 0.125, "velocity": 90, "start_time": 4.75},
+    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 90, "start_time": 4.875},
+    {"mute": false, "pitch": 74, "duration": 0.125, "velocity": 90, "start_time": 8},
+    {"mute": false, "pitch": 77, "duration": 0.125, "velocity": 90, "start_time": 8.125},
+    {"mute": false, "pitch": 81, "duration": 0.125, "velocity": 90, "start_time": 8.25},
+    {"mute": false, "pitch": 86, "duration": 0.125, "velocity": 95, "start_time": 8.375},
+    {"mute": false, "pitch": 81, "duration": 0.125, "velocity": 90, "start_time": 8.5},
+    {"mute": false, "pitch": 77, "duration": 0.125, "velocity": 90, "start_time": 8.625},
+    {"mute": false, "pitch": 74, "duration": 0.125, "velocity": 90, "start_time": 8.75},
+    {"mute": false, "pitch": 77, "duration": 0.125, "velocity": 90, "start_time": 8.875},
+    {"mute": false, "pitch": 74, "duration": 0.125, "velocity": 90, "start_time": 12},
+    {"mute": false, "pitch": 77, "duration": 0.125, "velocity": 90, "start_time": 12.125},
+    {"mute": false, "pitch": 81, "duration": 0.125, "velocity": 90, "start_time": 12.25},
+    {"mute": false, "pitch": 86, "duration": 0.125, "velocity": 95, "start_time": 12.375},
+    {"mute": false, "pitch": 81, "duration": 0.125, "velocity": 90, "start_time": 12.5},
+    {"mute": false, "pitch": 77, "duration": 0.125, "velocity": 90, "start_time": 12.625},
+    {"mute": false, "pitch": 74, "duration": 0.125, "velocity": 90, "start_time": 12.75},
+    {"mute": false, "pitch": 77, "duration": 0.125, "velocity": 90, "start_time": 12.875},
+    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 95, "start_time": 16},
+    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 95, "start_time": 16.125},
+    {"mute": false, "pitch": 83, "duration": 0.125, "velocity": 95, "start_time": 16.25},
+    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 100, "start_time": 16.375},
+    {"mute": false, "pitch": 83, "duration": 0.125, "velocity": 95, "start_time": 16.5},
+    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 95, "start_time": 16.625},
+    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 95, "start_time": 16.75},
+    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 95, "start_time": 16.875},
+    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 95, "start_time": 20},
+    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 95, "start_time": 20.125},
+    {"mute": false, "pitch": 83, "duration": 0.125, "velocity": 95, "start_time": 20.25},
+    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 100, "start_time": 20.375},
+    {"mute": false, "pitch": 83, "duration": 0.125, "velocity": 95, "start_time": 20.5},
+    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 95, "start_time": 20.625},
+    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 95, "start_time": 20.75},
+    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 95, "start_time": 20.875},
+    {"mute": false, "pitch": 72, "duration": 0.125, "velocity": 100, "start_time": 24},
+    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 100, "start_time": 24.125},
+    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 100, "start_time": 24.25},
+    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 105, "start_time": 24.375},
+    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 105, "start_time": 24.5},
+    {"mute": false, "pitch": 91, "duration": 0.125, "velocity": 105, "start_time": 24.625},
+    {"mute": false, "pitch": 96, "duration": 0.125, "velocity": 110, "start_time": 24.75},
+    {"mute": false, "pitch": 91, "duration": 0.125, "velocity": 105, "start_time": 24.875},
+    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 105, "start_time": 25},
+    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 100, "start_time": 25.125},
+    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 100, "start_time": 25.25},
+    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 100, "start_time": 25.375},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 95, "start_time": 25.5},
+    {"mute": false, "pitch": 76, "duration": 1, "velocity": 110, "start_time": 28},
+    {"mute": false, "pitch": 79, "duration": 1, "velocity": 110, "start_time": 28.5},
+    {"mute": false, "pitch": 84, "duration": 1, "velocity": 115, "start_time": 29},
+    {"mute": false, "pitch": 88, "duration": 1, "velocity": 115, "start_time": 29.5},
+    {"mute": false, "pitch": 91, "duration": 1, "velocity": 120, "start_time": 30},
+    {"mute": false, "pitch": 96, "duration": 1, "velocity": 120, "start_time": 30.5},
+    {"mute": false, "pitch": 91, "duration": 0.5, "velocity": 110, "start_time": 31.5}
+  ];
+}
+
+// --- STAR CLUSTERS (VIBRAPHONE) NOTE PATTERNS ---
+
+// Exposition section for Star Clusters
+function getStarClustersExpositionNotes() {
+  return [
+    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 65, "start_time": 3.5},
+    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 65, "start_time": 3.75},
+    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 70, "start_time": 7.5},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 70, "start_time": 7.75},
+    {"mute": false, "pitch": 62, "duration": 0.5, "velocity": 65, "start_time": 11.5},
+    {"mute": false, "pitch": 65, "duration": 0.5, "velocity": 65, "start_time": 11.75},
+    {"mute": false, "pitch": 69, "duration": 0.5, "velocity": 70, "start_time": 15.5},
+    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 70, "start_time": 15.75},
+    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 65, "start_time": 19.5},
+    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 65, "start_time": 19.75},
+    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 70, "start_time": 23.5},
+    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 70, "start_time": 23.75},
+    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 75, "start_time": 27.5},
+    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 75, "start_time": 27.75},
+    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 75, "start_time": 28},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 75, "start_time": 28.25},
+    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 80, "start_time": 28.5},
+    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 80, "start_time": 28.75},
+    {"mute": false, "pitch": 84, "duration": 1, "velocity": 85, "start_time": 29}
+  ];
+}
+
+// Development section for Star Clusters
+function getStarClustersDevelopmentNotes() {
+  return [
+    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 75, "start_time": 0},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 75, "start_time": 1},
+    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 75, "start_time": 2},
+    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 75, "start_time": 3},
+    {"mute": false, "pitch": 62, "duration": 0.5, "velocity": 75, "start_time": 4},
+    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 75, "start_time": 5},
+    {"mute": false, "pitch": 69, "duration": 0.5, "velocity": 75, "start_time": 6},
+    {"mute": false, "pitch": 81, "duration": 0.5, "velocity": 75, "start_time": 7},
+    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 80, "start_time": 8},
+    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 80, "start_time": 9},
+    {"mute": false, "pitch": 71, "duration": 0.5, "velocity": 80, "start_time": 10},
+    {"mute": false, "pitch": 83, "duration": 0.5, "velocity": 80, "start_time": 11},
+    {"mute": false, "pitch": 65, "duration": 0.5, "velocity": 80, "start_time": 12},
+    {"mute": false, "pitch": 77, "duration": 0.5, "velocity": 80, "start_time": 13},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 80, "start_time": 14},
+    {"mute": false, "pitch": 84, "duration": 0.5, "velocity": 80, "start_time": 15},
+    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 85, "start_time": 16},
+    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 85, "start_time": 16.5},
+    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 85, "start_time": 17},
+    {"mute": false, "pitch": 86, "duration": 0.5, "velocity": 85, "start_time": 17.5},
+    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 85, "start_time": 18},
+    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 85, "start_time": 18.5},
+    {"mute": false, "pitch": 74, "duration": 0.5, "velocity": 85, "start_time": 19},
+    {"mute": false, "pitch": 86, "duration": 0.5, "velocity": 85, "start_time": 19.5},
+    {"mute": false, "pitch": 65, "duration": 0.5, "velocity": 85, "start_time": 20},
+    {"mute": false, "pitch": 77, "duration": 0.5, "velocity": 85, "start_time": 20.5},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 85, "start_time": 21},
+    {"mute": false, "pitch": 84, "duration": 0.5, "velocity": 85, "start_time": 21.5},
+    {"mute": false, "pitch": 65, "duration": 0.5, "velocity": 85, "start_time": 22},
+    {"mute": false, "pitch": 77, "duration": 0.5, "velocity": 85, "start_time": 22.5},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 85, "start_time": 23},
+    {"mute": false, "pitch": 84, "duration": 0.5, "velocity": 85, "start_time": 23.5},
+    {"mute": false, "pitch": 64, "duration": 0.25, "velocity": 90, "start_time": 24},
+    {"mute": false, "pitch": 67, "duration": 0.25, "velocity": 90, "start_time": 24.25},
+    {"mute": false, "pitch": 71, "duration": 0.25, "velocity": 90, "start_time": 24.5},
+    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 90, "start_time": 24.75},
+    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 90, "start_time": 25},
+    {"mute": false, "pitch": 83, "duration": 0.25, "velocity": 90, "start_time": 25.25},
+    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 90, "start_time": 25.5},
+    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 90, "start_time": 25.75},
+    {"mute": false, "pitch": 71, "duration": 0.25, "velocity": 90, "start_time": 26},
+    {"mute": false, "pitch": 67, "duration": 0.25, "velocity": 90, "start_time": 26.25},
+    {"mute": false, "pitch": 64, "duration": 0.25, "velocity": 90, "start_time": 26.5},
+    {"mute": false, "pitch": 60, "duration": 0.25, "velocity": 100, "start_time": 28},
+    {"mute": false, "pitch": 64, "duration": 0.25, "velocity": 100, "start_time": 28.25},
+    {"mute": false, "pitch": 67, "duration": 0.25, "velocity": 100, "start_time": 28.5},
+    {"mute": false, "pitch": 72, "duration": 0.25, "velocity": 100, "start_time": 28.75},
+    {"mute": false, "pitch": 76, "duration": 0.25, "velocity": 100, "start_time": 29},
+    {"mute": false, "pitch": 79, "duration": 0.25, "velocity": 100, "start_time": 29.25},
+    {"mute": false, "pitch": 84, "duration": 0.25, "velocity": 100, "start_time": 29.5},
+    {"mute": false, "pitch": 88, "duration": 0.25, "velocity": 100, "start_time": 29.75},
+    {"mute": false, "pitch": 91, "duration": 2, "velocity": 100, "start_time": 30}
+  ];
+}
+
+// Culmination section for Star Clusters
+function getStarClustersCulminationNotes() {
+  return [
+    {"mute": false, "pitch": 84, "duration": 2, "velocity": 90, "start_time": 2},
+    {"mute": false, "pitch": 88, "duration": 2, "velocity": 90, "start_time": 4},
+    {"mute": false, "pitch": 91, "duration": 2, "velocity": 90, "start_time": 6},
+    {"mute": false, "pitch": 86, "duration": 2, "velocity": 90, "start_time": 10},
+    {"mute": false, "pitch": 89, "duration": 2, "velocity": 90, "start_time": 12},
+    {"mute": false, "pitch": 93, "duration": 2, "velocity": 90, "start_time": 14},
+    {"mute": false, "pitch": 88, "duration": 2, "velocity": 95, "start_time": 18},
+    {"mute": false, "pitch": 91, "duration": 2, "velocity": 95, "start_time": 20},
+    {"mute": false, "pitch": 95, "duration": 2, "velocity": 95, "start_time": 22},
+    {"mute": false, "pitch": 60, "duration": 0.5, "velocity": 100, "start_time": 24},
+    {"mute": false, "pitch": 64, "duration": 0.5, "velocity": 100, "start_time": 24.5},
+    {"mute": false, "pitch": 67, "duration": 0.5, "velocity": 100, "start_time": 25},
+    {"mute": false, "pitch": 72, "duration": 0.5, "velocity": 100, "start_time": 25.5},
+    {"mute": false, "pitch": 76, "duration": 0.5, "velocity": 100, "start_time": 26},
+    {"mute": false, "pitch": 79, "duration": 0.5, "velocity": 100, "start_time": 26.5},
+    {"mute": false, "pitch": 84, "duration": 0.5, "velocity": 100, "start_time": 27},
+    {"mute": false, "pitch": 88, "duration": 0.5, "velocity": 100, "start_time": 27.5},
+    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 110, "start_time": 28},
+    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 110, "start_time": 28.125},
+    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 110, "start_time": 28.25},
+    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 110, "start_time": 28.375},
+    {"mute": false, "pitch": 91, "duration": 0.125, "velocity": 110, "start_time": 28.5},
+    {"mute": false, "pitch": 95, "duration": 0.125, "velocity": 110, "start_time": 28.625},
+    {"mute": false, "pitch": 96, "duration": 0.125, "velocity": 110, "start_time": 28.75},
+    {"mute": false, "pitch": 95, "duration": 0.125, "velocity": 110, "start_time": 28.875},
+    {"mute": false, "pitch": 91, "duration": 0.125, "velocity": 110, "start_time": 29},
+    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 110, "start_time": 29.125},
+    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 110, "start_time": 29.25},
+    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 110, "start_time": 29.375},
+    {"mute": false, "pitch": 76, "duration": 0.125, "velocity": 110, "start_time": 29.5},
+    {"mute": false, "pitch": 79, "duration": 0.125, "velocity": 110, "start_time": 29.625},
+    {"mute": false, "pitch": 84, "duration": 0.125, "velocity": 110, "start_time": 29.75},
+    {"mute": false, "pitch": 88, "duration": 0.125, "velocity": 110, "start_time": 29.875},
+    {"mute": false, "pitch": 84, "duration": 2, "velocity": 120, "start_time": 30},
+    {"mute": false, "pitch": 91, "duration": 2, "velocity": 120, "start_time": 30},
+    {"mute": false, "pitch": 96, "duration": 2, "velocity": 120, "start_time": 30}
+  ];
+}
+
+// --- COSMIC BACKGROUND (PAD) NOTE PATTERNS ---
+
+// Exposition section for Cosmic Background
+function getCosmicBackgroundExpositionNotes() {
+  return [
+    {"mute": false, "pitch": 36, "duration": 16, "velocity": 50, "start_time": 0},
+    {"mute": false, "pitch": 43, "duration": 16, "velocity": 45, "start_time": 0},
+    {"mute": false, "pitch": 48, "duration": 16, "velocity": 40, "start_time": 0},
+    {"mute": false, "pitch": 38, "duration": 16, "velocity": 55, "start_time": 16},
+    {"mute": false, "pitch": 45, "duration": 16, "velocity": 50, "start_time": 16},
+    {"mute": false, "pitch": 50, "duration": 16, "velocity": 45, "start_time": 16}
+  ];
+}
+
+// Development section for Cosmic Background
+function getCosmicBackgroundDevelopmentNotes() {
+  return [
+    {"mute": false, "pitch": 43, "duration": 32, "velocity": 40, "start_time": 0},
+    {"mute": false, "pitch": 55, "duration": 32, "velocity": 35, "start_time": 0},
+    {"mute": false, "pitch": 60, "duration": 16, "velocity": 30, "start_time": 0},
+    {"mute": false, "pitch": 67, "duration": 16, "velocity": 25, "start_time": 0},
+    {"mute": false, "pitch": 62, "duration": 16, "velocity": 30, "start_time": 16},
+    {"mute": false, "pitch": 69, "duration": 16, "velocity": 25, "start_time": 16}
+  ];
+}
+
+// Culmination section for Cosmic Background
+function getCosmicBackgroundCulminationNotes() {
+  return [
+    {"mute": false, "pitch": 36, "duration": 32, "velocity": 50, "start_time": 0},
+    {"mute": false, "pitch": 48, "duration": 32, "velocity": 45, "start_time": 0},
+    {"mute": false, "pitch": 55, "duration": 16, "velocity": 40, "start_time": 0},
+    {"mute": false, "pitch": 60, "duration": 16, "velocity": 35, "start_time": 0},
+    {"mute": false, "pitch": 64, "duration": 16, "velocity": 30, "start_time": 0},
+    {"mute": false, "pitch": 52, "duration": 16, "velocity": 40, "start_time": 16},
+    {"mute": false, "pitch": 57, "duration": 16, "velocity": 35, "start_time": 16},
+    {"mute": false, "pitch": 60, "duration": 16, "velocity": 30, "start_time": 16}
+  ];
+}
+
+// Patterns by name, as referenced from composition specs
+const PATTERNS = {
+  "galacticCore.exposition": getGalacticCoreExpositionNotes,
+  "galacticCore.development": getGalacticCoreDevelopmentNotes,
+  "galacticCore.culmination": getGalacticCoreCulminationNotes,
+  "innerSpiral.exposition": getInnerSpiralExpositionNotes,
+  "innerSpiral.development": getInnerSpiralDevelopmentNotes,
+  "innerSpiral.culmination": getInnerSpiralCulminationNotes,
+  "middleSpiral.exposition": getMiddleSpiralExpositionNotes,
+  "middleSpiral.development": getMiddleSpiralDevelopmentNotes,
+  "middleSpiral.culmination": getMiddleSpiralCulminationNotes,
+  "outerSpiral.exposition": getOuterSpiralExpositionNotes,
+  "outerSpiral.development": getOuterSpiralDevelopmentNotes,
+  "outerSpiral.culmination": getOuterSpiralCulminationNotes,
+  "starClusters.exposition": getStarClustersExpositionNotes,
+  "starClusters.development": getStarClustersDevelopmentNotes,
+  "starClusters.culmination": getStarClustersCulminationNotes,
+  "cosmicBackground.exposition": getCosmicBackgroundExpositionNotes,
+  "cosmicBackground.development": getCosmicBackgroundDevelopmentNotes,
+  "cosmicBackground.culmination": getCosmicBackgroundCulminationNotes
+};
+
+module.exports = {
+  PATTERNS
+};
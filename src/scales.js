@@ -0,0 +1,166 @@
+/**
+ * Scales and scale degrees
+ *
+ * Shared helpers for moving between MIDI pitches and scale degrees, used by the
+ * spiral generator and the canon transformations.
+ *
+ * Keys are written as a tonic and a scale, e.g. "D dorian", "A minor" or
+ * "C whole-tone", or with the scale as semitones from the tonic, e.g.
+ * "E 0,1,4,5,7,8,10". remapPitch() renders a pitch written in one key in
+ * another by its scale degree, so the melody moves along the new scale
+ * instead of being shifted by a constant interval.
+ */
+
+// Common scales as semitone offsets from the root
+const SCALES = {
+  chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10],
+  dorian: [0, 2, 3, 5, 7, 9, 10],
+  phrygian: [0, 1, 3, 5, 7, 8, 10],
+  lydian: [0, 2, 4, 6, 7, 9, 11],
+  mixolydian: [0, 2, 4, 5, 7, 9, 10],
+  locrian: [0, 1, 3, 5, 6, 8, 10],
+  harmonicMinor: [0, 2, 3, 5, 7, 8, 11],
+  melodicMinor: [0, 2, 3, 5, 7, 9, 11],
+  pentatonic: [0, 2, 4, 7, 9],
+  minorPentatonic: [0, 3, 5, 7, 10],
+  wholeTone: [0, 2, 4, 6, 8, 10]
+};
+
+// Other names accepted for the scales above
+const SCALE_ALIASES = {
+  ionian: "major",
+  aeolian: "minor"
+};
+
+// Pitch classes of the note names, sharps and flats spelled with # and b
+const NOTE_NAMES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Function to express a pitch as a scale degree plus a chromatic alteration
+// Degree 0 is the root; pitches outside the scale keep their distance above
+// the nearest lower degree as the alteration
+function pitchToDegree(pitch, root = 60, scale = SCALES.major) {
+  const distance = pitch - root;
+  const octave = Math.floor(distance / 12);
+  const pitchClass = distance - octave * 12;
+  let index = scale.length - 1;
+  while (index > 0 && scale[index] > pitchClass) index--;
+  return {
+    degree: octave * scale.length + index,
+    alteration: pitchClass - scale[index]
+  };
+}
+
+// Function to turn a scale degree (and optional alteration) back into a pitch
+function degreeToPitch(degree, root = 60, scale = SCALES.major, alteration = 0) {
+  const octave = Math.floor(degree / scale.length);
+  const index = degree - octave * scale.length;
+  return root + octave * 12 + scale[index] + alteration;
+}
+
+// Function to fold a pitch into a range by whole octaves
+function foldIntoRange(pitch, min, max) {
+  let folded = pitch;
+  while (folded > max && folded - 12 >= min) folded -= 12;
+  while (folded < min && folded + 12 <= max) folded += 12;
+  return folded;
+}
+
+// Function to look up a scale by name, ignoring case, spaces and hyphens
+function findScale(name) {
+  const wanted = String(name).toLowerCase().replace(/[\s_-]/g, "");
+  const found = Object.keys(SCALES).find(scaleName => scaleName.toLowerCase() === wanted);
+  return found || SCALE_ALIASES[wanted];
+}
+
+// Function to parse a key such as "D dorian" or "E 0,1,4,5,7,8,10"
+// A key object {tonic, scale} is accepted too, with scale a name or semitones.
+// Returns {name, tonic, pitchClass, scale}
+function parseKey(key) {
+  const { tonic, scale } = typeof key === "string"
+    ? (([first, ...rest]) => ({ tonic: first, scale: rest.join(" ") || "major" }))(key.trim().split(/\s+/))
+    : key || {};
+
+  const match = /^([A-Ga-g])(#|b)?$/.exec(String(tonic));
+  if (!match) {
+    throw new Error(`Unknown tonic "${tonic}" in key (expected a note name such as C, F# or Bb)`);
+  }
+  const letter = match[1].toUpperCase();
+  const pitchClass = (NOTE_NAMES[letter] + (match[2] === "#" ? 1 : match[2] === "b" ? -1 : 0) + 12) % 12;
+
+  let steps;
+  let scaleName;
+  if (Array.isArray(scale) || /^[\d,\s]+$/.test(String(scale))) {
+    steps = Array.isArray(scale) ? scale : String(scale).split(/[,\s]+/).filter(Boolean).map(Number);
+    scaleName = steps.join(",");
+    const ascending = steps.every((step, index) => index === 0 || step > steps[index - 1]);
+    if (steps[0] !== 0 || !ascending || steps[steps.length - 1] > 11 || !steps.every(Number.isInteger)) {
+      throw new Error(`Scale ${scaleName} must rise from 0 in whole semitones below 12`);
+    }
+  } else {
+    scaleName = findScale(scale);
+    if (!scaleName) {
+      throw new Error(`Unknown scale "${scale}" (expected ${Object.keys(SCALES).join(", ")} or semitones such as 0,2,3,5,7,9,10)`);
+    }
+    steps = SCALES[scaleName];
+  }
+  return { name: `${letter}${match[2] || ""} ${scaleName}`, tonic: `${letter}${match[2] || ""}`, pitchClass, scale: steps };
+}
+
+// Function to get the root pitch of a key closest to a reference pitch
+// (a fifth or less below, a fourth or less above)
+function keyRoot(key, near = 60) {
+  const offset = (((key.pitchClass - near) % 12) + 18) % 12 - 6;
+  return near + offset;
+}
+
+// Function to find the degree of a scale closest to a degree of another
+// Scales of the same size map degree to degree; otherwise the degree goes to
+// the nearest step of the target scale, the lower one on a tie
+function matchDegree(index, from, to) {
+  if (from.length === to.length) return index;
+  let best = 0;
+  to.forEach((step, candidate) => {
+    if (Math.abs(step - from[index]) < Math.abs(to[best] - from[index])) best = candidate;
+  });
+  return best;
+}
+
+// Function to render a pitch written in one key in another, by scale degree
+// Both keys are parsed keys (see parseKey). The degree keeps its octave and
+// chromatic alterations are kept as they are. The target root is the one
+// closest to the source root, so the register hardly moves.
+function remapPitch(pitch, from, to, { fromRoot = keyRoot(from), toRoot = keyRoot(to, fromRoot) } = {}) {
+  const { degree, alteration } = pitchToDegree(pitch, fromRoot, from.scale);
+  const octave = Math.floor(degree / from.scale.length);
+  const index = matchDegree(degree - octave * from.scale.length, from.scale, to.scale);
+  return degreeToPitch(octave * to.scale.length + index, toRoot, to.scale, alteration);
+}
+
+// Function to render notes written in one key in another (see remapPitch)
+function remapNotes(notes, from, to, options = {}) {
+  return notes.map(note => ({ ...note, pitch: remapPitch(note.pitch, from, to, options) }));
+}
+
+// Function to keep notes within a playable range {low, high}
+// Notes outside it move by whole octaves, so they stay in the key; in a range
+// narrower than an octave the rest are held at its edge
+function clampToRange(notes, { low, high }) {
+  return notes.map(note => {
+    const pitch = Math.min(high, Math.max(low, foldIntoRange(note.pitch, low, high)));
+    return pitch === note.pitch ? note : { ...note, pitch };
+  });
+}
+
+module.exports = {
+  SCALES,
+  pitchToDegree,
+  degreeToPitch,
+  foldIntoRange,
+  parseKey,
+  keyRoot,
+  remapPitch,
+  remapNotes,
+  clampToRange
+};
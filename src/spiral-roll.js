@@ -0,0 +1,197 @@
+/**
+ * Spiral piano roll
+ *
+ * Renders a resolved composition as a polar SVG diagram, straight from the
+ * note arrays, so the figures always match the notes the code produces: the
+ * angle is time (clockwise from the top, the whole piece once around by
+ * default), the radius is pitch (low notes inside, with a ring at every C),
+ * each note is a dot at its onset, sized by its velocity, with an arc for its
+ * duration, and the color is its track. Section boundaries are drawn as
+ * spokes.
+ *
+ * A time-lapse renders the same diagram as a sequence of frames, each showing
+ * the notes started so far behind a playhead, the most recent ones brightest.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { escapeXml } = require("./xml");
+
+const TWO_PI = 2 * Math.PI;
+
+const DEFAULT_SPIRAL_ROLL = {
+  size: 800,         // Width and height of the image in pixels
+  turns: 1,          // Turns of the circle the whole piece takes
+  innerRadius: 0.18, // Radius of the lowest pitch, as a fraction of the outer radius
+  background: "#0b0d1a",
+  trail: 8           // Time-lapse: beats over which a note fades to its resting brightness
+};
+
+// Function to format a coordinate compactly
+function coordinate(value) {
+  return Number(value.toFixed(1));
+}
+
+// Function to give each track a color, evenly spaced around the color wheel
+function trackColor(index, count) {
+  return `hsl(${Math.round(200 + (index * 360) / Math.max(count, 1)) % 360}, 75%, 62%)`;
+}
+
+// Function to name the C of an octave ring (MIDI 60 is C4)
+function octaveName(pitch) {
+  return `C${Math.floor(pitch / 12) - 1}`;
+}
+
+// Function to set up the polar mapping of a composition
+// Returns {center, outer, angleAt(beat), radiusAt(pitch), point(beat, pitch), low, high}
+function createPolarMapping(composition, settings) {
+  const pitches = composition.tracks.flatMap(track => track.notes.filter(note => !note.mute).map(note => note.pitch));
+  const low = pitches.length > 0 ? Math.floor(Math.min(...pitches) / 12) * 12 : 48;
+  const high = pitches.length > 0 ? Math.max(low + 12, Math.ceil((Math.max(...pitches) + 1) / 12) * 12) : 84;
+  const center = settings.size / 2;
+  const outer = settings.size / 2 - 60;
+  const inner = outer * settings.innerRadius;
+  const totalLength = composition.form.totalLength;
+
+  const angleAt = beat => -Math.PI / 2 + (TWO_PI * settings.turns * beat) / totalLength;
+  const radiusAt = pitch => inner + ((outer - inner) * (pitch - low)) / (high - low);
+  const point = (beat, radius) => ({
+    x: center + radius * Math.cos(angleAt(beat)),
+    y: center + radius * Math.sin(angleAt(beat))
+  });
+  return { center, outer, angleAt, radiusAt, point, low, high, totalLength };
+}
+
+// Function to draw an arc at a radius from one beat to another
+function arcPath(mapping, radius, from, to) {
+  const sweep = Math.min(mapping.angleAt(to) - mapping.angleAt(from), TWO_PI - 1e-3);
+  const start = mapping.point(from, radius);
+  const endAngle = mapping.angleAt(from) + sweep;
+  const end = {
+    x: mapping.center + radius * Math.cos(endAngle),
+    y: mapping.center + radius * Math.sin(endAngle)
+  };
+  return `M${coordinate(start.x)} ${coordinate(start.y)}` +
+    `A${coordinate(radius)} ${coordinate(radius)} 0 ${sweep > Math.PI ? 1 : 0} 1 ${coordinate(end.x)} ${coordinate(end.y)}`;
+}
+
+// Function to draw the octave rings and section spokes
+function gridSvg(composition, mapping) {
+  const lines = [];
+  for (let pitch = mapping.low; pitch <= mapping.high; pitch += 12) {
+    const radius = mapping.radiusAt(pitch);
+    lines.push(`<circle cx="${mapping.center}" cy="${mapping.center}" r="${coordinate(radius)}" ` +
+      'fill="none" stroke="#ffffff" stroke-opacity="0.12"/>');
+    lines.push(`<text x="${mapping.center + 3}" y="${coordinate(mapping.center - radius - 3)}" ` +
+      `fill="#ffffff" fill-opacity="0.45" font-size="10">${octaveName(pitch)}</text>`);
+  }
+  composition.sections.forEach(section => {
+    const from = mapping.point(section.start, mapping.radiusAt(mapping.low));
+    const to = mapping.point(section.start, mapping.outer + 8);
+    const label = mapping.point(section.start + section.length / 2, mapping.outer + 28);
+    lines.push(`<line x1="${coordinate(from.x)}" y1="${coordinate(from.y)}" x2="${coordinate(to.x)}" ` +
+      `y2="${coordinate(to.y)}" stroke="#ffffff" stroke-opacity="0.35" stroke-dasharray="4 4"/>`);
+    lines.push(`<text x="${coordinate(label.x)}" y="${coordinate(label.y)}" fill="#ffffff" fill-opacity="0.7" ` +
+      `font-size="12" text-anchor="middle">${escapeXml(section.name)}</text>`);
+  });
+  return lines.join("\n");
+}
+
+// Function to draw the notes of every track, up to a beat when given
+// Notes started within the trail before that beat are drawn brighter
+function notesSvg(composition, mapping, settings, until) {
+  const count = composition.tracks.length;
+  return composition.tracks.map((track, index) => {
+    const color = trackColor(index, count);
+    const shapes = track.notes
+      .filter(note => !note.mute && (until === undefined || note.start_time < until))
+      .map(note => {
+        const radius = mapping.radiusAt(note.pitch);
+        const end = until === undefined ? note.start_time + note.duration : Math.min(until, note.start_time + note.duration);
+        const onset = mapping.point(note.start_time, radius);
+        const opacity = until === undefined ? 0.75 : Math.max(0.5, 1 - (0.5 * (until - note.start_time)) / settings.trail);
+        const dot = `<circle cx="${coordinate(onset.x)}" cy="${coordinate(onset.y)}" ` +
+          `r="${coordinate(1.2 + (4 * note.velocity) / 127)}" fill-opacity="${coordinate(opacity)}"/>`;
+        return end > note.start_time
+          ? `<path d="${arcPath(mapping, radius, note.start_time, end)}" fill="none" stroke-opacity="0.4"/>${dot}`
+          : dot;
+      });
+    return `<g fill="${color}" stroke="${color}" stroke-width="1.5" data-track="${escapeXml(track.name)}">\n${shapes.join("\n")}\n</g>`;
+  }).join("\n");
+}
+
+// Function to draw the title and the track legend
+function legendSvg(composition, settings) {
+  const count = composition.tracks.length;
+  const entries = composition.tracks.map((track, index) => {
+    const y = settings.size - 16 - (count - 1 - index) * 16;
+    return `<circle cx="20" cy="${y - 4}" r="5" fill="${trackColor(index, count)}"/>` +
+      `<text x="32" y="${y}" fill="#ffffff" font-size="12">${escapeXml(track.name)}</text>`;
+  });
+  return [
+    `<text x="16" y="28" fill="#ffffff" font-size="16">${escapeXml(composition.title)}</text>`,
+    ...entries
+  ].join("\n");
+}
+
+// Function to render a composition as a spiral piano roll SVG
+//
+// options (see DEFAULT_SPIRAL_ROLL): size, turns, innerRadius, background;
+// until: only draw what has sounded before this beat, with a playhead there
+function buildSpiralRoll(composition, options = {}) {
+  const settings = { ...DEFAULT_SPIRAL_ROLL, ...options };
+  const mapping = createPolarMapping(composition, settings);
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${settings.size}" height="${settings.size}" ` +
+      `viewBox="0 0 ${settings.size} ${settings.size}" font-family="Helvetica, Arial, sans-serif">`,
+    `<rect width="100%" height="100%" fill="${settings.background}"/>`,
+    gridSvg(composition, mapping),
+    notesSvg(composition, mapping, settings, settings.until)
+  ];
+  if (settings.until !== undefined) {
+    const tip = mapping.point(settings.until, mapping.outer + 8);
+    parts.push(`<line x1="${mapping.center}" y1="${mapping.center}" x2="${coordinate(tip.x)}" y2="${coordinate(tip.y)}" ` +
+      'stroke="#ffffff" stroke-opacity="0.8"/>');
+    parts.push(`<text x="${settings.size - 16}" y="28" fill="#ffffff" font-size="12" text-anchor="end">` +
+      `beat ${settings.until.toFixed(1)}</text>`);
+  }
+  parts.push(legendSvg(composition, settings), "</svg>", "");
+  return parts.join("\n");
+}
+
+// Function to render a time-lapse of the spiral piano roll
+// Returns one SVG per frame, the playhead moving evenly to the end of the piece
+function buildTimeLapseFrames(composition, { frames = 48, ...options } = {}) {
+  if (!(Number.isInteger(frames) && frames >= 1)) {
+    throw new Error(`A time-lapse needs a whole number of frames >= 1, got ${frames}`);
+  }
+  return Array.from({ length: frames }, (_, index) =>
+    buildSpiralRoll(composition, { ...options, until: (composition.form.totalLength * (index + 1)) / frames })
+  );
+}
+
+// Function to write a composition's spiral piano roll as an SVG file
+function writeCompositionSvg(composition, filePath, options = {}) {
+  fs.writeFileSync(filePath, buildSpiralRoll(composition, options));
+}
+
+// Function to write a time-lapse as numbered SVG frames into a directory
+// Returns the paths of the frames written
+function writeTimeLapse(composition, directory, options = {}) {
+  fs.mkdirSync(directory, { recursive: true });
+  const frames = buildTimeLapseFrames(composition, options);
+  const digits = String(frames.length).length;
+  return frames.map((svg, index) => {
+    const filePath = path.join(directory, `frame-${String(index + 1).padStart(Math.max(digits, 3), "0")}.svg`);
+    fs.writeFileSync(filePath, svg);
+    return filePath;
+  });
+}
+
+module.exports = {
+  DEFAULT_SPIRAL_ROLL,
+  buildSpiralRoll,
+  buildTimeLapseFrames,
+  writeCompositionSvg,
+  writeTimeLapse
+};
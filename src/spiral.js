@@ -0,0 +1,188 @@
+/**
+ * Logarithmic spiral note generator
+ *
+ * Implements the algorithm from docs/math-analysis.md §5.2: points are sampled
+ * along the arms of a logarithmic spiral r = a·e^(b·θ), the radius is mapped to
+ * pitch on a logarithmic scale and the angle is mapped to time. Every arm is the
+ * same curve rotated by 2π/N, so the arms sound as canonic voices of one subject.
+ *
+ * Notes come out in the same {pitch, start_time, duration, velocity, mute} shape
+ * as the hand-written note patterns in patterns.js.
+ */
+
+const { SCALES, foldIntoRange } = require("./scales");
+const { quantize, sortNotes } = require("./note-utils");
+
+const TWO_PI = 2 * Math.PI;
+
+// Spiral parameters taken from docs/math-analysis.md §7
+const SPIRAL_PRESETS = {
+  // Main theme: r = 2·e^(0.2·θ) for θ = 0 to 2π
+  exposition: {
+    a: 2,
+    b: 0.2,
+    arms: 2,
+    thetaStart: 0,
+    thetaEnd: TWO_PI,
+    notesPerArm: 16
+  },
+  // Tighter spiral (b' = 0.3) with five arms 2π/5 apart
+  development: {
+    a: 2,
+    b: 0.3,
+    arms: 5,
+    thetaStart: 0,
+    thetaEnd: TWO_PI,
+    notesPerArm: 24
+  }
+};
+
+const DEFAULT_PITCH_MAPPING = {
+  base: 60,                 // Pitch of the innermost point (r = a)
+  semitonesPerDoubling: 12, // Radius doubling maps to one octave, like frequency
+  root: 60,
+  scale: SCALES.major,
+  min: 36,
+  max: 96
+};
+
+const DEFAULT_TIME_MAPPING = {
+  start: 0,
+  beatsPerTurn: 16, // One full rotation (2π) spans four 4/4 bars
+  grid: 0.25
+};
+
+// Function to snap a pitch onto the nearest degree of a scale
+function snapToScale(pitch, root, scale) {
+  const rounded = Math.round(pitch);
+  let best = rounded;
+  let bestDistance = Infinity;
+  for (let candidate = rounded - 6; candidate <= rounded + 6; candidate++) {
+    const pitchClass = (((candidate - root) % 12) + 12) % 12;
+    const distance = Math.abs(candidate - pitch);
+    if (scale.includes(pitchClass) && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// Function to map a spiral radius to a MIDI pitch on a logarithmic scale
+function radiusToPitch(radius, a, mapping) {
+  const semitones = mapping.semitonesPerDoubling * Math.log2(radius / a);
+  const pitch = snapToScale(mapping.base + semitones, mapping.root, mapping.scale);
+  return foldIntoRange(pitch, mapping.min, mapping.max);
+}
+
+// Function to sample the points of every arm: {arm, t, theta, radius}
+// t is the curve parameter and theta the polar angle after rotating the arm
+function sampleSpiralPoints({ a, b, arms, thetaStart, thetaEnd, notesPerArm }) {
+  if (!(a > 0)) throw new Error(`Spiral scale a must be positive, got ${a}`);
+  if (!(arms >= 1)) throw new Error(`Spiral needs at least one arm, got ${arms}`);
+  if (!(thetaEnd > thetaStart)) throw new Error("Spiral angular range must be increasing");
+
+  const points = [];
+  const step = notesPerArm > 1 ? (thetaEnd - thetaStart) / (notesPerArm - 1) : 0;
+  for (let arm = 0; arm < arms; arm++) {
+    const armOffset = (TWO_PI * arm) / arms;
+    for (let i = 0; i < notesPerArm; i++) {
+      const t = thetaStart + i * step;
+      points.push({
+        arm,
+        t,
+        theta: t + armOffset,
+        radius: a * Math.exp(b * t)
+      });
+    }
+  }
+  return points;
+}
+
+// Function to sample a spiral into notes tagged with the arm they belong to
+//
+// options:
+// - a, b: spiral constants in r = a·e^(b·θ)
+// - arms: number of arms; arm k is rotated by 2πk/arms and enters that much later
+// - thetaStart, thetaEnd, notesPerArm: angular range and sampling density
+// - pitch: mapping overrides (see DEFAULT_PITCH_MAPPING) or a function (point) => pitch
+// - time: mapping overrides (see DEFAULT_TIME_MAPPING) or a function (point) => beats
+// - duration: beats per note, or "legato" to hold each note until the arm's next one
+// - velocity: {inner, outer} velocities interpolated across the radius range,
+//   or a function (point) => velocity
+function generateSpiralEntries(options = {}) {
+  const spiral = {
+    ...SPIRAL_PRESETS.exposition,
+    ...options
+  };
+  const pitchMapping = typeof spiral.pitch === "function"
+    ? spiral.pitch
+    : point => radiusToPitch(point.radius, spiral.a, { ...DEFAULT_PITCH_MAPPING, ...spiral.pitch });
+  const timeSettings = { ...DEFAULT_TIME_MAPPING, ...(typeof spiral.time === "object" ? spiral.time : {}) };
+  const timeMapping = typeof spiral.time === "function"
+    ? spiral.time
+    : point => quantize(
+      timeSettings.start + ((point.theta - spiral.thetaStart) * timeSettings.beatsPerTurn) / TWO_PI,
+      timeSettings.grid
+    );
+  const duration = spiral.duration === undefined ? "legato" : spiral.duration;
+
+  const points = sampleSpiralPoints(spiral);
+  const minRadius = Math.min(...points.map(point => point.radius));
+  const maxRadius = Math.max(...points.map(point => point.radius));
+  const velocityRange = { inner: 90, outer: 65, ...(typeof spiral.velocity === "object" ? spiral.velocity : {}) };
+  const velocityMapping = typeof spiral.velocity === "function"
+    ? spiral.velocity
+    : point => {
+      const position = maxRadius > minRadius ? (point.radius - minRadius) / (maxRadius - minRadius) : 0;
+      return Math.round(velocityRange.inner + (velocityRange.outer - velocityRange.inner) * position);
+    };
+
+  const notes = points.map(point => ({
+    arm: point.arm,
+    note: {
+      mute: false,
+      pitch: pitchMapping(point),
+      duration: typeof duration === "number" ? duration : 0,
+      velocity: Math.max(1, Math.min(127, velocityMapping(point))),
+      start_time: timeMapping(point)
+    }
+  }));
+
+  if (duration === "legato") {
+    const fallback = timeSettings.grid > 0 ? timeSettings.grid : 1;
+    for (let arm = 0; arm < spiral.arms; arm++) {
+      const armNotes = notes.filter(entry => entry.arm === arm).map(entry => entry.note);
+      armNotes.forEach((note, index) => {
+        const next = armNotes[index + 1];
+        const gap = next ? next.start_time - note.start_time : 0;
+        note.duration = gap > 0 ? gap : fallback;
+      });
+    }
+  }
+
+  return notes;
+}
+
+// Function to generate notes from a logarithmic spiral, all arms merged
+function generateSpiralNotes(options = {}) {
+  return sortNotes(generateSpiralEntries(options).map(entry => entry.note));
+}
+
+// Function to generate one note array per arm, e.g. to give each arm its own track
+function generateSpiralVoices(options = {}) {
+  const entries = generateSpiralEntries(options);
+  const arms = Math.max(...entries.map(entry => entry.arm)) + 1;
+  return Array.from({ length: arms }, (_, arm) =>
+    sortNotes(entries.filter(entry => entry.arm === arm).map(entry => entry.note))
+  );
+}
+
+module.exports = {
+  SCALES,
+  SPIRAL_PRESETS,
+  sampleSpiralPoints,
+  radiusToPitch,
+  generateSpiralNotes,
+  generateSpiralVoices
+};
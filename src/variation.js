@@ -0,0 +1,228 @@
+/**
+ * Seeded variations
+ *
+ * Generates alternate versions of the note patterns that keep the canonic
+ * skeleton: notes on the beat keep their pitch and onset, and only what lies
+ * between them, or how a chord is spread, changes. Every choice comes from a
+ * pseudo-random generator seeded by a number, so a variation is reproduced
+ * exactly from its seed and strength.
+ *
+ * Variation types:
+ * - ornament: decorates long notes with a neighbour or passing note
+ * - revoice: moves chord tones by an octave, keeping the harmony
+ * - rhythm: swaps long-short pairs within a beat and pushes other off-beat
+ *   onsets by a grid step
+ *
+ * strength (0-1) is the share of eligible notes, chords or pairs that vary.
+ */
+
+const { SCALES, pitchToDegree, degreeToPitch } = require("./scales");
+const { sortNotes } = require("./note-utils");
+
+// Function to create a seeded pseudo-random generator (mulberry32), returning
+// numbers in [0, 1)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Function to derive a seed for one part of a piece from the variation seed,
+// so each track and section varies independently of the others
+function deriveSeed(seed, ...parts) {
+  let hash = (seed >>> 0) ^ 0x811c9dc5;
+  for (const character of parts.join("/")) {
+    hash = Math.imul(hash ^ character.charCodeAt(0), 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// Function to tell whether a time falls on a beat, which the skeleton keeps
+function isOnBeat(time) {
+  return Math.abs(time - Math.round(time)) < 1e-6;
+}
+
+// Function to decorate long notes with a neighbour or passing note
+// The note keeps its first half; the second half moves a scale step towards
+// the next note (passing) or away and back (neighbour).
+function ornament(notes, random, strength, { root = 60, scale = SCALES.major, minDuration = 0.5 } = {}) {
+  const sorted = sortNotes(notes.map(note => ({ ...note })));
+  const varied = [];
+  sorted.forEach((note, index) => {
+    if (note.duration < minDuration || random() >= strength) {
+      varied.push(note);
+      return;
+    }
+    const next = sorted.slice(index + 1).find(candidate => candidate.start_time > note.start_time);
+    const { degree, alteration } = pitchToDegree(note.pitch, root, scale);
+    const direction = next && next.pitch !== note.pitch
+      ? Math.sign(next.pitch - note.pitch)
+      : (random() < 0.5 ? 1 : -1);
+    const half = note.duration / 2;
+    varied.push({ ...note, duration: half });
+    varied.push({
+      ...note,
+      pitch: degreeToPitch(degree + direction, root, scale, alteration),
+      start_time: note.start_time + half,
+      duration: half,
+      velocity: Math.max(1, Math.round(note.velocity * 0.85))
+    });
+  });
+  return sortNotes(varied);
+}
+
+// Function to revoice chords by moving inner or outer tones an octave
+// Chords are notes sharing an onset; the lowest tone stays as the bass and
+// moved tones stay within an octave of the chord's original span.
+function revoice(notes, random, strength) {
+  const chords = new Map();
+  notes.forEach(note => {
+    const key = note.start_time.toFixed(6);
+    if (!chords.has(key)) chords.set(key, []);
+    chords.get(key).push({ ...note });
+  });
+
+  const varied = [];
+  [...chords.values()].forEach(chord => {
+    if (chord.length < 3 || random() >= strength) {
+      varied.push(...chord);
+      return;
+    }
+    chord.sort((x, y) => x.pitch - y.pitch);
+    const low = chord[0].pitch;
+    const high = chord[chord.length - 1].pitch;
+    const taken = new Set(chord.map(note => note.pitch));
+    chord.slice(1).forEach(note => {
+      if (random() >= 0.5) return;
+      const candidates = [note.pitch + 12, note.pitch - 12]
+        .filter(pitch => pitch > low && pitch <= high + 12 && !taken.has(pitch));
+      if (candidates.length === 0) return;
+      const pitch = candidates[Math.floor(random() * candidates.length)];
+      taken.delete(note.pitch);
+      taken.add(pitch);
+      note.pitch = pitch;
+    });
+    varied.push(...chord);
+  });
+  return sortNotes(varied);
+}
+
+// Function to swap long-short pairs within a beat into short-long ones
+// A pair is two onsets in a row whose first notes last until the second and
+// whose second notes all end together, by the next onset, in the same beat.
+// Returns the varied notes and the onsets that moved.
+function swapPairs(notes, random, strength) {
+  const groups = new Map();
+  notes.forEach(note => {
+    if (!groups.has(note.start_time)) groups.set(note.start_time, []);
+    groups.get(note.start_time).push(note);
+  });
+  const onsets = [...groups.keys()].sort((x, y) => x - y);
+  const swapped = new Set();
+
+  for (let index = 0; index + 1 < onsets.length; index++) {
+    const first = onsets[index];
+    const second = onsets[index + 1];
+    const long = second - first;
+    const short = groups.get(second)[0].duration;
+    const next = index + 2 < onsets.length ? onsets[index + 2] : Infinity;
+    const isPair = groups.get(first).every(note => Math.abs(note.duration - long) < 1e-6) &&
+      groups.get(second).every(note => Math.abs(note.duration - short) < 1e-6) &&
+      short < long - 1e-6 &&
+      second + short <= next + 1e-6 &&
+      Math.floor(first) === Math.floor(second + short - 1e-6);
+    if (!isPair || random() >= strength) continue;
+
+    groups.get(first).forEach(note => { note.duration = short; });
+    groups.get(second).forEach(note => {
+      note.start_time = first + short;
+      note.duration = long;
+    });
+    swapped.add(first);
+    swapped.add(first + short);
+    index++;
+  }
+  return { notes, swapped };
+}
+
+// Function to vary the rhythm between the beats
+// A long-short pair within a beat may become short-long, and other off-beat
+// onsets move a grid step earlier or later without crossing their neighbours.
+// Notes that ended where a moved onset was end where it is now, so a line
+// never overlaps itself.
+function varyRhythm(notes, random, strength, { grid = 0.25 } = {}) {
+  const { notes: sorted, swapped } = swapPairs(sortNotes(notes.map(note => ({ ...note }))), random, strength);
+  const onsets = [...new Set(sorted.map(note => note.start_time))].sort((x, y) => x - y);
+  const moved = new Map();
+
+  onsets.forEach((onset, index) => {
+    if (isOnBeat(onset) || swapped.has(onset) || random() >= strength) return;
+    const previous = index > 0 ? onsets[index - 1] : -Infinity;
+    const next = index < onsets.length - 1 ? onsets[index + 1] : Infinity;
+    const shift = random() < 0.5 ? -grid : grid;
+    const target = onset + shift;
+    if (target > previous && target < next && Math.floor(target) === Math.floor(onset)) {
+      moved.set(onset, target);
+    }
+  });
+
+  return sortNotes(sorted.map(note => {
+    const end = note.start_time + note.duration;
+    const target = moved.get(note.start_time);
+    if (target !== undefined) {
+      return { ...note, start_time: target, duration: Math.max(grid / 2, end - target) };
+    }
+    // Trim a note that ended at an onset moved earlier, to end at its new place
+    const earlier = [...moved].find(([onset, to]) =>
+      to < onset && note.start_time < to && end > to && end <= onset + 1e-6);
+    return earlier ? { ...note, duration: earlier[1] - note.start_time } : note;
+  }));
+}
+
+// Registry of variation types, used by applyVariations() and composition specs
+const VARIATIONS = {
+  ornament,
+  revoice,
+  rhythm: varyRhythm
+};
+
+// Variation types applied by default to each instrument role
+const ROLE_VARIATIONS = {
+  core: ["revoice"],
+  strings: ["revoice"],
+  brass: ["rhythm"],
+  winds: ["rhythm"],
+  mallets: ["ornament"],
+  pad: ["revoice"]
+};
+
+// Function to apply a list of variations to notes, reproducibly
+// Each step is a type name or {type, strength, ...options}; its generator is
+// seeded from the seed, the given key (e.g. track and section) and the type.
+function applyVariations(notes, steps, { seed, strength = 0.3, key = "" } = {}) {
+  return steps.reduce((current, step) => {
+    const { type, strength: stepStrength = strength, ...options } = typeof step === "string" ? { type: step } : step;
+    const variation = VARIATIONS[type];
+    if (!variation) {
+      throw new Error(`Unknown variation "${type}" (expected ${Object.keys(VARIATIONS).join(", ")})`);
+    }
+    const random = createRandom(deriveSeed(seed, key, type));
+    return variation(current, random, stepStrength, options);
+  }, notes);
+}
+
+module.exports = {
+  VARIATIONS,
+  ROLE_VARIATIONS,
+  createRandom,
+  deriveSeed,
+  ornament,
+  revoice,
+  varyRhythm,
+  applyVariations
+};
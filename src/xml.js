@@ -0,0 +1,18 @@
+/**
+ * XML text helpers
+ *
+ * Shared by the MusicXML score and the SVG spiral piano roll.
+ */
+
+// Function to escape text for XML content and attributes
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+module.exports = {
+  escapeXml
+};
@@ -0,0 +1,67 @@
+/**
+ * Instrument resolution against the stub browser trees in data/browser-trees,
+ * through a recording backend: no Ableton Live involved.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { loadSpec, resolveComposition, performComposition } = require("../src/composition");
+const { resolveInstruments } = require("../src/instruments");
+const { createRecordingBackend } = require("../src/backends");
+
+const ROOT = path.join(__dirname, "..");
+
+// Function to resolve the canon as the CLI does
+function loadCanon() {
+  return resolveComposition(loadSpec(path.join(ROOT, "src/specs/spiral-galaxy-canon.json")));
+}
+
+// Function to read one of the stub browser trees
+function readBrowserTree(name) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, "data/browser-trees", name), "utf8"));
+}
+
+test("every track gets a stock substitute from a tree without the orchestral packs", () => {
+  const composition = loadCanon();
+  const backend = createRecordingBackend({ browserTree: readBrowserTree("stock-only.json") });
+  const report = resolveInstruments(composition.tracks, backend);
+
+  assert.equal(report.length, composition.tracks.length);
+  report.forEach(entry => {
+    assert.equal(entry.source, "stock", `${entry.track} resolved from ${entry.source}`);
+    assert.equal(entry.substitute, true);
+    assert.match(entry.uri, /^query:/);
+  });
+});
+
+test("a stubbed-tree upload loads the substitutes and writes every note", async () => {
+  const composition = loadCanon();
+  const backend = createRecordingBackend({ browserTree: readBrowserTree("stock-only.json") });
+  const instruments = resolveInstruments(composition.tracks, backend);
+  await performComposition(composition, backend, { instruments });
+
+  assert.deepEqual(
+    backend.callsTo("load_instrument_or_effect").map(call => call.params.uri),
+    instruments.map(entry => entry.uri)
+  );
+  composition.tracks.forEach((track, trackIndex) => {
+    const uploaded = backend.callsTo("add_notes_to_clip")
+      .filter(call => call.params.track_index === trackIndex)
+      .reduce((total, call) => total + call.params.notes.length, 0);
+    assert.equal(uploaded, track.notes.length, track.name);
+  });
+});
+
+test("a track with no instrument or fallback stops the upload before it starts", async () => {
+  const composition = loadCanon();
+  const backend = createRecordingBackend({ browserTree: readBrowserTree("minimal.json") });
+  const instruments = resolveInstruments(composition.tracks, backend);
+
+  const unresolved = instruments.filter(entry => entry.source === "unresolved").map(entry => entry.track);
+  assert.deepEqual(unresolved, ["Inner Spiral"]);
+  await assert.rejects(performComposition(composition, backend, { instruments }), /\(missing: Inner Spiral: /);
+  assert.equal(backend.callsTo("create_midi_track").length, 0);
+  assert.equal(backend.callsTo("add_notes_to_clip").length, 0);
+});
@@ -0,0 +1,122 @@
+/**
+ * Live mode on a simulated clock, against a recording backend: every timer
+ * runs when the test advances the clock, so hours of performance take
+ * milliseconds and nothing depends on the system time.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { loadSpec, resolveComposition } = require("../src/composition");
+const { createLiveGalaxy, createSimulatedClock } = require("../src/live-mode");
+const { createRecordingBackend } = require("../src/backends");
+
+const composition = resolveComposition(loadSpec(path.join(__dirname, "../src/specs/spiral-galaxy-canon.json")));
+const trackCount = composition.tracks.length;
+
+// Two bars of 4 beats at the canon's 72 BPM, and the one-beat launch lead
+const CHUNK_MS = (8 * 60000) / composition.tempo;
+const BEAT_MS = 60000 / composition.tempo;
+
+// Function to list the clip slots fired so far, one entry per track
+function firedSlots(backend) {
+  return backend.callsTo("fire_clip").map(call => call.params.clip_index);
+}
+
+// Function to let uploads waiting on a retry continue
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+test("writes two chunks ahead and alternates clip slots on the simulated clock", () => {
+  const clock = createSimulatedClock();
+  const backend = createRecordingBackend();
+  const chunks = [];
+  const live = createLiveGalaxy(composition, backend, { clock, onChunk: chunk => chunks.push(chunk) });
+
+  live.start();
+  assert.deepEqual(chunks.map(chunk => [chunk.chunk, chunk.slot]), [[0, 0], [1, 1]]);
+  assert.deepEqual(firedSlots(backend), new Array(trackCount).fill(0));
+
+  // The next chunk is launched one beat before its boundary
+  clock.advance(CHUNK_MS - BEAT_MS - 1);
+  assert.equal(firedSlots(backend).length, trackCount);
+  clock.advance(1);
+  assert.deepEqual(firedSlots(backend).slice(trackCount), new Array(trackCount).fill(1));
+
+  // Once it is under way, the slot that stopped is rewritten with chunk 2
+  clock.advance(2 * BEAT_MS);
+  assert.deepEqual(chunks.map(chunk => chunk.slot), [0, 1, 0]);
+  assert.equal(live.state().chunk, 1);
+  assert.equal(backend.callsTo("delete_clip").length, trackCount);
+
+  clock.advance(10 * CHUNK_MS);
+  assert.equal(live.state().chunk, 11);
+  assert.equal(live.state().turns, 5.5);
+  live.stop();
+  assert.equal(clock.pending(), 0);
+});
+
+test("pause stops both slots and the scheduler, resume carries on from the current chunk", () => {
+  const clock = createSimulatedClock();
+  const backend = createRecordingBackend();
+  const live = createLiveGalaxy(composition, backend, { clock });
+
+  live.start();
+  clock.advance(3 * CHUNK_MS);
+  live.pause();
+  assert.equal(live.state().status, "paused");
+  assert.equal(clock.pending(), 0);
+  assert.equal(backend.callsTo("stop_clip").length, 2 * trackCount);
+
+  const chunk = live.state().chunk;
+  clock.advance(5 * CHUNK_MS);
+  assert.equal(live.state().chunk, chunk);
+
+  // The next chunk takes over once its launch is under way
+  live.resume();
+  clock.advance(CHUNK_MS + BEAT_MS);
+  assert.equal(live.state().chunk, chunk + 1);
+  live.stop();
+  assert.equal(live.state().status, "stopped");
+  assert.equal(clock.pending(), 0);
+});
+
+test("uploads back off on the simulated clock and recover from a failed call", async () => {
+  const clock = createSimulatedClock();
+  let failures = 0;
+  const backend = createRecordingBackend({
+    fail: tool => (tool === "add_notes_to_clip" && failures++ === 0 ? new Error("bridge busy") : undefined)
+  });
+  const live = createLiveGalaxy(composition, backend, { clock });
+
+  live.start();
+  await settle();
+  // The retry waits for the first backoff on the live clock, not in real time
+  assert.ok(clock.pending() > 1);
+  clock.advance(BEAT_MS);
+  await settle();
+  assert.equal(live.state().status, "playing");
+  assert.equal(backend.callsTo("add_notes_to_clip").filter(call => call.error).length, 1);
+  live.stop();
+});
+
+test("an upload that keeps failing stops live mode and reports the error", async () => {
+  const clock = createSimulatedClock();
+  const backend = createRecordingBackend({
+    fail: tool => (tool === "add_notes_to_clip" ? new Error("bridge gone") : undefined)
+  });
+  const errors = [];
+  const live = createLiveGalaxy(composition, backend, { clock, onError: error => errors.push(error) });
+
+  live.start();
+  for (let step = 0; step < 20 && errors.length === 0; step++) {
+    clock.advance(CHUNK_MS);
+    await settle();
+  }
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /bridge gone/);
+  assert.equal(live.state().status, "stopped");
+  assert.equal(live.state().error, errors[0]);
+  assert.equal(clock.pending(), 0);
+});
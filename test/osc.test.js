@@ -0,0 +1,107 @@
+/**
+ * OSC round trips through a local UDP socket: the OSC backend plays clips on
+ * a simulated clock and a listener on an ephemeral port decodes what arrives.
+ * No DAW or synth involved.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { encodeOscMessage, decodeOscMessage, createOscListener } = require("../src/osc");
+const { createOscBackend } = require("../src/backends");
+const { createSimulatedClock } = require("../src/live-mode");
+
+// Function to listen on a free local port, resolving once the socket is bound
+// Returns {port, messages, close, waitFor(count)}.
+function listen() {
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    const waiting = [];
+    const listener = createOscListener({
+      port: 0,
+      onMessage: message => {
+        messages.push(message);
+        waiting.filter(wait => messages.length >= wait.count).forEach(wait => wait.resolve(messages));
+      },
+      onError: reject,
+      onListening: ({ port }) => resolve({
+        port,
+        messages,
+        close: () => listener.close(),
+        waitFor: count => new Promise(done => {
+          if (messages.length >= count) done(messages);
+          else waiting.push({ count, resolve: done });
+        })
+      })
+    });
+  });
+}
+
+test("encodes and decodes every argument type", () => {
+  const packet = encodeOscMessage("/galaxy/note/on", [2, 64, "Development", { type: "f", value: 0.5 }]);
+  assert.equal(packet.length % 4, 0);
+  assert.deepEqual(decodeOscMessage(packet), { address: "/galaxy/note/on", args: [2, 64, "Development", 0.5] });
+});
+
+test("a fired clip arrives as timed note-on and note-off messages", async () => {
+  const listener = await listen();
+  const clock = createSimulatedClock();
+  const backend = createOscBackend({
+    port: listener.port,
+    clock,
+    sections: [{ name: "Exposition", start: 0, length: 4 }],
+    onError: error => assert.fail(error)
+  });
+
+  backend.setTempo(120);
+  backend.setTrackName(0, "Galactic Core");
+  backend.createClip(0, 0, 4);
+  backend.addNotesToClip(0, 0, [
+    { pitch: 60, start_time: 0, duration: 1, velocity: 90, mute: false },
+    { pitch: 67, start_time: 4, duration: 1, velocity: 90, mute: false }
+  ]);
+  backend.fireClip(0, 0);
+  assert.equal(backend.pending(), 1);
+  clock.advance(500);
+  assert.equal(backend.pending(), 0);
+
+  const messages = await listener.waitFor(4);
+  backend.close();
+  listener.close();
+
+  assert.deepEqual(messages.map(message => message.address),
+    ["/galaxy/tempo", "/galaxy/track", "/galaxy/note/on", "/galaxy/note/off"]);
+  assert.deepEqual(messages[1].args, [0, "Galactic Core"]);
+  const [track, pitch, velocity, seconds, section, angle] = messages[2].args;
+  assert.deepEqual([track, pitch, velocity, seconds, section, angle], [0, 60, 90, 0.5, "Exposition", 0]);
+  assert.deepEqual(messages[3].args.slice(0, 3), [0, 60, "Exposition"]);
+});
+
+test("messages that cannot be sent are reported with their address", async () => {
+  const errors = [];
+  const backend = createOscBackend({
+    host: "nonexistent.invalid",
+    port: 57120,
+    onError: (error, address) => errors.push({ error, address })
+  });
+  await new Promise(resolve => {
+    backend.setTrackName(0, "Galactic Core");
+    const poll = setInterval(() => {
+      if (errors.length === 0) return;
+      clearInterval(poll);
+      resolve();
+    }, 10);
+  });
+  backend.close();
+
+  assert.equal(errors[0].address, "/galaxy/track");
+  assert.match(errors[0].error.code, /^(ENOTFOUND|EAI_AGAIN)$/);
+});
+
+test("a listener reports a port in use instead of crashing", async () => {
+  const first = await listen();
+  const error = await new Promise(resolve => {
+    createOscListener({ port: first.port, onMessage: () => {}, onError: resolve });
+  });
+  first.close();
+  assert.equal(error.code, "EADDRINUSE");
+});